@@ -8,6 +8,8 @@
 // 2. "mustBeWith" - Two entries MUST be in the same group
 // 3. "mustBeInGroup" - Force an entry into a specific group
 // 4. "cannotBeInGroup" - Prevent an entry from being in a specific group
+// 5. "attributeRules" - Per-group limits on people sharing an attribute (e.g. at most one from R&D)
+// 6. "softRules" - Weighted preferences; kept where possible, never at the cost of rules 1-5
 //
 // HOW TO USE:
 // - Names must match EXACTLY as you enter them in the UI (case-sensitive)
@@ -20,6 +22,7 @@ const CHEAT_CONSTRAINTS = {
     // Entries that CANNOT be in the same group
     // Loaded from "CannotBeWith" sheet (columns A and B, each row is a pair)
     // Example: ["Brazil", "Argentina"] means they will never be in the same group
+    // Pairs derived from past draws are { entries: [a, b], source: 'history' } (see applyNoveltyConstraints)
     cannotBeWith: [
         // Will be loaded from CannotBeWith sheet
     ],
@@ -42,18 +45,37 @@ const CHEAT_CONSTRAINTS = {
     cannotBeInGroup: {
         // "EntryName": ["GroupName1", "GroupName2"],
     },
+
+    // Extra per-person attributes, keyed by entry name, attribute names lowercase
+    // Loaded from "Attributes" sheet (header row: Name | Department | Office | ...)
+    // Example: { "Ann": { department: "R&D", skill: "Designer, Frontend" } }
+    // A cell may list several values separated by commas
+    attributes: {
+        // "EntryName": { attribute: "value" },
+    },
+
+    // Limits on how many people with an attribute value share a group - every group
+    // Loaded from "AttributeRules" sheet (Attribute | Value | Min | Max, empty = no limit)
+    // Example: { attribute: "department", value: "R&D", min: null, max: 1 } - at most one from R&D
+    // Example: { attribute: "skill", value: "Designer", min: 1, max: null } - at least one designer
+    attributeRules: [
+        // Will be loaded from AttributeRules sheet
+    ],
+
+    // Soft rules: preferences the draw tries to satisfy, weighted by importance
+    // Loaded from "SoftRules" sheet (Type | Weight | Label | Entry 1 | Entry 2 | ...)
+    // type "apart": spread these entries over different groups
+    // type "together": keep these entries in one group
+    // Example: { type: "apart", weight: 3, label: "Spread Engineering", entries: ["Ann", "Bob", "Cy"] }
+    softRules: [
+        // Will be loaded from SoftRules sheet
+    ],
 };
 
 // ==================== END SECRET CONFIGURATION ====================
 
 // ==================== GOOGLE SHEETS INTEGRATION ====================
 
-// Extract spreadsheet ID from Google Sheets URL
-function extractSpreadsheetId(url) {
-    const match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-    return match ? match[1] : null;
-}
-
 // Fetch data from Google Sheets
 async function fetchGoogleSheetData(apiKey, spreadsheetId, sheetName = 'Participants') {
     try {
@@ -80,8 +102,30 @@ async function fetchGoogleSheetData(apiKey, spreadsheetId, sheetName = 'Particip
     }
 }
 
+// A1 range for a tab, quoted so names with spaces or quotes work ("Draw Results" -> 'Draw Results'!A1)
+function sheetRange(sheetName, cells) {
+    return encodeURIComponent(`'${sheetName.replace(/'/g, "''")}'!${cells}`);
+}
+
+// Fetch data from Google Sheets with an OAuth2 access token (private sheets work)
+async function fetchGoogleSheetDataOAuth(token, spreadsheetId, sheetName = 'Participants') {
+    const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetRange(sheetName, 'A1:Z1000')}`;
+    const response = await fetch(url, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error?.message || `Failed to fetch ${sheetName} sheet`);
+    }
+    const data = await response.json();
+    return data.values || [];
+}
+
 // Write data to Google Sheets with formatting using OAuth2
-async function writeToGoogleSheetOAuth(accessToken, spreadsheetId, sheetName, data, colors) {
+// The tab is reused when it exists: values and formatting are cleared first, so a re-run
+// replaces the previous export instead of adding to it.
+// options.headerRow makes row 1 bold and frozen
+async function writeToGoogleSheetOAuth(accessToken, spreadsheetId, sheetName, data, colors, options = {}) {
     try {
         // First, get sheet metadata to find sheet ID
         const metadataUrl = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}`;
@@ -130,14 +174,14 @@ async function writeToGoogleSheetOAuth(accessToken, spreadsheetId, sheetName, da
         }
 
         // Clear the sheet first for clean overwrite
-        const clearUrl = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!A:ZZ:clear`;
+        const clearUrl = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetRange(sheetName, 'A:ZZ')}:clear`;
         await fetch(clearUrl, {
             method: 'POST',
             headers: { 'Authorization': `Bearer ${accessToken}` }
         });
         
         // Write the values
-        const range = `${sheetName}!A1`;
+        const range = sheetRange(sheetName, 'A1');
         const valuesUrl = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}?valueInputOption=RAW`;
         
         const valuesResponse = await fetch(valuesUrl, {
@@ -156,63 +200,79 @@ async function writeToGoogleSheetOAuth(accessToken, spreadsheetId, sheetName, da
             throw new Error(errorData.error?.message || 'Failed to write values');
         }
 
-        // Then apply formatting (colors)
-        if (colors && colors.length > 0) {
-            const requests = [];
-            
-            colors.forEach((rowColors, rowIndex) => {
-                rowColors.forEach((color, colIndex) => {
-                    if (color) {
-                        const rgb = hexToRgb(color);
-                        if (rgb) {
-                            requests.push({
-                                repeatCell: {
-                                    range: {
-                                        sheetId: targetSheetId,
-                                        startRowIndex: rowIndex,
-                                        endRowIndex: rowIndex + 1,
-                                        startColumnIndex: colIndex,
-                                        endColumnIndex: colIndex + 1
-                                    },
-                                    cell: {
-                                        userEnteredFormat: {
-                                            backgroundColor: rgb,
-                                            textFormat: {
-                                                foregroundColor: {red: 1, green: 1, blue: 1}, // White text
-                                                bold: true
-                                            }
+        // Then apply formatting: reset what a previous export left, then header and colors
+        const requests = [{
+            updateCells: {
+                range: { sheetId: targetSheetId },
+                fields: 'userEnteredFormat'
+            }
+        }];
+
+        if (options.headerRow) {
+            requests.push({
+                repeatCell: {
+                    range: { sheetId: targetSheetId, startRowIndex: 0, endRowIndex: 1 },
+                    cell: { userEnteredFormat: { textFormat: { bold: true } } },
+                    fields: 'userEnteredFormat.textFormat.bold'
+                }
+            }, {
+                updateSheetProperties: {
+                    properties: { sheetId: targetSheetId, gridProperties: { frozenRowCount: 1 } },
+                    fields: 'gridProperties.frozenRowCount'
+                }
+            });
+        }
+
+        (colors || []).forEach((rowColors, rowIndex) => {
+            rowColors.forEach((color, colIndex) => {
+                if (color) {
+                    const rgb = hexToRgb(color);
+                    if (rgb) {
+                        requests.push({
+                            repeatCell: {
+                                range: {
+                                    sheetId: targetSheetId,
+                                    startRowIndex: rowIndex,
+                                    endRowIndex: rowIndex + 1,
+                                    startColumnIndex: colIndex,
+                                    endColumnIndex: colIndex + 1
+                                },
+                                cell: {
+                                    userEnteredFormat: {
+                                        backgroundColor: rgb,
+                                        textFormat: {
+                                            foregroundColor: {red: 1, green: 1, blue: 1}, // White text
+                                            bold: true
                                         }
-                                    },
-                                    fields: 'userEnteredFormat(backgroundColor,textFormat)'
-                                }
-                            });
-                        }
+                                    }
+                                },
+                                fields: 'userEnteredFormat(backgroundColor,textFormat)'
+                            }
+                        });
                     }
-                });
+                }
             });
+        });
 
-            if (requests.length > 0) {
-                const batchUpdateUrl = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`;
-                
-                // Process in batches of 100 (Google Sheets API limit)
-                for (let i = 0; i < requests.length; i += 100) {
-                    const batch = requests.slice(i, i + 100);
-                    const formatResponse = await fetch(batchUpdateUrl, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${accessToken}`
-                        },
-                        body: JSON.stringify({
-                            requests: batch
-                        })
-                    });
+        const batchUpdateUrl = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`;
+        
+        // Process in batches of 100 (Google Sheets API limit)
+        for (let i = 0; i < requests.length; i += 100) {
+            const batch = requests.slice(i, i + 100);
+            const formatResponse = await fetch(batchUpdateUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                body: JSON.stringify({
+                    requests: batch
+                })
+            });
 
-                    if (!formatResponse.ok) {
-                        const errorData = await formatResponse.json();
-                        console.warn('Failed to apply some formatting:', errorData);
-                    }
-                }
+            if (!formatResponse.ok) {
+                const errorData = await formatResponse.json();
+                console.warn('Failed to apply some formatting:', errorData);
             }
         }
 
@@ -223,13 +283,317 @@ async function writeToGoogleSheetOAuth(accessToken, spreadsheetId, sheetName, da
     }
 }
 
-// Export draw results to Google Sheets (requires OAuth2)
-async function exportToGoogleSheet() {
+// ---- Draw result tabs ----
+// Row builders for the export workbook; each returns { rows, colors } with colors
+// as hex backgrounds per cell (null = none), the shape writeToGoogleSheetOAuth takes.
+
+const EXPORT_TAB_NAMES = {
+    results: 'Draw Results',
+    groups: 'Groups & Rooms',
+    participants: 'Participant List',
+    audit: 'Constraint Audit',
+    adjustments: 'Manual Adjustments'
+};
+
+const AUDIT_STATUS_COLORS = {
+    Satisfied: '#2ECC71',
+    Violated: '#E74C3C',
+    'Not drawn': '#7F8C8D'
+};
+
+// Draw step of every placed entry (normalized name -> step), from drawState.history
+// Roster moves and dropouts don't change when someone joined the draw
+function buildDrawOrderLookup() {
+    const drawOrder = {};
+    (drawState.history || []).forEach((event, index) => {
+        if (event.mode === 'roster' && event.change !== 'add') return;
+        drawOrder[normalizeName(event.entry)] = event.step || index + 1;
+    });
+    return drawOrder;
+}
+
+// Group | Room | Size | Member 1 | Member 2 | ... (members in pot colors)
+function buildGroupsAndRoomsRows() {
+    const maxMembers = Math.max(0, ...config.groupNames.map(name => (drawState.groups[name] || []).length));
+    const rows = [['Group', 'Room', 'Size', ...Array.from({ length: maxMembers }, (_, i) => `Member ${i + 1}`)]];
+    const colors = [rows[0].map(() => null)];
+
+    config.groupNames.forEach(groupName => {
+        const members = drawState.groups[groupName] || [];
+        rows.push([groupName, config.groupRooms?.[groupName] || '', members.length, ...members.map(m => m.entry)]);
+        colors.push([null, null, null, ...members.map(m => POT_COLORS[m.potIndex % POT_COLORS.length])]);
+    });
+    return { rows, colors };
+}
+
+// Participant | Group | Room | Pot | Draw Order - one row per placed entry, in draw order
+function buildParticipantRows() {
+    const drawOrder = buildDrawOrderLookup();
+    const participants = [];
+    config.groupNames.forEach(groupName => {
+        (drawState.groups[groupName] || []).forEach(({ entry, potIndex }) => {
+            participants.push({
+                entry,
+                groupName,
+                room: config.groupRooms?.[groupName] || '',
+                potName: config.pots[potIndex]?.name || `Pot ${potIndex + 1}`,
+                potIndex,
+                step: drawOrder[normalizeName(entry)] || ''
+            });
+        });
+    });
+    // Entries without a history step (e.g. restored from an old session) go last
+    participants.sort((a, b) => (a.step || Infinity) - (b.step || Infinity));
+
+    const rows = [['Participant', 'Group', 'Room', 'Pot', 'Draw Order']];
+    const colors = [rows[0].map(() => null)];
+    participants.forEach(p => {
+        rows.push([p.entry, p.groupName, p.room, p.potName, p.step]);
+        colors.push([null, null, null, POT_COLORS[p.potIndex % POT_COLORS.length], null]);
+    });
+    return { rows, colors };
+}
+
+// Rule | Entries | Required | Status | Details - every rule from the constraint sheets
+// judged against the groups as they are now (manual adjustments included)
+function buildConstraintAuditRows() {
+    const groupOf = buildGroupLookup();
+    const where = name => groupOf[normalizeName(name)] || null;
+    const describe = names => names.map(name => `${name}: ${where(name) || 'not drawn'}`).join(', ');
+    const rows = [['Rule', 'Entries', 'Required', 'Status', 'Details']];
+    const add = (rule, entries, required, status, details) => rows.push([rule, entries, required, status, details]);
+
+    const auditPairs = (pairs, rule, required, keep) => {
+        (pairs || []).filter(pair => Array.isArray(pair) && pair.length >= 2).forEach(([a, b]) => {
+            const status = !where(a) || !where(b) ? 'Not drawn' : keep(where(a), where(b)) ? 'Satisfied' : 'Violated';
+            add(rule, `${a}, ${b}`, required, status, describe([a, b]));
+        });
+    };
+    auditPairs(getCannotBeWithPairs(), 'CannotBeWith', 'Different groups', (ga, gb) => ga !== gb);
+    auditPairs(CHEAT_CONSTRAINTS.mustBeWith, 'MustBeWith', 'Same group', (ga, gb) => ga === gb);
+
+    Object.entries(CHEAT_CONSTRAINTS.mustBeInGroup || {}).forEach(([entry, groupName]) => {
+        const placed = where(entry);
+        add('MustBeInTopic', entry, `In ${groupName}`, !placed ? 'Not drawn' : placed === groupName ? 'Satisfied' : 'Violated', describe([entry]));
+    });
+    Object.entries(CHEAT_CONSTRAINTS.cannotBeInGroup || {}).forEach(([entry, groupNames]) => {
+        const placed = where(entry);
+        add('CannotBeInGroup', entry, `Not in ${groupNames.join(', ')}`, !placed ? 'Not drawn' : groupNames.includes(placed) ? 'Violated' : 'Satisfied', describe([entry]));
+    });
+
+    (CHEAT_CONSTRAINTS.attributeRules || []).forEach(rule => {
+        const counts = config.groupNames.map(groupName => ({
+            groupName,
+            count: getEntriesInGroup(groupName).filter(e => entryMatchesAttributeRule(e, rule)).length
+        }));
+        const outside = counts.filter(({ count }) => (rule.min !== null && count < rule.min) || (rule.max !== null && count > rule.max));
+        const required = [rule.min !== null ? `at least ${rule.min}` : '', rule.max !== null ? `at most ${rule.max}` : ''].filter(Boolean).join(', ');
+        add('AttributeRules', describeAttributeRule(rule), `${required} per group`, outside.length === 0 ? 'Satisfied' : 'Violated',
+            counts.map(({ groupName, count }) => `${groupName}: ${count}`).join(', '));
+    });
+
+    scoreSoftRules().results.forEach(({ rule, pairs, keptPairs, satisfied }) => {
+        add(`SoftRules (weight ${rule.weight})`, rule.entries.join(', '), rule.type === 'together' ? 'Together' : 'Apart',
+            pairs === 0 ? 'Not drawn' : satisfied ? 'Satisfied' : 'Violated', `${rule.label} - ${keptPairs} of ${pairs} pairs kept`);
+    });
+
+    if (!CHEAT_CONSTRAINTS.enabled) {
+        add('(all)', '', '', '', 'Constraints were switched off for this draw - the rules above were not enforced');
+    }
+
+    const colors = rows.map((row, rowIndex) => row.map((_, colIndex) =>
+        rowIndex > 0 && colIndex === 3 ? AUDIT_STATUS_COLORS[row[3]] || null : null
+    ));
+    return { rows, colors };
+}
+
+// Groups as columns, entries as rows in their pot colors (the "Draw Results" tab)
+function buildDrawResultsGrid() {
+    const sheetData = [];
+    const colorData = [];
+
+    // Header row: Group names with rooms
+    const headerRow = [];
+    const headerColors = [];
+    config.groupNames.forEach(name => {
+        const room = config.groupRooms?.[name] || '';
+        const headerText = room ? `${name}\n(${room})` : name;
+        headerRow.push(headerText);
+        headerColors.push(null);
+    });
+    sheetData.push(headerRow);
+    colorData.push(headerColors);
+
+    // Find maximum number of entries in any group
+    let maxEntries = 0;
+    config.groupNames.forEach(name => {
+        const entries = drawState.groups[name] || [];
+        maxEntries = Math.max(maxEntries, entries.length);
+    });
+
+    // Data rows: one row per entry position (no row label column)
+    for (let i = 0; i < maxEntries; i++) {
+        const row = [];
+        const rowColors = [];
+        
+        config.groupNames.forEach(groupName => {
+            const entries = drawState.groups[groupName] || [];
+            const entryData = entries[i];
+            
+            if (entryData) {
+                const entryName = typeof entryData === 'string' ? entryData : entryData.entry;
+                const potIndex = typeof entryData === 'string' ? -1 : entryData.potIndex;
+                const potColor = potIndex >= 0 ? POT_COLORS[potIndex % POT_COLORS.length] : null;
+                
+                row.push(entryName || '');
+                rowColors.push(potColor);
+            } else {
+                row.push('');
+                rowColors.push(null);
+            }
+        });
+        
+        sheetData.push(row);
+        colorData.push(rowColors);
+    }
+
+    return { rows: sheetData, colors: colorData };
+}
+
+// Every tab of the results workbook, in order
+// Manual Adjustments is always written (just the header when there are none), so a
+// re-export clears adjustments that were undone since
+function buildResultTabs() {
+    const results = buildDrawResultsGrid();
+    const tabs = [
+        { name: EXPORT_TAB_NAMES.results, rows: results.rows, colors: results.colors },
+        { name: EXPORT_TAB_NAMES.groups, ...buildGroupsAndRoomsRows(), options: { headerRow: true } },
+        { name: EXPORT_TAB_NAMES.participants, ...buildParticipantRows(), options: { headerRow: true } },
+        { name: EXPORT_TAB_NAMES.audit, ...buildConstraintAuditRows(), options: { headerRow: true } }
+    ];
+
+    const adjustmentRows = [['Time', 'Type', 'Entry', 'From', 'To', 'Swapped With', 'Overridden Rules']];
+    (drawState.adjustments || []).forEach(a => {
+        adjustmentRows.push([a.timestamp, a.reason === 'roster' ? `roster ${a.type}` : a.type, a.entry, a.fromGroup, a.toGroup, a.swappedWith || '', a.overriddenRules.join('; ')]);
+    });
+    tabs.push({ name: EXPORT_TAB_NAMES.adjustments, rows: adjustmentRows, colors: [], options: { headerRow: true } });
+    return tabs;
+}
+
+// Write result tabs to "<title> - Draw Results", found (or created) in the source sheet's folder
+// Needs the OAuth access token; re-running updates the same file and tabs. Returns the sheet URL.
+async function writeResultsToGoogleSheet(tabs, sourceUrl) {
+    const sourceId = sourceUrl ? extractSpreadsheetId(sourceUrl) || extractFileIdFromDriveUrl(sourceUrl) : null;
+    let parentFolderId = null;
+    let spreadsheetId = null;
+    const exportFileName = `${config.eventTitle} - Draw Results`;
+
+    updateStatus('Finding source folder...');
+    
+    // Get parent folder of source spreadsheet
+    if (sourceId) {
+        const parentResponse = await fetch(
+            `https://www.googleapis.com/drive/v3/files/${sourceId}?fields=parents`,
+            { headers: { 'Authorization': `Bearer ${accessToken}` } }
+        );
+        if (parentResponse.ok) {
+            const parentData = await parentResponse.json();
+            parentFolderId = parentData.parents?.[0] || null;
+            console.log('Source folder ID:', parentFolderId);
+        }
+    }
+    
+    // Search for existing export file in the folder
+    if (parentFolderId) {
+        const searchQuery = `name='${exportFileName}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.spreadsheet' and trashed=false`;
+        const searchResponse = await fetch(
+            `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(searchQuery)}&fields=files(id,name)`,
+            { headers: { 'Authorization': `Bearer ${accessToken}` } }
+        );
+        if (searchResponse.ok) {
+            const searchData = await searchResponse.json();
+            if (searchData.files && searchData.files.length > 0) {
+                spreadsheetId = searchData.files[0].id;
+                console.log('Found existing export file:', spreadsheetId);
+                updateStatus('Updating existing export file...');
+            }
+        }
+    }
+    
+    // Create new spreadsheet if not found
+    if (!spreadsheetId) {
+        updateStatus('Creating new spreadsheet...');
+        const createResponse = await fetch('https://sheets.googleapis.com/v4/spreadsheets', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`
+            },
+            body: JSON.stringify({
+                properties: { title: exportFileName },
+                sheets: [{ properties: { title: EXPORT_TAB_NAMES.results } }]
+            })
+        });
+
+        if (!createResponse.ok) {
+            const errorData = await createResponse.json();
+            throw new Error(errorData.error?.message || 'Failed to create spreadsheet');
+        }
+
+        const createData = await createResponse.json();
+        spreadsheetId = createData.spreadsheetId;
+        
+        // Move to source folder if we have one
+        if (parentFolderId) {
+            await fetch(`https://www.googleapis.com/drive/v3/files/${spreadsheetId}?addParents=${parentFolderId}&removeParents=root`, {
+                method: 'PATCH',
+                headers: { 'Authorization': `Bearer ${accessToken}` }
+            });
+            console.log('Moved export file to source folder');
+        }
+        
+        updateStatus(`Created: ${exportFileName}`);
+    }
+
+    updateStatus('Exporting results...');
+    for (const tab of tabs) {
+        await writeToGoogleSheetOAuth(accessToken, spreadsheetId, tab.name, tab.rows, tab.colors, tab.options);
+    }
+    return `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
+}
+
+// Export draw results through the event's data source (see writeResults in data-sources.js):
+// Google sources update the results spreadsheet, local files download an .xlsx and the
+// demo data keeps them in memory. Pots typed in by hand go to a new Google Sheet (OAuth2).
+async function exportResults() {
     if (!drawState.groups || Object.keys(drawState.groups).length === 0) {
         updateStatus('No draw results to export!');
         return;
     }
 
+    // A resumed draw has no loaded source, so the Step 1 settings are used
+    const source = activeDataSource || readDataSourceFromSetup(config.numGroups, config.numPots).source;
+    if (source) {
+        try {
+            updateStatus(`Exporting results to ${source.label}...`);
+            const { url } = await source.writeResults(buildResultTabs());
+            if (url) {
+                updateStatus(`✓ Exported! <a href="${url}" target="_blank" style="color: #4CAF50; text-decoration: underline; font-weight: 600;">Open Sheet</a>`);
+                window.open(url, '_blank');
+            } else {
+                updateStatus(`✓ Exported to ${source.label}`);
+            }
+        } catch (error) {
+            updateStatus(`Export error: ${error.message}`);
+            console.error('Export error:', error);
+        }
+        return;
+    }
+    await exportToNewGoogleSheet();
+}
+
+// Pots typed in by hand have no source to write back to: create "<title> - Draw Results" with OAuth2
+async function exportToNewGoogleSheet() {
     // Check if user is signed in with OAuth2
     // Check both the Drive section and the export-specific field, then localStorage, then config
     let clientId = document.getElementById('googleDriveClientIdForExport')?.value.trim() ||
@@ -278,142 +642,8 @@ async function exportToGoogleSheet() {
         }
     }
 
-    // Get source spreadsheet info to find parent folder
-    const sourceUrl = document.getElementById('googleDriveFileUrl')?.value.trim() || 
-                     document.getElementById('googleSheetUrl')?.value.trim() || '';
-    const sourceId = sourceUrl ? extractSpreadsheetId(sourceUrl) : null;
-    
-    let parentFolderId = null;
-    let spreadsheetId = null;
-    const exportFileName = `${config.eventTitle} - Draw Results`;
-    
-    try {
-        updateStatus('Finding source folder...');
-        
-        // Get parent folder of source spreadsheet
-        if (sourceId) {
-            const parentResponse = await fetch(
-                `https://www.googleapis.com/drive/v3/files/${sourceId}?fields=parents`,
-                { headers: { 'Authorization': `Bearer ${accessToken}` } }
-            );
-            if (parentResponse.ok) {
-                const parentData = await parentResponse.json();
-                parentFolderId = parentData.parents?.[0] || null;
-                console.log('Source folder ID:', parentFolderId);
-            }
-        }
-        
-        // Search for existing export file in the folder
-        if (parentFolderId) {
-            const searchQuery = `name='${exportFileName}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.spreadsheet' and trashed=false`;
-            const searchResponse = await fetch(
-                `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(searchQuery)}&fields=files(id,name)`,
-                { headers: { 'Authorization': `Bearer ${accessToken}` } }
-            );
-            if (searchResponse.ok) {
-                const searchData = await searchResponse.json();
-                if (searchData.files && searchData.files.length > 0) {
-                    spreadsheetId = searchData.files[0].id;
-                    console.log('Found existing export file:', spreadsheetId);
-                    updateStatus('Updating existing export file...');
-                }
-            }
-        }
-        
-        // Create new spreadsheet if not found
-        if (!spreadsheetId) {
-            updateStatus('Creating new spreadsheet...');
-            const createResponse = await fetch('https://sheets.googleapis.com/v4/spreadsheets', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${accessToken}`
-                },
-                body: JSON.stringify({
-                    properties: { title: exportFileName }
-                })
-            });
-
-            if (!createResponse.ok) {
-                const errorData = await createResponse.json();
-                throw new Error(errorData.error?.message || 'Failed to create spreadsheet');
-            }
-
-            const createData = await createResponse.json();
-            spreadsheetId = createData.spreadsheetId;
-            
-            // Move to source folder if we have one
-            if (parentFolderId) {
-                await fetch(`https://www.googleapis.com/drive/v3/files/${spreadsheetId}?addParents=${parentFolderId}&removeParents=root`, {
-                    method: 'PATCH',
-                    headers: { 'Authorization': `Bearer ${accessToken}` }
-                });
-                console.log('Moved export file to source folder');
-            }
-            
-            updateStatus(`Created: ${exportFileName}`);
-        }
-    } catch (error) {
-        updateStatus(`Error setting up export: ${error.message}`);
-        return;
-    }
-
     try {
-        updateStatus('Exporting results...');
-
-        // Prepare data: groups as columns, entries as rows
-        const sheetData = [];
-        const colorData = [];
-
-        // Header row: Group names with rooms
-        const headerRow = [];
-        const headerColors = [];
-        config.groupNames.forEach(name => {
-            const room = config.groupRooms?.[name] || '';
-            const headerText = room ? `${name}\n(${room})` : name;
-            headerRow.push(headerText);
-            headerColors.push(null);
-        });
-        sheetData.push(headerRow);
-        colorData.push(headerColors);
-
-        // Find maximum number of entries in any group
-        let maxEntries = 0;
-        config.groupNames.forEach(name => {
-            const entries = drawState.groups[name] || [];
-            maxEntries = Math.max(maxEntries, entries.length);
-        });
-
-        // Data rows: one row per entry position (no row label column)
-        for (let i = 0; i < maxEntries; i++) {
-            const row = [];
-            const rowColors = [];
-            
-            config.groupNames.forEach(groupName => {
-                const entries = drawState.groups[groupName] || [];
-                const entryData = entries[i];
-                
-                if (entryData) {
-                    const entryName = typeof entryData === 'string' ? entryData : entryData.entry;
-                    const potIndex = typeof entryData === 'string' ? -1 : entryData.potIndex;
-                    const potColor = potIndex >= 0 ? POT_COLORS[potIndex % POT_COLORS.length] : null;
-                    
-                    row.push(entryName || '');
-                    rowColors.push(potColor);
-                } else {
-                    row.push('');
-                    rowColors.push(null);
-                }
-            });
-            
-            sheetData.push(row);
-            colorData.push(rowColors);
-        }
-
-        // Write to sheet using OAuth2
-        await writeToGoogleSheetOAuth(accessToken, spreadsheetId, 'Draw Results', sheetData, colorData);
-        
-        const sheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
+        const sheetUrl = await writeResultsToGoogleSheet(buildResultTabs(), '');
         updateStatus(`✓ Exported! <a href="${sheetUrl}" target="_blank" style="color: #4CAF50; text-decoration: underline; font-weight: 600;">Open Sheet</a>`);
         
         // Also open in new tab automatically
@@ -474,521 +704,246 @@ function parseSheetDataToPots(sheetData) {
     return pots;
 }
 
-// Load pots from Google Sheets
-async function loadPotsFromGoogleSheets(apiKey, sheetUrl, sheetName) {
-    const spreadsheetId = extractSpreadsheetId(sheetUrl);
-    if (!spreadsheetId) {
-        throw new Error('Invalid Google Sheets URL');
+// ---- Sheet row parsers ----
+// Turn the rows of one tab (array of arrays of strings) into constraint data.
+// Shared by every data source (data-sources.js).
+
+// First-cell words that mark a header row, per kind of tab
+const PAIR_SHEET_HEADER_KEYWORDS = ['entry', 'name', 'participant', 'person', 'team', 'cannot', 'must'];
+const TOPIC_SHEET_HEADER_KEYWORDS = ['entry', 'name', 'participant', 'person', 'team', 'topic', 'group'];
+const ROOM_SHEET_HEADER_KEYWORDS = ['room', 'name'];
+
+// Index of the first data row: 1 if the first row looks like a header, else 0
+function getFirstDataRow(sheetData, headerKeywords) {
+    if (sheetData.length > 0 && sheetData[0] && sheetData[0][0]) {
+        const firstCell = sheetData[0][0].toLowerCase().trim();
+        if (headerKeywords.some(keyword => firstCell.includes(keyword))) {
+            return 1; // Skip header row
+        }
     }
+    return 0;
+}
 
-    const sheetData = await fetchGoogleSheetData(apiKey, spreadsheetId, sheetName);
-    const pots = parseSheetDataToPots(sheetData);
-
-    if (pots.length === 0) {
-        throw new Error('No pots found in the sheet');
+// CannotBeWith / MustBeWith: each row is a pair in columns A and B
+function parsePairSheet(sheetData) {
+    const pairs = [];
+    const startRow = getFirstDataRow(sheetData, PAIR_SHEET_HEADER_KEYWORDS);
+
+    for (let i = startRow; i < sheetData.length; i++) {
+        const row = sheetData[i];
+        if (row && row[0] && row[1]) {
+            const entry1 = row[0].trim();
+            const entry2 = row[1].trim();
+            if (entry1 && entry2 && entry1.length > 0 && entry2.length > 0) {
+                pairs.push([entry1, entry2]);
+            }
+        }
     }
 
-    return pots;
+    return pairs;
 }
 
-// Load constraints from CannotBeWith sheet
-async function loadCannotBeWithConstraints(apiKey, sheetUrl, accessToken = null) {
-    try {
-        let spreadsheetId = extractSpreadsheetId(sheetUrl);
-        
-        // If not found, try extracting from Drive URL format
-        if (!spreadsheetId) {
-            const fileId = extractFileIdFromDriveUrl(sheetUrl);
-            if (fileId) {
-                spreadsheetId = fileId;
+// MustBeInTopic: Column A = Entry Name, Column B = Topic/Group Name
+function parseMustBeInTopicSheet(sheetData) {
+    const mappings = {};
+    const startRow = getFirstDataRow(sheetData, TOPIC_SHEET_HEADER_KEYWORDS);
+
+    for (let i = startRow; i < sheetData.length; i++) {
+        const row = sheetData[i];
+        if (row && row[0] && row[1]) {
+            const entryName = row[0].trim();
+            const topicName = row[1].trim();
+            if (entryName && topicName && entryName.length > 0 && topicName.length > 0) {
+                mappings[entryName] = topicName;
             }
         }
-        
-        if (!spreadsheetId) {
-            console.warn('Invalid Google Sheets URL, skipping CannotBeWith sheet');
-            return null;
-        }
+    }
 
-        console.log('Loading CannotBeWith sheet from spreadsheet:', spreadsheetId);
-        let sheetData;
-        
-        // Use OAuth if access token provided, otherwise use API key
-        if (accessToken) {
-            const range = 'CannotBeWith!A1:B1000';
-            const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`;
-            console.log('Fetching CannotBeWith with OAuth from:', url);
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('Error fetching CannotBeWith sheet with OAuth:', errorData);
-                return null;
-            }
-            
-            const data = await response.json();
-            sheetData = data.values || [];
-            console.log('CannotBeWith sheet data received:', sheetData.length, 'rows');
-        } else {
-            // Use API key
-            if (!apiKey) {
-                console.warn('No API key provided for CannotBeWith sheet');
-                return null;
-            }
-            console.log('Fetching CannotBeWith with API key');
-            sheetData = await fetchGoogleSheetData(apiKey, spreadsheetId, 'CannotBeWith');
-            console.log('CannotBeWith sheet data received:', sheetData.length, 'rows');
-        }
-        
-        if (!sheetData || sheetData.length === 0) {
-            console.warn('CannotBeWith sheet is empty or not found');
-            return null;
-        }
+    return mappings;
+}
 
-        // Extract pairs from columns A and B (each row is a pair)
-        // Skip first row if it looks like a header (contains common header words)
-        const pairs = [];
-        const headerKeywords = ['entry', 'name', 'participant', 'person', 'team', 'cannot', 'must'];
-        let startRow = 0;
-        
-        // Check if first row looks like a header
-        if (sheetData.length > 0 && sheetData[0] && sheetData[0][0]) {
-            const firstCell = sheetData[0][0].toLowerCase().trim();
-            if (headerKeywords.some(keyword => firstCell.includes(keyword))) {
-                startRow = 1; // Skip header row
+// Rooms: one room per row in column A
+function parseRoomsSheet(sheetData) {
+    const startRow = getFirstDataRow(sheetData, ROOM_SHEET_HEADER_KEYWORDS);
+    if (startRow === 1) {
+        console.log('Header row detected in Rooms sheet, skipping first row');
+    }
+
+    const rooms = [];
+    for (let i = startRow; i < sheetData.length; i++) {
+        const row = sheetData[i];
+        if (row && row[0]) {
+            const room = row[0].trim();
+            if (room) {
+                rooms.push(room);
             }
         }
-        
-        for (let i = startRow; i < sheetData.length; i++) {
-            const row = sheetData[i];
-            if (row && row[0] && row[1]) {
-                const entry1 = row[0].trim();
-                const entry2 = row[1].trim();
-                if (entry1 && entry2 && entry1.length > 0 && entry2.length > 0) {
-                    pairs.push([entry1, entry2]);
-                }
+    }
+
+    return rooms;
+}
+
+// Topics: one group name per row in column A
+function parseTopicsSheet(topicsData) {
+    // Assume each row contains a group name, starting from row 1
+    const groupNames = [];
+    for (let i = 0; i < topicsData.length; i++) {
+        const row = topicsData[i];
+        if (row && row[0]) {
+            const name = row[0].trim();
+            if (name) {
+                groupNames.push(name);
             }
         }
+    }
 
-        if (pairs.length === 0) {
-            console.warn('No valid pairs found in CannotBeWith sheet');
-            return null;
-        }
+    return groupNames;
+}
 
-        console.log('Loaded CannotBeWith constraints:', pairs);
-        return pairs;
-    } catch (error) {
-        console.warn('Error loading CannotBeWith sheet:', error);
-        return null;
-    }
+// Attributes: header row Name | <attribute> | ..., then one row per person
+function parseAttributesSheet(sheetData) {
+    if (sheetData.length < 2) return {};
+
+    const headers = sheetData[0].map(header => normalizeName(header));
+    const attributes = {};
+    sheetData.slice(1).forEach(row => {
+        const name = (row?.[0] || '').trim();
+        if (!name) return;
+        const values = {};
+        headers.forEach((header, column) => {
+            const value = (row[column] || '').trim();
+            if (column > 0 && header && value) values[header] = value;
+        });
+        attributes[name] = values;
+    });
+
+    return attributes;
 }
 
-// Load constraints from MustBeWith sheet
-async function loadMustBeWithConstraints(apiKey, sheetUrl, accessToken = null) {
-    try {
-        let spreadsheetId = extractSpreadsheetId(sheetUrl);
-        
-        // If not found, try extracting from Drive URL format
-        if (!spreadsheetId) {
-            const fileId = extractFileIdFromDriveUrl(sheetUrl);
-            if (fileId) {
-                spreadsheetId = fileId;
-            }
-        }
-        
-        if (!spreadsheetId) {
-            console.warn('Invalid Google Sheets URL, skipping MustBeWith sheet');
-            return null;
+// AttributeRules: Attribute | Value | Min | Max
+function parseAttributeRulesSheet(sheetData) {
+    const parseLimit = (cell) => {
+        const limit = parseInt(cell, 10);
+        return Number.isNaN(limit) ? null : limit;
+    };
+    const rules = [];
+    sheetData.forEach((row, rowIndex) => {
+        const attribute = (row?.[0] || '').trim();
+        const value = (row?.[1] || '').trim();
+        const min = parseLimit(row?.[2]);
+        const max = parseLimit(row?.[3]);
+        if (!attribute || !value) return;
+        if (min === null && max === null) {
+            // Header row, or a row without limits
+            if (rowIndex > 0) console.warn(`AttributeRules row ${rowIndex + 1}: needs a Min or a Max`);
+            return;
         }
+        rules.push({ attribute, value, min, max });
+    });
 
-        console.log('Loading MustBeWith sheet from spreadsheet:', spreadsheetId);
-        let sheetData;
-        
-        // Use OAuth if access token provided, otherwise use API key
-        if (accessToken) {
-            const range = 'MustBeWith!A1:B1000';
-            const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`;
-            console.log('Fetching MustBeWith with OAuth from:', url);
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('Error fetching MustBeWith sheet with OAuth:', errorData);
-                return null;
-            }
-            
-            const data = await response.json();
-            sheetData = data.values || [];
-            console.log('MustBeWith sheet data received:', sheetData.length, 'rows');
-        } else {
-            // Use API key
-            if (!apiKey) {
-                console.warn('No API key provided for MustBeWith sheet');
-                return null;
-            }
-            console.log('Fetching MustBeWith with API key');
-            sheetData = await fetchGoogleSheetData(apiKey, spreadsheetId, 'MustBeWith');
-            console.log('MustBeWith sheet data received:', sheetData.length, 'rows');
-        }
-        
-        if (!sheetData || sheetData.length === 0) {
-            console.warn('MustBeWith sheet is empty or not found');
-            return null;
-        }
+    return rules;
+}
 
-        // Extract pairs from columns A and B (each row is a pair)
-        // Skip first row if it looks like a header (contains common header words)
-        const pairs = [];
-        const headerKeywords = ['entry', 'name', 'participant', 'person', 'team', 'cannot', 'must'];
-        let startRow = 0;
-        
-        // Check if first row looks like a header
-        if (sheetData.length > 0 && sheetData[0] && sheetData[0][0]) {
-            const firstCell = sheetData[0][0].toLowerCase().trim();
-            if (headerKeywords.some(keyword => firstCell.includes(keyword))) {
-                startRow = 1; // Skip header row
-            }
+// SoftRules: Type (apart/together) | Weight | Label | Entry 1 | Entry 2 | ...
+function parseSoftRulesSheet(sheetData) {
+    const rules = [];
+    sheetData.forEach((row, rowIndex) => {
+        const type = (row?.[0] || '').trim().toLowerCase();
+        if (type !== 'apart' && type !== 'together') {
+            // Header row or a type we don't know
+            if (rowIndex > 0 && type) console.warn(`SoftRules row ${rowIndex + 1}: unknown type "${row[0]}" - use apart or together`);
+            return;
         }
-        
-        for (let i = startRow; i < sheetData.length; i++) {
-            const row = sheetData[i];
-            if (row && row[0] && row[1]) {
-                const entry1 = row[0].trim();
-                const entry2 = row[1].trim();
-                if (entry1 && entry2 && entry1.length > 0 && entry2.length > 0) {
-                    pairs.push([entry1, entry2]);
-                }
-            }
+        const weight = parseFloat(row[1]) || 1;
+        const entries = row.slice(3).map(cell => (cell || '').trim()).filter(Boolean);
+        if (entries.length < 2) {
+            console.warn(`SoftRules row ${rowIndex + 1}: needs at least two entries`);
+            return;
         }
+        const label = (row[2] || '').trim() || `${type === 'apart' ? 'Keep apart' : 'Keep together'}: ${entries.join(', ')}`;
+        rules.push({ type, weight, label, entries });
+    });
 
-        if (pairs.length === 0) {
-            console.warn('No valid pairs found in MustBeWith sheet');
-            return null;
-        }
+    return rules;
+}
 
-        console.log('Loaded MustBeWith constraints:', pairs);
-        return pairs;
-    } catch (error) {
-        console.warn('Error loading MustBeWith sheet:', error);
+// Fetch an optional constraint sheet by tab name (OAuth token or API key)
+// Returns the rows, or null when the sheet is missing or cannot be read
+async function fetchOptionalSheet(apiKey, sheetUrl, sheetName, accessToken = null) {
+    const spreadsheetId = extractSpreadsheetId(sheetUrl) || extractFileIdFromDriveUrl(sheetUrl);
+    if (!spreadsheetId) {
+        console.warn(`Invalid Google Sheets URL, skipping ${sheetName} sheet`);
         return null;
     }
-}
-
-// Load constraints from MustBeInTopic sheet
-async function loadMustBeInTopicConstraints(apiKey, sheetUrl, accessToken = null) {
-    try {
-        let spreadsheetId = extractSpreadsheetId(sheetUrl);
-        
-        // If not found, try extracting from Drive URL format
-        if (!spreadsheetId) {
-            const fileId = extractFileIdFromDriveUrl(sheetUrl);
-            if (fileId) {
-                spreadsheetId = fileId;
-            }
-        }
-        
-        if (!spreadsheetId) {
-            console.warn('Invalid Google Sheets URL, skipping MustBeInTopic sheet');
-            return null;
-        }
-
-        console.log('Loading MustBeInTopic sheet from spreadsheet:', spreadsheetId);
-        let sheetData;
-        
-        // Use OAuth if access token provided, otherwise use API key
-        if (accessToken) {
-            const range = 'MustBeInTopic!A1:B1000';
-            const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`;
-            console.log('Fetching MustBeInTopic with OAuth from:', url);
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('Error fetching MustBeInTopic sheet with OAuth:', errorData);
-                return null;
-            }
-            
-            const data = await response.json();
-            sheetData = data.values || [];
-            console.log('MustBeInTopic sheet data received:', sheetData.length, 'rows');
-        } else {
-            // Use API key
-            if (!apiKey) {
-                console.warn('No API key provided for MustBeInTopic sheet');
-                return null;
-            }
-            console.log('Fetching MustBeInTopic with API key');
-            sheetData = await fetchGoogleSheetData(apiKey, spreadsheetId, 'MustBeInTopic');
-            console.log('MustBeInTopic sheet data received:', sheetData.length, 'rows');
-        }
-        
-        if (!sheetData || sheetData.length === 0) {
-            console.warn('MustBeInTopic sheet is empty or not found');
-            return null;
-        }
-
-        // Extract mappings: Column A = Entry Name, Column B = Topic/Group Name
-        // Skip first row if it looks like a header
-        const mappings = {};
-        const headerKeywords = ['entry', 'name', 'participant', 'person', 'team', 'topic', 'group'];
-        let startRow = 0;
-        
-        // Check if first row looks like a header
-        if (sheetData.length > 0 && sheetData[0] && sheetData[0][0]) {
-            const firstCell = sheetData[0][0].toLowerCase().trim();
-            if (headerKeywords.some(keyword => firstCell.includes(keyword))) {
-                startRow = 1; // Skip header row
-            }
-        }
-        
-        for (let i = startRow; i < sheetData.length; i++) {
-            const row = sheetData[i];
-            if (row && row[0] && row[1]) {
-                const entryName = row[0].trim();
-                const topicName = row[1].trim();
-                if (entryName && topicName && entryName.length > 0 && topicName.length > 0) {
-                    mappings[entryName] = topicName;
-                }
-            }
-        }
 
-        if (Object.keys(mappings).length === 0) {
-            console.warn('No valid mappings found in MustBeInTopic sheet');
+    if (accessToken) {
+        try {
+            return await fetchGoogleSheetDataOAuth(accessToken, spreadsheetId, sheetName);
+        } catch (error) {
+            console.warn(`${sheetName} sheet not available with OAuth:`, error.message);
             return null;
         }
-
-        console.log('Loaded MustBeInTopic constraints:', mappings);
-        return mappings;
-    } catch (error) {
-        console.warn('Error loading MustBeInTopic sheet:', error);
+    }
+    if (!apiKey) {
+        console.warn(`No API key provided for ${sheetName} sheet`);
         return null;
     }
+    return await fetchGoogleSheetData(apiKey, spreadsheetId, sheetName);
 }
 
-// Load rooms from Rooms sheet
-async function loadRoomsFromSheet(apiKey, sheetUrl, accessToken = null) {
+// Detect number of pots and groups from a Google Sheet
+async function detectSheetStructure(apiKey, sheetUrl, sheetName) {
     try {
-        let spreadsheetId = extractSpreadsheetId(sheetUrl);
-        
-        // If not found, try extracting from Drive URL format
-        if (!spreadsheetId) {
-            const fileId = extractFileIdFromDriveUrl(sheetUrl);
-            if (fileId) {
-                spreadsheetId = fileId;
-            }
-        }
-        
+        const spreadsheetId = extractSpreadsheetId(sheetUrl);
         if (!spreadsheetId) {
-            console.warn('Invalid Google Sheets URL, skipping Rooms sheet');
-            return null;
-        }
-
-        let sheetData;
-        
-        // Use OAuth if access token provided, otherwise use API key
-        if (accessToken) {
-            const range = 'Rooms!A1:A1000';
-            const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.warn('Error fetching Rooms sheet with OAuth:', errorData);
-                return null;
-            }
-            
-            const data = await response.json();
-            sheetData = data.values || [];
-        } else {
-            // Use API key
-            if (!apiKey) {
-                console.warn('No API key provided for Rooms sheet');
-                return null;
-            }
-            sheetData = await fetchGoogleSheetData(apiKey, spreadsheetId, 'Rooms');
-        }
-        
-        if (!sheetData || sheetData.length === 0) {
-            console.warn('Rooms sheet is empty or not found');
-            return null;
-        }
-
-        // Extract rooms from column A (single column)
-        // Skip first row if it looks like a header
-        const headerKeywords = ['room', 'name'];
-        let startRow = 0;
-        
-        if (sheetData.length > 0 && sheetData[0] && sheetData[0][0]) {
-            const firstCell = sheetData[0][0].toLowerCase().trim();
-            if (headerKeywords.some(keyword => firstCell.includes(keyword))) {
-                startRow = 1;
-                console.log('Header row detected in Rooms sheet, skipping first row');
-            }
-        }
-        
-        const rooms = [];
-        for (let i = startRow; i < sheetData.length; i++) {
-            const row = sheetData[i];
-            if (row && row[0]) {
-                const room = row[0].trim();
-                if (room) {
-                    rooms.push(room);
-                }
-            }
-        }
-
-        if (rooms.length === 0) {
-            console.warn('No valid rooms found in Rooms sheet');
             return null;
         }
 
-        console.log('Loaded rooms from Rooms sheet:', rooms);
-        return rooms; // Return as array, will be mapped to groups by index
+        const sheetData = await fetchGoogleSheetData(apiKey, spreadsheetId, sheetName);
+        return detectStructureFromRows(sheetData);
     } catch (error) {
-        console.warn('Error loading Rooms sheet:', error);
+        console.error('Error detecting sheet structure:', error);
         return null;
     }
 }
 
-// Load group names from Topics sheet
-async function loadGroupNamesFromTopicsSheet(apiKey, sheetUrl, accessToken = null) {
-    try {
-        let spreadsheetId = extractSpreadsheetId(sheetUrl);
-        
-        // If not found, try extracting from Drive URL format
-        if (!spreadsheetId) {
-            const fileId = extractFileIdFromDriveUrl(sheetUrl);
-            if (fileId) {
-                // If it's a Google Sheets file, the file ID is the spreadsheet ID
-                spreadsheetId = fileId;
-            }
-        }
-        
-        if (!spreadsheetId) {
-            console.warn('Invalid Google Sheets URL, skipping Topics sheet');
-            return null;
-        }
-
-        let topicsData;
-        
-        // Use OAuth if access token provided, otherwise use API key
-        if (accessToken) {
-            const range = 'Topics!A1:A1000';
-            const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.warn('Error fetching Topics sheet with OAuth:', errorData);
-                return null;
-            }
-            
-            const data = await response.json();
-            topicsData = data.values || [];
-        } else {
-            // Use API key
-            topicsData = await fetchGoogleSheetData(apiKey, spreadsheetId, 'Topics');
-        }
-        
-        if (!topicsData || topicsData.length === 0) {
-            console.warn('Topics sheet is empty or not found');
-            return null;
-        }
-
-        // Extract group names from column A (first column)
-        // Assume each row contains a group name, starting from row 1
-        const groupNames = [];
-        for (let i = 0; i < topicsData.length; i++) {
-            const row = topicsData[i];
-            if (row && row[0]) {
-                const name = row[0].trim();
-                if (name) {
-                    groupNames.push(name);
-                }
-            }
-        }
-
-        if (groupNames.length === 0) {
-            console.warn('No group names found in Topics sheet');
-            return null;
-        }
-
-        console.log('Loaded group names from Topics sheet:', groupNames);
-        return groupNames;
-    } catch (error) {
-        console.warn('Error loading Topics sheet:', error);
-        // Don't throw - just return null so we can fall back to default names
+// Detect number of pots and groups from the rows of a Participants sheet
+function detectStructureFromRows(sheetData) {
+    if (!sheetData || sheetData.length === 0) {
         return null;
     }
-}
-
-// Detect number of pots and groups from a Google Sheet
-async function detectSheetStructure(apiKey, sheetUrl, sheetName) {
-    try {
-        const spreadsheetId = extractSpreadsheetId(sheetUrl);
-        if (!spreadsheetId) {
-            return null;
-        }
-
-        const sheetData = await fetchGoogleSheetData(apiKey, spreadsheetId, sheetName);
-        if (!sheetData || sheetData.length === 0) {
-            return null;
-        }
 
-        const headers = sheetData[0] || [];
-        // Count columns with non-empty headers in first row (these are the pots)
-        const numPots = headers.filter(h => h && h.trim()).length;
+    const headers = sheetData[0] || [];
+    // Count columns with non-empty headers in first row (these are the pots)
+    const numPots = headers.filter(h => h && h.trim()).length;
 
-        // Count entries in each column up to row 10 (index 1-10, so rows 2-11) and find minimum
-        const entryCounts = [];
-        const maxRowToCheck = Math.min(11, sheetData.length); // Check up to row 11 (index 10)
+    // Count entries in each column up to row 10 (index 1-10, so rows 2-11) and find minimum
+    const entryCounts = [];
+    const maxRowToCheck = Math.min(11, sheetData.length); // Check up to row 11 (index 10)
+    
+    for (let colIndex = 0; colIndex < headers.length; colIndex++) {
+        if (!headers[colIndex] || !headers[colIndex].trim()) continue;
         
-        for (let colIndex = 0; colIndex < headers.length; colIndex++) {
-            if (!headers[colIndex] || !headers[colIndex].trim()) continue;
-            
-            let count = 0;
-            // Start from row 2 (index 1), check up to row 11 (index 10)
-            for (let rowIndex = 1; rowIndex < maxRowToCheck; rowIndex++) {
-                const row = sheetData[rowIndex];
-                if (row && row[colIndex] && row[colIndex].trim()) {
-                    count++;
-                }
-            }
-            if (count > 0) {
-                entryCounts.push(count);
+        let count = 0;
+        // Start from row 2 (index 1), check up to row 11 (index 10)
+        for (let rowIndex = 1; rowIndex < maxRowToCheck; rowIndex++) {
+            const row = sheetData[rowIndex];
+            if (row && row[colIndex] && row[colIndex].trim()) {
+                count++;
             }
         }
+        if (count > 0) {
+            entryCounts.push(count);
+        }
+    }
 
-        const numGroups = entryCounts.length > 0 ? Math.min(...entryCounts) : 0;
+    const numGroups = entryCounts.length > 0 ? Math.min(...entryCounts) : 0;
 
-        return {
-            numPots: numPots,
-            numGroups: numGroups,
-            entryCounts: entryCounts // For debugging
-        };
-    } catch (error) {
-        console.error('Error detecting sheet structure:', error);
-        return null;
-    }
+    return {
+        numPots: numPots,
+        numGroups: numGroups,
+        entryCounts: entryCounts // For debugging
+    };
 }
 
 // ==================== END GOOGLE SHEETS INTEGRATION ====================
@@ -1133,30 +1088,6 @@ function isSignedIn() {
     return accessToken !== null;
 }
 
-// Extract File ID from various Google Drive URL formats
-function extractFileIdFromDriveUrl(url) {
-    if (!url) return null;
-
-    // Format 1: https://drive.google.com/file/d/FILE_ID/view
-    let match = url.match(/\/file\/d\/([a-zA-Z0-9-_]+)/);
-    if (match) return match[1];
-
-    // Format 2: https://drive.google.com/open?id=FILE_ID
-    match = url.match(/[?&]id=([a-zA-Z0-9-_]+)/);
-    if (match) return match[1];
-
-    // Format 3: https://docs.google.com/spreadsheets/d/FILE_ID/edit (already handled by extractSpreadsheetId)
-    match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-    if (match) return match[1];
-
-    // Format 4: Direct file ID
-    if (/^[a-zA-Z0-9-_]+$/.test(url.trim())) {
-        return url.trim();
-    }
-
-    return null;
-}
-
 // Get file metadata from Google Drive
 async function getDriveFileMetadata(fileId) {
     if (!accessToken) {
@@ -1212,29 +1143,100 @@ async function downloadDriveFile(fileId, mimeType) {
     }
 }
 
-// Parse CSV content into array of arrays
-function parseCSV(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim());
-    return lines.map(line => {
-        // Simple CSV parser (handles basic cases)
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+// Delimiters parseCSV can detect: comma, semicolon (European Excel) and tab
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// Pick the delimiter that appears most often in the first record, outside quotes
+function detectCSVDelimiter(csvText) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+    for (let i = 0; i < csvText.length; i++) {
+        const char = csvText[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && char in counts) {
+            counts[char]++;
+        }
+    }
+    // Ties (including a single column) go to the comma
+    return CSV_DELIMITERS.reduce((best, delimiter) => counts[delimiter] > counts[best] ? delimiter : best, ',');
+}
+
+// Parse CSV content into array of arrays (RFC 4180)
+// - Quoted fields may contain the delimiter, line breaks and "" for a quote
+// - CRLF, LF and CR line ends; a leading byte order mark is dropped
+// - The delimiter is detected (',', ';' or tab) unless options.delimiter is given
+// - Unquoted fields are trimmed; blank lines are skipped
+function parseCSV(csvText, options = {}) {
+    const text = (csvText || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectCSVDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;   // current field started with a quote
+    let inQuotes = false; // inside the quoted part right now
+    let quotedRow = false; // some field of the current row was quoted
+    let i = 0;
+
+    const endField = () => {
+        row.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+    };
+    const endRow = () => {
+        endField();
+        // A blank line is a single empty, unquoted field
+        if (row.length > 1 || row[0] !== '' || quotedRow) rows.push(row);
+        row = [];
+        quotedRow = false;
+    };
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+    while (i < text.length) {
+        const char = text[i];
+        if (inQuotes) {
             if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
             } else {
-                current += char;
+                field += char;
             }
+            i++;
+            continue;
         }
-        result.push(current.trim());
-        return result;
-    });
+
+        if (char === '"' && !quoted && field.trim() === '') {
+            // Opening quote (whitespace before it is ignored)
+            field = '';
+            quoted = true;
+            quotedRow = true;
+            inQuotes = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            endRow();
+            if (char === '\r' && text[i + 1] === '\n') i++;
+        } else if (quoted) {
+            // Text after a closing quote is kept (lenient, like Excel), whitespace is not
+            if (char.trim() !== '') field += char;
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (inQuotes) {
+        console.warn('CSV ends inside a quoted field - the closing quote is missing');
+    }
+    if (field !== '' || quoted || row.length > 0) {
+        endRow();
+    }
+    return rows;
 }
 
 // Parse JSON content
@@ -1284,89 +1286,696 @@ async function loadDataFromGoogleDrive(fileUrl, fileType = 'auto') {
     };
 }
 
-// Load pots from Google Drive file (wrapper function)
-async function loadPotsFromGoogleDrive(fileUrl, clientId) {
-    // Initialize API if not already done
-    if (!isSignedIn()) {
-        if (!clientId) {
-            throw new Error('Google Drive Client ID is required. Please provide it in the setup.');
-        }
-        
-        await initGoogleDriveAPI(clientId);
-        await signInWithGoogle();
+// Sign in with Google (OAuth2) unless already signed in
+async function ensureGoogleSignIn(clientId) {
+    if (isSignedIn()) return;
+    if (!clientId) {
+        throw new Error('Google OAuth Client ID is required. Please provide it in the setup.');
     }
-
-    // Load and parse the file
-    const result = await loadDataFromGoogleDrive(fileUrl);
-    
-    // Parse into pots format (assuming same structure as Google Sheets)
-    return parseSheetDataToPots(result.data);
+    await initGoogleDriveAPI(clientId);
+    await signInWithGoogle();
 }
 
 // ==================== END GOOGLE DRIVE API INTEGRATION ====================
 
-// ==================== CONFIGURATION STATE ====================
-let config = {
-    eventTitle: 'Tastewise Hacktivate',
-    numGroups: 8,
-    numPots: 4,
-    groupNames: [],
-    pots: [], // Array of { name: string, entries: string[] }
-    groupRooms: {}, // Map of group name to room (e.g., { "Group A": "Room 101" })
-    animationDuration: 0.8 // Duration in seconds between draws in animated mode
-};
-
-// ==================== POT COLORS ====================
-// Colors chosen for good contrast with white/yellow text and distinct from each other
-const POT_COLORS = [
-    '#E74C3C', // Red - good contrast
-    '#1ABC9C', // Turquoise - good contrast
-    '#3498DB', // Blue - good contrast
-    '#2ECC71', // Green - good contrast
-    '#9B59B6', // Purple - good contrast
-    '#E67E22', // Orange - good contrast
-    '#F1C40F', // Yellow - good contrast (changed from orange/yellow)
-    '#34495E'  // Dark Blue-Gray - good contrast (changed from dark red)
-];
+// ==================== LOCAL FILE IMPORT ====================
+// Offline alternative to the Google sources: picked or dropped files are read by
+// createLocalFileSource (data-sources.js) like the tabs of a Google Sheet. A workbook is read as
+// { tabName: rows }, rows being arrays of strings like the Sheets API returns.
+// - .xlsx: every tab of the workbook (Participants, CannotBeWith, Topics, ...)
+// - .csv/.tsv: one tab; named after the file when it matches a tab name, else Participants
+// - .json: { "Participants": [[...]], "CannotBeWith": [[...]] } (or wrapped in "sheets")
 
-// Convert hex color to RGB for Google Sheets API
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        red: parseInt(result[1], 16) / 255,
-        green: parseInt(result[2], 16) / 255,
-        blue: parseInt(result[3], 16) / 255
-    } : null;
-}
+// Tabs the importer recognises in file names, as the data sources name them
+const IMPORT_SHEET_NAMES = ['Participants', 'CannotBeWith', 'MustBeWith', 'MustBeInTopic', 'Rooms', 'Topics', 'SoftRules', 'Attributes', 'AttributeRules', 'Scoring'];
 
-// ==================== DRAW STATE ====================
-let drawState = {
-    pots: [], // Deep copy of config.pots for draw
-    groups: {}, // { groupName: [{entry: string, potIndex: number}, ...] }
-    isDrawing: false,
-    drawComplete: false,
-    abortRequested: false
-};
+let localImport = null; // { fileNames: [], sheets: { tabName: rows } } once files are picked
 
-// ==================== DOM ELEMENTS ====================
-const setupScreen = document.getElementById('setupScreen');
-const drawScreen = document.getElementById('drawScreen');
+// Cells as trimmed-safe strings (JSON numbers, nulls) so the sheet parsers can .trim() them
+function normalizeImportedRows(rows) {
+    if (!Array.isArray(rows)) return [];
+    return rows.map(row => (Array.isArray(row) ? row : [row]).map(cell => cell === null || cell === undefined ? '' : String(cell)));
+}
 
-// Step elements
-const step1 = document.getElementById('step1');
-const step2 = document.getElementById('step2');
-const step3 = document.getElementById('step3');
+// Find a tab by name, ignoring case and spaces
+function findImportedSheet(sheets, sheetName) {
+    const key = Object.keys(sheets).find(name => normalizeName(name).replace(/\s+/g, '') === normalizeName(sheetName).replace(/\s+/g, ''));
+    return key ? sheets[key] : null;
+}
 
-// ==================== SETUP SCREEN LOGIC ====================
+// Read the entries of a .zip (an .xlsx is one) from its central directory
+// Returns Map name -> { method, data } with data still compressed
+function readZipEntries(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+
+    // End of central directory record: last 22+ bytes, found by its signature
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not a valid .xlsx file (no zip directory found)');
+    }
 
-// Initialize default group names (A, B, C, ...)
-function generateDefaultGroupNames(count) {
-    const names = [];
+    const entries = new Map();
+    const decoder = new TextDecoder();
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
     for (let i = 0; i < count; i++) {
-        if (i < 26) {
-            names.push(String.fromCharCode(65 + i)); // A, B, C, ...
-        } else {
-            names.push(`Group ${i + 1}`);
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt .xlsx file (bad zip directory entry)');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entries.set(name, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Unpack one zip entry to text (stored or deflated)
+async function readZipText(entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.method === 0) {
+        return new TextDecoder().decode(entry.data);
+    }
+    if (entry.method !== 8) {
+        throw new Error(`Unsupported compression in .xlsx file (${name})`);
+    }
+    const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return await new Response(stream).text();
+}
+
+// Decode the XML escapes used in cell text
+function decodeXmlText(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Attributes of an XML start tag as an object
+function readXmlAttributes(tag) {
+    const attributes = {};
+    for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+        attributes[name.replace(/^\w+:/, '')] = decodeXmlText(value);
+    }
+    return attributes;
+}
+
+// All <t> text inside a fragment (rich text runs are joined, phonetic hints dropped)
+function readXmlRunText(xml) {
+    const withoutPhonetic = xml.replace(/<(\w+:)?rPh\b[\s\S]*?<\/(\w+:)?rPh>/g, '');
+    return Array.from(withoutPhonetic.matchAll(/<(?:\w+:)?t(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?t>/g))
+        .map(match => decodeXmlText(match[1]))
+        .join('');
+}
+
+// Column letters of a cell reference to a 0-based index ("C7" -> 2)
+function columnIndexFromRef(ref) {
+    const letters = (ref.match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+// Rows of one worksheet XML
+function parseWorksheetXml(xml, sharedStrings) {
+    const rows = [];
+    for (const [, rowTag, rowBody] of xml.matchAll(/<(?:\w+:)?row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?row>)/g)) {
+        const rowNumber = parseInt(readXmlAttributes(rowTag).r, 10) || rows.length + 1;
+        const row = [];
+        for (const [, cellTag, cellBody = ''] of (rowBody || '').matchAll(/<(?:\w+:)?c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?c>)/g)) {
+            const { r, t } = readXmlAttributes(cellTag);
+            const valueMatch = cellBody.match(/<(?:\w+:)?v(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?v>/);
+            const rawValue = valueMatch ? decodeXmlText(valueMatch[1]) : '';
+            let value;
+            if (t === 's') {
+                value = sharedStrings[parseInt(rawValue, 10)] || '';
+            } else if (t === 'inlineStr') {
+                value = readXmlRunText(cellBody);
+            } else if (t === 'b') {
+                value = rawValue === '1' ? 'TRUE' : 'FALSE';
+            } else {
+                value = rawValue;
+            }
+            const column = r ? columnIndexFromRef(r) : row.length;
+            while (row.length < column) row.push('');
+            row[column] = value;
+        }
+        while (rows.length < rowNumber - 1) rows.push([]);
+        rows[rowNumber - 1] = row;
+    }
+    // Like the Sheets API: no trailing empty cells or rows
+    rows.forEach(row => {
+        while (row.length > 0 && row[row.length - 1] === '') row.pop();
+    });
+    while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+    return rows;
+}
+
+// Read every tab of an .xlsx workbook: { tabName: rows }
+async function readXlsxWorkbook(arrayBuffer) {
+    const entries = readZipEntries(arrayBuffer);
+    const workbookXml = await readZipText(entries, 'xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Not an Excel workbook (xl/workbook.xml is missing)');
+    }
+
+    const relsXml = await readZipText(entries, 'xl/_rels/workbook.xml.rels') || '';
+    const targets = {};
+    for (const [tag] of relsXml.matchAll(/<(?:\w+:)?Relationship\b[^>]*>/g)) {
+        const { Id, Target } = readXmlAttributes(tag);
+        if (Id && Target) {
+            targets[Id] = Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`;
+        }
+    }
+
+    const sharedXml = await readZipText(entries, 'xl/sharedStrings.xml') || '';
+    const sharedStrings = Array.from(sharedXml.matchAll(/<(?:\w+:)?si>([\s\S]*?)<\/(?:\w+:)?si>/g)).map(match => readXmlRunText(match[1]));
+
+    const sheets = {};
+    for (const [tag] of workbookXml.matchAll(/<(?:\w+:)?sheet\b[^>]*>/g)) {
+        const { name, id } = readXmlAttributes(tag);
+        const sheetXml = targets[id] ? await readZipText(entries, targets[id]) : null;
+        if (name && sheetXml) {
+            sheets[name] = parseWorksheetXml(sheetXml, sharedStrings);
+        }
+    }
+    return sheets;
+}
+
+// Read one picked/dropped file into { tabName: rows }
+async function readImportFile(file) {
+    const name = file.name || '';
+    const extension = name.split('.').pop().toLowerCase();
+    const baseName = name.replace(/\.[^.]+$/, '');
+
+    if (extension === 'xlsx') {
+        return await readXlsxWorkbook(await file.arrayBuffer());
+    }
+    if (extension === 'csv' || extension === 'tsv') {
+        const tabName = IMPORT_SHEET_NAMES.find(sheetName => normalizeName(sheetName) === normalizeName(baseName)) || 'Participants';
+        return { [tabName]: parseCSV(await file.text()) };
+    }
+    if (extension === 'json') {
+        const bundle = parseJSON(await file.text());
+        if (Array.isArray(bundle)) {
+            return { Participants: normalizeImportedRows(bundle) };
+        }
+        const tabs = bundle && typeof bundle.sheets === 'object' ? bundle.sheets : bundle;
+        if (!tabs || typeof tabs !== 'object') {
+            throw new Error(`${name}: expected an object of tabs, e.g. { "Participants": [["Pot 1", "Pot 2"], ...] }`);
+        }
+        const sheets = {};
+        Object.entries(tabs).forEach(([tabName, rows]) => {
+            if (Array.isArray(rows)) sheets[tabName] = normalizeImportedRows(rows);
+        });
+        return sheets;
+    }
+    throw new Error(`${name}: unsupported file type. Use .csv, .tsv, .json or .xlsx`);
+}
+
+// Read all picked files; later files replace tabs of the same name
+async function importLocalFiles(files) {
+    const sheets = {};
+    const fileNames = [];
+    for (const file of Array.from(files)) {
+        Object.assign(sheets, await readImportFile(file));
+        fileNames.push(file.name);
+    }
+    if (!findImportedSheet(sheets, 'Participants') && Object.keys(sheets).length > 0) {
+        console.warn('No Participants tab in the imported files');
+    }
+    localImport = { fileNames, sheets };
+    console.log('Imported local files:', fileNames, Object.keys(sheets));
+    return localImport;
+}
+
+// Show what was imported and fill in the detected pots/groups like "Detect Structure"
+function renderLocalImportStatus(errorMessage = null) {
+    const status = document.getElementById('localFileStatus');
+    if (!status) return;
+
+    if (errorMessage) {
+        status.textContent = `Error: ${errorMessage}`;
+        status.style.color = '#ff6b6b';
+        return;
+    }
+    if (!localImport) {
+        status.textContent = '';
+        return;
+    }
+
+    const sheetName = document.getElementById('sheetName')?.value.trim() || 'Participants';
+    const participants = findImportedSheet(localImport.sheets, sheetName);
+    const tabs = Object.keys(localImport.sheets).join(', ') || 'none';
+    if (!participants) {
+        status.textContent = `Loaded ${localImport.fileNames.join(', ')} - tabs: ${tabs}. No "${sheetName}" tab found.`;
+        status.style.color = '#ff6b6b';
+        return;
+    }
+
+    const structure = detectStructureFromRows(participants);
+    if (structure && structure.numPots > 0 && structure.numGroups > 0) {
+        document.getElementById('numPots').value = structure.numPots;
+        document.getElementById('numGroups').value = structure.numGroups;
+        renderExpectedGroupSizes();
+    }
+    status.textContent = `✓ Loaded ${localImport.fileNames.join(', ')} - tabs: ${tabs}` +
+        (structure ? ` (detected ${structure.numPots} pots, ${structure.numGroups} groups)` : '');
+    status.style.color = '#4CAF50';
+}
+
+// ==================== END LOCAL FILE IMPORT ====================
+
+// ==================== IMPORT REPORT ====================
+// Checks the raw rows of the last load (Google Sheets, Drive or a local file) before
+// the data is accepted. Every issue points back into the spreadsheet:
+// { severity, sheet, cell ('B3' or null), message }
+// Errors stop the setup until the sheet is fixed; warnings are shown and the data is used.
+
+let importedSheets = { participants: null, tabs: {} }; // raw rows of the last load
+
+// Forget the rows of the previous load
+function resetImportedSheets() {
+    importedSheets = { participants: null, tabs: {} };
+}
+
+// Keep the raw rows of a tab for the report (the Participants tab is kept separately)
+function rememberImportedSheet(sheetName, rows, isParticipants = false) {
+    if (!rows) return;
+    if (isParticipants) {
+        importedSheets.participants = { name: sheetName, rows };
+    } else {
+        importedSheets.tabs[sheetName] = rows;
+    }
+}
+
+// Build the report for the remembered rows; null when nothing was loaded
+// Returns { issues, errors, warnings }
+function buildImportReport(numPots) {
+    const participants = importedSheets.participants;
+    if (!participants) return null;
+
+    const issues = [];
+    const add = (severity, sheet, cell, message) => issues.push({ severity, sheet, cell, message });
+    const sheet = participants.name;
+    const rows = participants.rows || [];
+    const headers = rows[0] || [];
+
+    // ---- Pots (one per column of row 1, as parseSheetDataToPots reads them) ----
+    if (rows.length === 0) {
+        add('error', sheet, null, 'The sheet is empty - put pot names in row 1 and entries below them');
+        return { issues, errors: 1, warnings: 0 };
+    }
+    if (headers.length !== numPots) {
+        add('error', sheet, cellRef(0, 0), `Row 1 has ${headers.length} pot columns, but Step 1 says ${numPots} - change "Number of Pots" or the sheet`);
+    }
+
+    // Same rows parseSheetDataToPots reads: 2 to 11
+    const lastRow = Math.min(11, rows.length);
+    const seen = {}; // normalized name -> { name, cell }
+    headers.forEach((header, column) => {
+        const potName = (header || '').trim() || `Pot ${column + 1}`;
+        if (!(header || '').trim()) {
+            add('warning', sheet, cellRef(0, column), `Column has no pot name - it will be called "${potName}"`);
+        }
+        let entries = 0;
+        for (let rowIndex = 1; rowIndex < rows.length; rowIndex++) {
+            const raw = rows[rowIndex]?.[column] || '';
+            const name = raw.trim();
+            if (!name) continue;
+            const cell = cellRef(rowIndex, column);
+            if (rowIndex >= lastRow) {
+                add('warning', sheet, cell, `"${name}" is below row 11 and will not be loaded`);
+                continue;
+            }
+            entries++;
+
+            const key = normalizeName(name);
+            const first = seen[key];
+            if (!first) {
+                seen[key] = { name, cell, potName };
+            } else if (first.name === name) {
+                add('error', sheet, cell, first.potName === potName
+                    ? `"${name}" appears twice in ${potName} (first at ${first.cell})`
+                    : `"${name}" is already in ${first.potName} (${first.cell})`);
+            } else {
+                add('error', sheet, cell, `"${name}" and "${first.name}" (${first.cell}) differ only by case or spaces and would be treated as the same person`);
+            }
+        }
+        if (entries === 0) {
+            add('warning', sheet, cellRef(0, column), `Pot "${potName}" has no entries`);
+        }
+    });
+
+    // Entries under a column without a pot name in row 1 are ignored by the loader
+    rows.slice(1, lastRow).forEach((row, offset) => {
+        (row || []).forEach((value, column) => {
+            if (column >= headers.length && (value || '').trim()) {
+                add('warning', sheet, cellRef(offset + 1, column), `"${value.trim()}" has no pot name above it in row 1 and will not be loaded`);
+            }
+        });
+    });
+
+    // ---- Names in constraint sheets ----
+    const checkNames = (tabName, firstRow, columnsOf, consequence = 'the rule is ignored') => {
+        const tabRows = importedSheets.tabs[tabName];
+        if (!tabRows) return;
+        for (let rowIndex = firstRow; rowIndex < tabRows.length; rowIndex++) {
+            columnsOf(tabRows[rowIndex] || []).forEach(column => {
+                const name = (tabRows[rowIndex][column] || '').trim();
+                if (name && !seen[normalizeName(name)]) {
+                    add('warning', tabName, cellRef(rowIndex, column), `"${name}" is not in any pot - ${consequence}`);
+                }
+            });
+        }
+    };
+    const pairTab = (tabName) => {
+        const tabRows = importedSheets.tabs[tabName];
+        if (tabRows) checkNames(tabName, getFirstDataRow(tabRows, PAIR_SHEET_HEADER_KEYWORDS), () => [0, 1]);
+    };
+    pairTab('CannotBeWith');
+    pairTab('MustBeWith');
+    if (importedSheets.tabs.MustBeInTopic) {
+        checkNames('MustBeInTopic', getFirstDataRow(importedSheets.tabs.MustBeInTopic, TOPIC_SHEET_HEADER_KEYWORDS), () => [0]);
+    }
+    checkNames('SoftRules', 0, row => {
+        const type = (row[0] || '').trim().toLowerCase();
+        return type === 'apart' || type === 'together' ? row.map((_, column) => column).slice(3) : [];
+    });
+    checkNames('Attributes', 1, () => [0], 'the row is ignored');
+
+    return {
+        issues,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+}
+
+// Show the report under the setup steps (hidden when there is nothing to say)
+function renderImportReport(report) {
+    const container = document.getElementById('importReport');
+    if (!container) return;
+
+    if (!report || report.issues.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const title = report.errors > 0
+        ? `Import report: ${report.errors} error${report.errors === 1 ? '' : 's'} to fix in the spreadsheet`
+        : `Import report: ${report.warnings} warning${report.warnings === 1 ? '' : 's'}`;
+    container.innerHTML = `
+        <h4>${title}</h4>
+        <table>
+            <tr><th></th><th>Where</th><th>Problem</th></tr>
+            ${report.issues.map(issue => `
+                <tr class="report-${issue.severity}">
+                    <td>${issue.severity === 'error' ? '✗' : '⚠'}</td>
+                    <td>${issue.sheet}${issue.cell ? `!${issue.cell}` : ''}</td>
+                    <td>${issue.message}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+    container.classList.remove('hidden');
+}
+
+// ==================== END IMPORT REPORT ====================
+
+// ==================== CONFIGURATION STATE ====================
+let config = {
+    eventTitle: 'Tastewise Hacktivate',
+    numGroups: 8,
+    numPots: 4,
+    groupNames: [],
+    pots: [], // Array of { name: string, entries: string[] }
+    rooms: [], // Rooms as loaded, assigned to the groups when the draw starts
+    groupRooms: {}, // Map of group name to room (e.g., { "Group A": "Room 101" })
+    animationDuration: 0.8, // Duration in seconds between draws in animated mode
+    drawSeed: '', // Seed for reproducible draws (empty = random seed per draw)
+    // Team sizes: 'balanced' (all within ±1), 'range' (minSize..maxSize) or 'free' (only the pots decide)
+    groupSizePolicy: { mode: 'balanced', minSize: null, maxSize: null },
+    // Teammate history: 'off', 'soft' (prefer new teammates) or 'hard' (never repeat) over the last N archived events
+    novelty: { mode: 'off', lastEvents: 1 },
+    // Judging criteria from the Scoring tab; null uses APP_CONFIG.scoring or the defaults (voting-solution.js)
+    scoring: null
+};
+
+// ==================== POT COLORS ====================
+// Colors chosen for good contrast with white/yellow text and distinct from each other
+const POT_COLORS = [
+    '#E74C3C', // Red - good contrast
+    '#1ABC9C', // Turquoise - good contrast
+    '#3498DB', // Blue - good contrast
+    '#2ECC71', // Green - good contrast
+    '#9B59B6', // Purple - good contrast
+    '#E67E22', // Orange - good contrast
+    '#F1C40F', // Yellow - good contrast (changed from orange/yellow)
+    '#34495E'  // Dark Blue-Gray - good contrast (changed from dark red)
+];
+
+// Convert hex color to RGB for Google Sheets API
+function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+        red: parseInt(result[1], 16) / 255,
+        green: parseInt(result[2], 16) / 255,
+        blue: parseInt(result[3], 16) / 255
+    } : null;
+}
+
+// ==================== DRAW STATE ====================
+let drawState = {
+    pots: [], // Deep copy of config.pots for draw
+    groups: {}, // { groupName: [{entry: string, potIndex: number}, ...] }
+    isDrawing: false,
+    drawComplete: false,
+    abortRequested: false,
+    seed: null, // Seed for drawRandom
+    seedCommitment: null, // SHA-256 of the seed, shown before the draw
+    seedRevealed: false,
+    randomCalls: 0 // Values drawn from drawRandom so far (lets a resumed draw continue the stream)
+};
+
+// ==================== SEEDED RANDOMNESS ====================
+// All draw randomness comes from drawRandom, a PRNG seeded per draw.
+// Same seed + same pots + same constraints = the same drawState.groups.
+// The SHA-256 hash of the seed is shown before the draw (commitment) and the
+// seed itself is revealed once the draw is complete, so anyone can check
+// that the organizers did not re-roll.
+
+// Random source for the draw engine (replaced by a seeded PRNG when a draw starts)
+let drawRandom = Math.random;
+
+// Settles once the commitment for the current seed has been computed and shown
+let seedCommitmentReady = Promise.resolve();
+
+// drawState.randomCalls when the current draw step began, see beginDrawStep
+let drawStepStart = 0;
+
+// hashSeed and createSeededRandom are in data-sources.js (the voting tie-breaks use them too)
+
+// Uniform random integer in [0, maxExclusive)
+// Works on 32-bit integers with rejection sampling, so no value is favoured
+// (plain Math.floor(random() * n) is slightly biased when n doesn't divide 2^32)
+function randomInt(maxExclusive, random = drawRandom) {
+    if (!Number.isInteger(maxExclusive) || maxExclusive < 1 || maxExclusive > 4294967296) {
+        throw new Error(`randomInt: invalid range ${maxExclusive}`);
+    }
+    const limit = 4294967296 - (4294967296 % maxExclusive);
+    let value;
+    do {
+        value = Math.floor(random() * 4294967296);
+    } while (value >= limit);
+    return value % maxExclusive;
+}
+
+// Pick one element uniformly at random
+function pickRandom(array, random = drawRandom) {
+    return array[randomInt(array.length, random)];
+}
+
+// Shuffle a copy of an array (Fisher-Yates)
+// Every permutation is equally likely - never shuffle with a random sort comparator
+function shuffleArray(array, random = drawRandom) {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1, random);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Generate a fresh random seed (128 bits, hex)
+function generateRandomSeed() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA-256 of the seed, hex encoded - the published commitment
+async function computeSeedCommitment(seed) {
+    if (!window.crypto?.subtle) {
+        throw new Error('SHA-256 is not available (page must be served over https or localhost)');
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(seed));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Seed the draw engine for the current drawState and publish the commitment
+function seedDraw(seed) {
+    drawState.seed = seed || generateRandomSeed();
+    drawState.seedRevealed = false;
+    drawState.randomCalls = 0;
+    drawRandom = createDrawRandom(drawState);
+    console.log('Draw seeded. Commitment will be published before the first placement.');
+
+    drawState.seedCommitment = null;
+    renderSeedInfo();
+    const seedForCommitment = drawState.seed;
+    seedCommitmentReady = computeSeedCommitment(seedForCommitment)
+        .then(commitment => {
+            if (drawState.seed !== seedForCommitment) return; // Draw was re-seeded meanwhile
+            drawState.seedCommitment = commitment;
+            console.log('Seed commitment (SHA-256):', commitment);
+            renderSeedInfo();
+        })
+        .catch(error => {
+            console.warn('Could not compute seed commitment:', error);
+            renderSeedInfo(error.message);
+        });
+}
+
+// drawRandom for a draw state: seeded from state.seed and fast-forwarded past the
+// state.randomCalls values already used, so a resumed draw continues the same stream
+function createDrawRandom(state) {
+    const random = createSeededRandom(state.seed);
+    for (let i = 0; i < (state.randomCalls || 0); i++) random();
+    return () => {
+        state.randomCalls = (state.randomCalls || 0) + 1;
+        return random();
+    };
+}
+
+// Move the seeded stream to the given position (undo and redo put it back where a step left it)
+function setDrawRandomPosition(randomCalls) {
+    drawState.randomCalls = randomCalls;
+    drawRandom = createDrawRandom(drawState);
+}
+
+// Start of a draw step: placements recorded from here on can be undone back to this position
+function beginDrawStep() {
+    drawStepStart = drawState.randomCalls || 0;
+}
+
+// Solves that only check something (redo) run on their own stream derived from the seed,
+// so they never move the draw's stream and a replay of the seed gives the same groups
+function solveDrawForCheck(extraPlacements = []) {
+    const savedRandom = drawRandom;
+    drawRandom = createSeededRandom(`${drawState.seed}:check`);
+    try {
+        return solveDraw(extraPlacements);
+    } finally {
+        drawRandom = savedRandom;
+    }
+}
+
+// Assign the loaded rooms to the groups at random, from the seeded stream
+// so the same seed reproduces the rooms along with the teams
+function assignGroupRooms() {
+    config.groupRooms = {};
+    const shuffledRooms = shuffleArray(config.rooms || []);
+    config.groupNames.forEach((groupName, index) => {
+        if (index < shuffledRooms.length) {
+            config.groupRooms[groupName] = shuffledRooms[index];
+        }
+    });
+}
+
+// Wait until the commitment of the current seed is published (or known to be unavailable),
+// so no draw mode places anything before the hash is on screen
+async function waitForSeedCommitment() {
+    if (drawState.seedCommitment) return;
+    updateStatus('Publishing the seed commitment...');
+    await seedCommitmentReady;
+}
+
+// Reveal the seed once the draw is complete
+function revealDrawSeed() {
+    drawState.seedRevealed = true;
+    console.log('Draw seed revealed:', drawState.seed);
+    renderSeedInfo();
+    updateUndoRedoButtons();
+}
+
+// Show the commitment (before/during the draw) or the revealed seed (after)
+function renderSeedInfo(errorMessage = null) {
+    const seedInfo = document.getElementById('seedInfo');
+    if (!seedInfo) return;
+
+    if (errorMessage) {
+        seedInfo.innerHTML = `<span class="seed-label">Seed commitment unavailable:</span> ${errorMessage}`;
+        return;
+    }
+    if (!drawState.seedCommitment) {
+        seedInfo.innerHTML = '<span class="seed-label">Computing seed commitment...</span>';
+        return;
+    }
+    if (drawState.seedRevealed) {
+        seedInfo.innerHTML = `
+            <span class="seed-label">🔓 Seed:</span> <code>${drawState.seed}</code>
+            <span class="seed-label">SHA-256:</span> <code>${drawState.seedCommitment}</code>
+            <div class="seed-hint">Hash the seed with SHA-256 to check it against the commitment published before the draw. Entering the same seed with the same pots and constraints reproduces this draw.</div>
+        `;
+    } else {
+        seedInfo.innerHTML = `
+            <span class="seed-label">🔒 Seed commitment (SHA-256):</span> <code>${drawState.seedCommitment}</code>
+            <div class="seed-hint">The seed is revealed when the draw is complete.</div>
+        `;
+    }
+}
+
+// ==================== DOM ELEMENTS ====================
+const setupScreen = document.getElementById('setupScreen');
+const drawScreen = document.getElementById('drawScreen');
+
+// Step elements
+const step1 = document.getElementById('step1');
+const step2 = document.getElementById('step2');
+const step3 = document.getElementById('step3');
+
+// ==================== SETUP SCREEN LOGIC ====================
+
+// Initialize default group names (A, B, C, ...)
+function generateDefaultGroupNames(count) {
+    const names = [];
+    for (let i = 0; i < count; i++) {
+        if (i < 26) {
+            names.push(String.fromCharCode(65 + i)); // A, B, C, ...
+        } else {
+            names.push(`Group ${i + 1}`);
         }
     }
     return names;
@@ -1523,6 +2132,27 @@ function validateConfig() {
         return false;
     }
 
+    // Teammates from past events become constraints first, so they are checked too
+    const novelty = applyNoveltyConstraints();
+
+    // Check pots and constraints for contradictions before the draw opens
+    const issues = analyzeDrawFeasibility();
+    if (novelty.skipped.length > 0) {
+        issues.push({
+            severity: 'warning',
+            message: `Novelty: ${novelty.skipped.length} previous teammate pair${novelty.skipped.length === 1 ? ' is' : 's are'} kept together by MustBeWith or MustBeInGroup and may be teammates again: ` +
+                novelty.skipped.map(pair => pair.entries.join(' & ')).join(', '),
+            fix: 'Change those MustBeWith/MustBeInGroup rows if they should be apart this time'
+        });
+    }
+    renderFeasibilityReport(issues);
+    if (issues.some(issue => issue.severity === 'error')) {
+        console.warn('Pre-draw feasibility check failed:', issues);
+        validationMsg.classList.remove('hidden');
+        validationText.textContent = 'The draw cannot start - see the problems listed below';
+        return false;
+    }
+
     validationMsg.classList.add('hidden');
     return true;
 }
@@ -1537,35 +2167,203 @@ function showValidation(message) {
 
 function hideValidation() {
     document.getElementById('validationMessage').classList.add('hidden');
+    renderFeasibilityReport([]);
+}
+
+// Read the team size policy from Step 1
+function readGroupSizePolicy() {
+    const mode = document.getElementById('groupSizePolicy')?.value || 'free';
+    const minSize = parseInt(document.getElementById('minGroupSize')?.value) || null;
+    const maxSize = parseInt(document.getElementById('maxGroupSize')?.value) || null;
+    return mode === 'range' ? { mode, minSize, maxSize } : { mode, minSize: null, maxSize: null };
+}
+
+// Build the data source picked in Step 1 (see data-sources.js)
+// Returns { source } - source is null when nothing is configured and the pots are typed in by hand - or { error }
+function readDataSourceFromSetup(numGroups, numPots) {
+    const dataSource = document.querySelector('input[name="dataSource"]:checked')?.value || 'sheets';
+    const appConfig = typeof APP_CONFIG !== 'undefined' ? APP_CONFIG : {};
+
+    // The sheet URL falls back to the last one used, then to config.js
+    const sheetUrl = document.getElementById('googleSheetUrl')?.value.trim() ||
+                     localStorage.getItem('lastGoogleSheetUrl') ||
+                     appConfig.googleSheets?.lastSheetUrl || '';
+    const apiKey = document.getElementById('googleApiKey')?.value.trim() || appConfig.googleSheets?.apiKey || '';
+    const sheetName = document.getElementById('sheetName')?.value.trim() || appConfig.googleSheets?.defaultSheetName || 'Participants';
+    const clientId = document.getElementById('googleDriveClientId')?.value.trim() ||
+                     document.getElementById('googleDriveClientIdForExport')?.value.trim() ||
+                     localStorage.getItem('googleDriveClientId') ||
+                     appConfig.googleDrive?.clientId || '';
+    const fileUrl = document.getElementById('googleDriveFileUrl')?.value.trim() || '';
+
+    try {
+        switch (dataSource) {
+            case 'sheets':
+                if (!sheetUrl) return { error: 'Please enter a Google Sheets URL' };
+                if (!apiKey) return { error: 'Please enter your Google Sheets API key (or add it to config.js)' };
+                return { source: createSheetsApiKeySource({ sheetUrl, apiKey, sheetName, clientId }) };
+            case 'sheetsOAuth':
+                if (!sheetUrl) return { error: 'Please enter a Google Sheets URL' };
+                if (!clientId) return { error: 'Please enter your Google OAuth Client ID (or add it to config.js)' };
+                return { source: createSheetsOAuthSource({ sheetUrl, clientId, sheetName }) };
+            case 'drive':
+                if (!fileUrl) return { source: null };
+                if (!clientId) return { error: 'Please enter your Google OAuth Client ID (or add it to config.js)' };
+                return { source: createDriveFileSource({ fileUrl, clientId, apiKey, sheetName }) };
+            case 'file':
+                return { source: createLocalFileSource({ sheetName }) };
+            case 'demo':
+                return { source: createMockDataSource(buildDemoSheets(numGroups, numPots)) };
+            default:
+                return { source: null };
+        }
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// The data source the event was loaded from (EXPORT writes its results back through it)
+let activeDataSource = null;
+
+// Load pots, topics, rooms and constraints from a data source into config and CHEAT_CONSTRAINTS
+async function loadEventFromDataSource(source, numGroups) {
+    resetImportedSheets();
+    config.pots = await source.loadPots();
+
+    // Topics name the groups; missing names are padded with the defaults
+    const topics = await source.loadTopics();
+    const defaultNames = generateDefaultGroupNames(numGroups);
+    config.groupNames = defaultNames.map((name, index) => topics?.[index] || name);
+
+    // Rooms are assigned to the groups when the draw starts (see assignGroupRooms)
+    config.rooms = (await source.loadRooms()) || [];
+    config.groupRooms = {};
+
+    Object.assign(CHEAT_CONSTRAINTS, await source.loadConstraints());
+    config.scoring = await source.loadScoring();
+    activeDataSource = source;
+    console.log(`Loaded from ${source.label}:`, config.pots.map(p => `${p.name} (${p.entries.length})`).join(', '));
+}
+
+// Describe the team sizes a policy leads to, e.g. "6 teams of 4 and 2 teams of 3"
+function describeExpectedGroupSizes(numGroups, totalEntries, policy) {
+    if (numGroups < 1) return '';
+    const smaller = Math.floor(totalEntries / numGroups);
+    const biggerCount = totalEntries % numGroups;
+    const evenSplit = biggerCount === 0
+        ? `${numGroups} teams of ${smaller}`
+        : `${biggerCount} team${biggerCount === 1 ? '' : 's'} of ${smaller + 1} and ${numGroups - biggerCount} of ${smaller}`;
+
+    if (policy.mode === 'balanced') {
+        return `${totalEntries} entries → ${evenSplit}`;
+    }
+    if (policy.mode === 'range') {
+        const { min, max } = getGroupSizeLimits(policy, numGroups, totalEntries);
+        if (min > max) return `Minimum (${min}) is larger than maximum (${max})`;
+        if (min * numGroups > totalEntries || max * numGroups < totalEntries) {
+            return `⚠ ${totalEntries} entries cannot make ${numGroups} teams of ${min}-${max === Infinity ? '∞' : max} members`;
+        }
+        return `${totalEntries} entries → ${numGroups} teams of ${min}-${max === Infinity ? '∞' : max} members (an even split would be ${evenSplit})`;
+    }
+    return `${totalEntries} entries → sizes follow the pots (an even split would be ${evenSplit})`;
+}
+
+// Show the expected team sizes under the policy selector in Step 1
+// Uses the loaded pots when there are any, otherwise one entry per group in every pot
+function renderExpectedGroupSizes() {
+    const hint = document.getElementById('expectedGroupSizes');
+    if (!hint) return;
+
+    const policy = readGroupSizePolicy();
+    const rangeFields = document.getElementById('groupSizeRange');
+    if (rangeFields) rangeFields.classList.toggle('hidden', policy.mode !== 'range');
+
+    const numGroups = parseInt(document.getElementById('numGroups')?.value) || 0;
+    const numPots = parseInt(document.getElementById('numPots')?.value) || 0;
+    const loadedEntries = countConfigEntries();
+    const totalEntries = loadedEntries || numGroups * numPots;
+    const source = loadedEntries ? '' : ' (assuming one entry per group in every pot)';
+    hint.textContent = `Expected team sizes: ${describeExpectedGroupSizes(numGroups, totalEntries, policy)}${source}`;
 }
 
 // ==================== NAVIGATION ====================
 
-// Handle data source selection (Google Drive vs Google Sheets)
+// Handle data source selection (Google Drive, Google Sheets with an API key or OAuth, local file, demo data)
 document.querySelectorAll('input[name="dataSource"]').forEach(radio => {
     radio.addEventListener('change', (e) => {
         const driveSection = document.getElementById('driveApiSection');
         const sheetsSection = document.getElementById('sheetsApiSection');
+        const fileSection = document.getElementById('fileImportSection');
         
-        if (e.target.value === 'drive') {
-            driveSection.style.display = 'block';
-            sheetsSection.style.display = 'none';
-        } else {
-            driveSection.style.display = 'none';
-            sheetsSection.style.display = 'block';
-        }
+        driveSection.style.display = e.target.value === 'drive' ? 'block' : 'none';
+        sheetsSection.style.display = e.target.value === 'sheets' || e.target.value === 'sheetsOAuth' ? 'block' : 'none';
+        fileSection.style.display = e.target.value === 'file' ? 'block' : 'none';
     });
 });
 
-// Handle Google Drive connection button
-document.getElementById('connectGoogleDriveBtn').addEventListener('click', async () => {
-    const clientIdInput = document.getElementById('googleDriveClientId');
-    const clientId = clientIdInput.value.trim() || 
-                     (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleDrive?.clientId || '' : '');
-    const statusDiv = document.getElementById('googleDriveStatus');
-    
-    if (!clientId) {
-        statusDiv.textContent = 'Please enter your Google OAuth Client ID first (or add it to config.js).';
+// Local file import: file picker and drag-and-drop onto the drop zone
+async function handleLocalFiles(files) {
+    if (!files || files.length === 0) return;
+    try {
+        await importLocalFiles(files);
+        renderLocalImportStatus();
+    } catch (error) {
+        localImport = null;
+        renderLocalImportStatus(error.message);
+        console.error('Local import error:', error);
+    }
+}
+
+document.getElementById('localFileInput').addEventListener('change', (e) => {
+    handleLocalFiles(e.target.files);
+});
+
+document.getElementById('fileDropZone').addEventListener('click', () => {
+    document.getElementById('localFileInput').click();
+});
+
+document.getElementById('fileDropZone').addEventListener('dragover', (e) => {
+    e.preventDefault();
+    document.getElementById('fileDropZone').classList.add('drag-over');
+});
+
+document.getElementById('fileDropZone').addEventListener('dragleave', () => {
+    document.getElementById('fileDropZone').classList.remove('drag-over');
+});
+
+document.getElementById('fileDropZone').addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.getElementById('fileDropZone').classList.remove('drag-over');
+    handleLocalFiles(e.dataTransfer.files);
+});
+
+// Event bundle import: a JSON file exported with EXPORT BUNDLE
+document.getElementById('importBundleBtn').addEventListener('click', () => {
+    document.getElementById('eventBundleInput').click();
+});
+
+document.getElementById('eventBundleInput').addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Picking the same file again should import it again
+    if (!file) return;
+    try {
+        hideValidation();
+        await importEventBundleFile(file);
+    } catch (error) {
+        showValidation(`Event Bundle Error: ${error.message}`);
+        console.error('Event bundle import error:', error);
+    }
+});
+
+// Handle Google Drive connection button
+document.getElementById('connectGoogleDriveBtn').addEventListener('click', async () => {
+    const clientIdInput = document.getElementById('googleDriveClientId');
+    const clientId = clientIdInput.value.trim() || 
+                     (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleDrive?.clientId || '' : '');
+    const statusDiv = document.getElementById('googleDriveStatus');
+    
+    if (!clientId) {
+        statusDiv.textContent = 'Please enter your Google OAuth Client ID first (or add it to config.js).';
         statusDiv.style.color = '#ff6b6b';
         return;
     }
@@ -1595,51 +2393,8 @@ document.getElementById('continueToStep2').addEventListener('click', async () =>
     const numPots = parseInt(document.getElementById('numPots').value);
     const eventTitle = document.getElementById('eventTitle').value.trim();
     const animationDuration = parseFloat(document.getElementById('animationDuration').value) || 0.8;
-    const dataSource = document.querySelector('input[name="dataSource"]:checked')?.value || 'sheets';
-    
-    // Google Sheets API fields - check input field FIRST, then fallbacks
-    const sheetUrlInput = document.getElementById('googleSheetUrl');
-    // Try multiple ways to get the value
-    const inputUrlValue = sheetUrlInput?.value || sheetUrlInput?.getAttribute('value') || '';
-    const localStorageUrl = localStorage.getItem('lastGoogleSheetUrl') || '';
-    const configUrl = (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleSheets?.lastSheetUrl || '' : '');
-    
-    // Use whichever URL is available (input field takes priority)
-    let googleSheetUrl = inputUrlValue.trim() || localStorageUrl.trim() || configUrl.trim();
-    
-    // If we found a URL in the input but it's not in localStorage, save it
-    if (inputUrlValue.trim() && inputUrlValue.trim() !== localStorageUrl) {
-        localStorage.setItem('lastGoogleSheetUrl', inputUrlValue.trim());
-        googleSheetUrl = inputUrlValue.trim();
-    }
-    
-    const apiKeyInput = document.getElementById('googleApiKey');
-    const inputApiKey = apiKeyInput?.value || '';
-    const configApiKey = (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleSheets?.apiKey || '' : '');
-    const googleApiKey = inputApiKey.trim() || configApiKey.trim();
-    
-    const sheetNameInput = document.getElementById('sheetName');
-    const inputSheetName = sheetNameInput?.value || '';
-    const configSheetName = (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleSheets?.defaultSheetName || 'Participants' : 'Participants');
-    const sheetName = inputSheetName.trim() || configSheetName;
-    
-    console.log('=== STEP 1 -> STEP 2 DEBUG ===');
-    console.log('Data source:', dataSource);
-    console.log('Input field element exists:', !!sheetUrlInput);
-    console.log('Input field value (raw):', sheetUrlInput?.value);
-    console.log('Input field value (trimmed):', inputUrlValue.trim());
-    console.log('Input field disabled?', sheetUrlInput?.disabled);
-    console.log('Input field readonly?', sheetUrlInput?.readOnly);
-    console.log('localStorage URL:', localStorageUrl);
-    console.log('config URL:', configUrl);
-    console.log('Google Sheet URL FINAL:', googleSheetUrl);
-    console.log('API Key present:', !!googleApiKey);
-    console.log('Sheet name:', sheetName);
-    
-    // Google Drive API fields (use config as fallback)
-    const googleDriveClientId = document.getElementById('googleDriveClientId').value.trim() || 
-                                 (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleDrive?.clientId || '' : '');
-    const googleDriveFileUrl = document.getElementById('googleDriveFileUrl').value.trim();
+    const drawSeed = document.getElementById('drawSeed')?.value.trim() || '';
+    const groupSizePolicy = readGroupSizePolicy();
 
     if (numGroups < 1 || numGroups > 16) {
         showValidation('Number of groups must be between 1 and 16');
@@ -1650,12 +2405,28 @@ document.getElementById('continueToStep2').addEventListener('click', async () =>
         return;
     }
 
+    if (groupSizePolicy.mode === 'range' && !groupSizePolicy.minSize && !groupSizePolicy.maxSize) {
+        showValidation('Enter a minimum and/or maximum team size');
+        return;
+    }
+
+    const { source, error: sourceError } = readDataSourceFromSetup(numGroups, numPots);
+    if (sourceError) {
+        showValidation(sourceError);
+        return;
+    }
+
     hideValidation();
+    resetImportedSheets();
+    renderImportReport(null);
 
     config.eventTitle = eventTitle || 'Custom Draw';
     config.numGroups = numGroups;
     config.numPots = numPots;
     config.animationDuration = animationDuration;
+    config.drawSeed = drawSeed;
+    config.groupSizePolicy = groupSizePolicy;
+    config.novelty = readNoveltySettings();
     config.groupNames = generateDefaultGroupNames(numGroups);
     
     // Save animation duration to localStorage
@@ -1664,330 +2435,43 @@ document.getElementById('continueToStep2').addEventListener('click', async () =>
     const btn = document.getElementById('continueToStep2');
     btn.disabled = true;
 
-    // Check which data source is selected
-    if (dataSource === 'drive' && googleDriveFileUrl && googleDriveClientId) {
-        try {
-            // Show loading message
-            showValidation('Loading data from Google Drive...');
-            
-            // Load pots from Google Drive
-            const loadedPots = await loadPotsFromGoogleDrive(googleDriveFileUrl, googleDriveClientId);
-
-            // Validate loaded data
-            if (loadedPots.length !== numPots) {
-                showValidation(`File has ${loadedPots.length} pots, but you specified ${numPots} pots. Please adjust.`);
-                btn.disabled = false;
-                return;
-            }
-
-            // DO NOT truncate entries - keep ALL entries from ALL pots
-            // We'll distribute all entries across groups, allowing imbalance
-
-            config.pots = loadedPots;
-            
-            // Try to get API key from input or config for fetching sheets
-            const topicsApiKey = googleApiKey || (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleSheets?.apiKey || '' : '');
-            
-            // Load group names from Topics sheet (if it's a Google Sheets file)
-            try {
-                const topicsGroupNames = await loadGroupNamesFromTopicsSheet(topicsApiKey, googleDriveFileUrl, accessToken);
-                if (topicsGroupNames && topicsGroupNames.length > 0) {
-                    // Use group names from Topics sheet
-                    if (topicsGroupNames.length >= numGroups) {
-                        config.groupNames = topicsGroupNames.slice(0, numGroups);
-                    } else {
-                        // Use Topics names first, then pad with default names
-                        const defaultNames = generateDefaultGroupNames(numGroups);
-                        config.groupNames = [...topicsGroupNames];
-                        for (let i = topicsGroupNames.length; i < numGroups; i++) {
-                            config.groupNames.push(defaultNames[i]);
-                        }
-                    }
-                    console.log('Group names loaded from Topics sheet:', config.groupNames);
-                } else {
-                    // Fall back to default names if Topics sheet not found or empty
-                    config.groupNames = generateDefaultGroupNames(numGroups);
-                    console.log('Using default group names (Topics sheet not found or empty)');
-                }
-                
-                // Load rooms from Rooms sheet and randomly assign to groups
-                try {
-                    const rooms = await loadRoomsFromSheet(topicsApiKey, googleDriveFileUrl, accessToken);
-                    if (rooms && Array.isArray(rooms) && rooms.length > 0) {
-                        // Randomly assign rooms to groups
-                        config.groupRooms = {};
-                        const shuffledRooms = [...rooms].sort(() => Math.random() - 0.5); // Shuffle rooms
-                        config.groupNames.forEach((groupName, index) => {
-                            if (index < shuffledRooms.length) {
-                                config.groupRooms[groupName] = shuffledRooms[index];
-                            }
-                        });
-                        console.log('Loaded and randomly assigned rooms from Rooms sheet:', config.groupRooms);
-                    } else {
-                        config.groupRooms = {};
-                        console.log('Rooms sheet not found or empty');
-                    }
-                } catch (error) {
-                    console.warn('Could not load Rooms sheet:', error);
-                    config.groupRooms = {};
-                }
-            } catch (error) {
-                console.warn('Could not load Topics sheet, using default group names:', error);
-                config.groupNames = generateDefaultGroupNames(numGroups);
-            }
-            
-            // Load constraints from CannotBeWith and MustBeWith sheets
-            try {
-                console.log('Loading constraints from CannotBeWith and MustBeWith sheets...');
-                const cannotBeWithPairs = await loadCannotBeWithConstraints(topicsApiKey, googleDriveFileUrl, accessToken);
-                if (cannotBeWithPairs && cannotBeWithPairs.length > 0) {
-                    CHEAT_CONSTRAINTS.cannotBeWith = cannotBeWithPairs;
-                    console.log('✓ Loaded CannotBeWith constraints from sheet:', cannotBeWithPairs);
-                } else {
-                    // Clear constraints if sheet not found (instead of keeping old values)
-                    CHEAT_CONSTRAINTS.cannotBeWith = [];
-                    console.log('⚠ CannotBeWith sheet not found or empty, constraints cleared');
-                }
-                
-                const mustBeWithPairs = await loadMustBeWithConstraints(topicsApiKey, googleDriveFileUrl, accessToken);
-                if (mustBeWithPairs && mustBeWithPairs.length > 0) {
-                    CHEAT_CONSTRAINTS.mustBeWith = mustBeWithPairs;
-                    console.log('✓ Loaded MustBeWith constraints from sheet:', mustBeWithPairs);
-                } else {
-                    // Clear constraints if sheet not found (instead of keeping old values)
-                    CHEAT_CONSTRAINTS.mustBeWith = [];
-                    console.log('⚠ MustBeWith sheet not found or empty, constraints cleared');
-                }
-                
-                const mustBeInTopicMappings = await loadMustBeInTopicConstraints(topicsApiKey, googleDriveFileUrl, accessToken);
-                if (mustBeInTopicMappings && Object.keys(mustBeInTopicMappings).length > 0) {
-                    CHEAT_CONSTRAINTS.mustBeInGroup = mustBeInTopicMappings;
-                    console.log('✓ Loaded MustBeInTopic constraints from sheet:', mustBeInTopicMappings);
-                } else {
-                    // Clear constraints if sheet not found
-                    CHEAT_CONSTRAINTS.mustBeInGroup = {};
-                    console.log('⚠ MustBeInTopic sheet not found or empty, constraints cleared');
-                }
-            } catch (error) {
-                console.error('Error loading constraint sheets:', error);
-                // Clear constraints on error to avoid using stale data
-                CHEAT_CONSTRAINTS.cannotBeWith = [];
-                CHEAT_CONSTRAINTS.mustBeWith = [];
-                CHEAT_CONSTRAINTS.mustBeInGroup = {};
-            }
-            
-            btn.disabled = false;
-            hideValidation();
-
-        } catch (error) {
-            showValidation(`Google Drive Error: ${error.message}`);
-            btn.disabled = false;
-            return;
-        }
-    } else if (dataSource === 'sheets') {
-        // LAST CHANCE: Check the input field one more time right now
-        const inputField = document.getElementById('googleSheetUrl');
-        const inputValue = inputField?.value?.trim() || '';
-        
-        // If input field has a value, save it to localStorage immediately
-        if (inputValue) {
-            localStorage.setItem('lastGoogleSheetUrl', inputValue);
-            console.log('Found URL in input field, saved to localStorage:', inputValue);
-        }
-        
-        // Get URL from localStorage (most reliable)
-        const localStorageUrl = localStorage.getItem('lastGoogleSheetUrl') || '';
-        const actualSheetUrl = localStorageUrl || inputValue || googleSheetUrl || '';
-        
-        console.log('=== FINAL URL CHECK ===');
-        console.log('Input field value RIGHT NOW:', inputValue);
-        console.log('localStorage URL:', localStorageUrl);
-        console.log('Using URL:', actualSheetUrl);
-        
-        if (!actualSheetUrl) {
-            showValidation('Please enter a Google Sheets URL in the input field');
-            btn.disabled = false;
-            return;
-        }
-        // Check if we have API key (from input or config)
-        const finalApiKey = googleApiKey || (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleSheets?.apiKey || '' : '');
-        
-        if (!finalApiKey) {
-            showValidation('Please enter your Google Sheets API key (or add it to config.js)');
-            btn.disabled = false;
-            return;
-        }
-        
-        // Use the API key we found
-        const apiKeyToUse = finalApiKey;
-        
-        // Make absolutely sure we have a URL
-        const urlToUse = googleSheetUrl || localStorage.getItem('lastGoogleSheetUrl') || '';
-        
-        if (!urlToUse) {
-            showValidation('Please enter a Google Sheets URL');
-            btn.disabled = false;
-            return;
-        }
-        
-        console.log('=== LOADING FROM SHEET ===');
-        console.log('URL being used:', urlToUse);
-        console.log('API Key being used:', apiKeyToUse ? apiKeyToUse.substring(0, 10) + '...' : 'MISSING');
-        console.log('Sheet name:', sheetName);
-        
+    activeDataSource = null;
+    if (source) {
         try {
-            // Show loading message
-            showValidation('Loading data from Google Sheets...');
-
-            // Load pots from Google Sheets - use the actual URL we found
-            const loadedPots = await loadPotsFromGoogleSheets(apiKeyToUse, actualSheetUrl, sheetName);
-            console.log('Loaded pots BEFORE processing:', loadedPots);
-            console.log('Loaded pots entries:', loadedPots.map(p => ({ name: p.name, entryCount: p.entries?.length || 0, entries: p.entries })));
-
-            // Validate loaded data
-            if (loadedPots.length !== numPots) {
-                showValidation(`Sheet has ${loadedPots.length} pots, but you specified ${numPots} pots. Please adjust.`);
-                btn.disabled = false;
-                return;
-            }
-
-            // DO NOT truncate entries - keep ALL entries from ALL pots
-            // Ensure entries arrays exist, but don't limit them
-            for (const pot of loadedPots) {
-                if (!pot.entries || !Array.isArray(pot.entries)) {
-                    pot.entries = [];
-                }
-                // Keep ALL entries - we'll distribute all of them across groups
-            }
-
-            // Deep copy to ensure data is preserved - keep the pot names from the sheet
-            config.pots = loadedPots.map(pot => ({
-                name: pot.name || `Pot ${loadedPots.indexOf(pot) + 1}`, // Use name from sheet, fallback to default
-                entries: Array.isArray(pot.entries) ? [...pot.entries] : [] // Copy entries array
-            }));
-            
-            console.log('Pots loaded from Google Sheets:', config.pots);
-            console.log('Pot names from sheet:', config.pots.map(p => p.name));
-            
-            // Load group names from Topics sheet
-            try {
-                const topicsGroupNames = await loadGroupNamesFromTopicsSheet(apiKeyToUse, actualSheetUrl);
-                if (topicsGroupNames && topicsGroupNames.length > 0) {
-                    // Use group names from Topics sheet
-                    // If we have more names than groups, take the first numGroups
-                    // If we have fewer names, pad with default names
-                    if (topicsGroupNames.length >= numGroups) {
-                        config.groupNames = topicsGroupNames.slice(0, numGroups);
-                    } else {
-                        // Use Topics names first, then pad with default names
-                        const defaultNames = generateDefaultGroupNames(numGroups);
-                        config.groupNames = [...topicsGroupNames];
-                        for (let i = topicsGroupNames.length; i < numGroups; i++) {
-                            config.groupNames.push(defaultNames[i]);
-                        }
-                    }
-                    console.log('Group names loaded from Topics sheet:', config.groupNames);
-                } else {
-                    // Fall back to default names if Topics sheet not found or empty
-                    config.groupNames = generateDefaultGroupNames(numGroups);
-                    console.log('Using default group names (Topics sheet not found or empty)');
-                }
-                
-                // Load rooms from Rooms sheet and randomly assign to groups
-                try {
-                    const rooms = await loadRoomsFromSheet(apiKeyToUse, actualSheetUrl);
-                    if (rooms && Array.isArray(rooms) && rooms.length > 0) {
-                        // Randomly assign rooms to groups
-                        config.groupRooms = {};
-                        const shuffledRooms = [...rooms].sort(() => Math.random() - 0.5); // Shuffle rooms
-                        config.groupNames.forEach((groupName, index) => {
-                            if (index < shuffledRooms.length) {
-                                config.groupRooms[groupName] = shuffledRooms[index];
-                            }
-                        });
-                        console.log('Loaded and randomly assigned rooms from Rooms sheet:', config.groupRooms);
-                    } else {
-                        config.groupRooms = {};
-                        console.log('Rooms sheet not found or empty');
-                    }
-                } catch (error) {
-                    console.warn('Could not load Rooms sheet:', error);
-                    config.groupRooms = {};
-                }
-            } catch (error) {
-                console.warn('Could not load Topics sheet, using default group names:', error);
-                config.groupNames = generateDefaultGroupNames(numGroups);
-            }
-            
-            // Load constraints from CannotBeWith and MustBeWith sheets
-            try {
-                console.log('Loading constraints from CannotBeWith and MustBeWith sheets...');
-                const cannotBeWithPairs = await loadCannotBeWithConstraints(apiKeyToUse, actualSheetUrl);
-                if (cannotBeWithPairs && cannotBeWithPairs.length > 0) {
-                    CHEAT_CONSTRAINTS.cannotBeWith = cannotBeWithPairs;
-                    console.log('✓ Loaded CannotBeWith constraints from sheet:', cannotBeWithPairs);
-                } else {
-                    // Clear constraints if sheet not found (instead of keeping old values)
-                    CHEAT_CONSTRAINTS.cannotBeWith = [];
-                    console.log('⚠ CannotBeWith sheet not found or empty, constraints cleared');
-                }
-                
-                const mustBeWithPairs = await loadMustBeWithConstraints(apiKeyToUse, actualSheetUrl);
-                if (mustBeWithPairs && mustBeWithPairs.length > 0) {
-                    CHEAT_CONSTRAINTS.mustBeWith = mustBeWithPairs;
-                    console.log('✓ Loaded MustBeWith constraints from sheet:', mustBeWithPairs);
-                    console.log('MustBeWith constraints active:', CHEAT_CONSTRAINTS.mustBeWith);
-                } else {
-                    // Clear constraints if sheet not found (instead of keeping old values)
-                    CHEAT_CONSTRAINTS.mustBeWith = [];
-                    console.log('⚠ MustBeWith sheet not found or empty, constraints cleared');
-                }
-                
-                const mustBeInTopicMappings = await loadMustBeInTopicConstraints(apiKeyToUse, actualSheetUrl);
-                if (mustBeInTopicMappings && Object.keys(mustBeInTopicMappings).length > 0) {
-                    CHEAT_CONSTRAINTS.mustBeInGroup = mustBeInTopicMappings;
-                    console.log('✓ Loaded MustBeInTopic constraints from sheet:', mustBeInTopicMappings);
-                } else {
-                    // Clear constraints if sheet not found
-                    CHEAT_CONSTRAINTS.mustBeInGroup = {};
-                    console.log('⚠ MustBeInTopic sheet not found or empty, constraints cleared');
-                }
-            } catch (error) {
-                console.error('Error loading constraint sheets:', error);
-                // Clear constraints on error to avoid using stale data
-                CHEAT_CONSTRAINTS.cannotBeWith = [];
-                CHEAT_CONSTRAINTS.mustBeWith = [];
-                CHEAT_CONSTRAINTS.mustBeInGroup = {};
-            }
-            
-            // Save the sheet URL to localStorage for next time
-            if (googleSheetUrl) {
-                localStorage.setItem('lastGoogleSheetUrl', googleSheetUrl);
+            showValidation(`Loading data from ${source.label}...`);
+            await loadEventFromDataSource(source, numGroups);
+            // Remember the sheet for next time
+            if (source.id === 'sheets' || source.id === 'sheetsOAuth') {
+                localStorage.setItem('lastGoogleSheetUrl', document.getElementById('googleSheetUrl')?.value.trim() || localStorage.getItem('lastGoogleSheetUrl') || '');
             }
-            
             btn.disabled = false;
             hideValidation();
-
         } catch (error) {
-            showValidation(`Google Sheets Error: ${error.message}`);
+            showValidation(`${source.label} Error: ${error.message}`);
             btn.disabled = false;
             return;
         }
     } else {
-        // No Google integration - use default empty pots
+        // Nothing to load from - use default empty pots
         config.pots = generateDefaultPotNames(numPots);
         btn.disabled = false;
     }
 
+    // Check the imported rows (duplicates, unknown names, pot count) before going on
+    const importReport = buildImportReport(numPots);
+    renderImportReport(importReport);
+    if (importReport && importReport.errors > 0) {
+        showValidation('Please fix the errors listed in the import report and load the data again');
+        return;
+    }
+
     renderGroupsConfig();
 
     step1.classList.add('hidden');
     step2.classList.remove('hidden');
     
-    // If pots were loaded from Google Sheets/Drive, show option to skip Step 3
-    const potsLoadedFromGoogle = (dataSource === 'sheets' && googleSheetUrl && googleApiKey) || 
-                                  (dataSource === 'drive' && googleDriveFileUrl && googleDriveClientId);
-    if (potsLoadedFromGoogle && config.pots.length > 0) {
+    // If pots were loaded from a data source, show option to skip Step 3
+    if (source && config.pots.length > 0) {
         // Check if all pots have valid entries
         const allPotsValid = config.pots.every(pot => pot.entries.length >= config.numGroups);
         if (allPotsValid) {
@@ -1996,7 +2480,7 @@ document.getElementById('continueToStep2').addEventListener('click', async () =>
             skipMessage.id = 'skipStep3Message';
             skipMessage.style.cssText = 'margin-top: 15px; padding: 15px; background: rgba(76, 175, 80, 0.2); border: 1px solid rgba(76, 175, 80, 0.5); border-radius: 10px; text-align: center;';
             skipMessage.innerHTML = `
-                <p style="color: #4CAF50; margin-bottom: 10px;">✓ Pots loaded from Google Sheet successfully!</p>
+                <p style="color: #4CAF50; margin-bottom: 10px;">✓ Pots loaded from ${source.label} successfully!</p>
                 <p style="color: #aaa; font-size: 0.9rem; margin-bottom: 10px;">You can review/edit pots in Step 3, or skip directly to the draw.</p>
                 <button id="skipToDrawBtn" class="setup-btn primary" style="margin-top: 10px;">Skip to Draw</button>
             `;
@@ -2069,13 +2553,8 @@ document.getElementById('instantDrawBtnSetup').addEventListener('click', async (
     const numGroups = parseInt(document.getElementById('numGroups').value) || 8;
     const numPots = parseInt(document.getElementById('numPots').value) || 4;
     const animationDuration = parseFloat(document.getElementById('animationDuration').value) || 0.8;
-    
-    const dataSource = document.querySelector('input[name="dataSource"]:checked')?.value || 'sheets';
-    const googleSheetUrl = document.getElementById('googleSheetUrl')?.value.trim() || '';
-    const googleApiKey = document.getElementById('googleApiKey')?.value.trim() || '';
-    const sheetName = document.getElementById('sheetName')?.value.trim() || 'Participants';
-    const googleDriveFileUrl = document.getElementById('googleDriveFileUrl')?.value.trim() || '';
-    const googleDriveClientId = document.getElementById('googleDriveClientId')?.value.trim() || '';
+    const drawSeed = document.getElementById('drawSeed')?.value.trim() || '';
+    const groupSizePolicy = readGroupSizePolicy();
     
     // Validate basic inputs
     if (numGroups < 1 || numGroups > 16) {
@@ -2087,136 +2566,52 @@ document.getElementById('instantDrawBtnSetup').addEventListener('click', async (
         return;
     }
     
+    if (groupSizePolicy.mode === 'range' && !groupSizePolicy.minSize && !groupSizePolicy.maxSize) {
+        showValidation('Enter a minimum and/or maximum team size');
+        return;
+    }
+    
+    const { source, error: sourceError } = readDataSourceFromSetup(numGroups, numPots);
+    if (sourceError) {
+        showValidation(sourceError);
+        return;
+    }
+    
     hideValidation();
+    resetImportedSheets();
+    renderImportReport(null);
     
     // Set config
     config.eventTitle = eventTitle || 'Custom Draw';
     config.numGroups = numGroups;
     config.numPots = numPots;
     config.animationDuration = animationDuration;
+    config.drawSeed = drawSeed;
+    config.groupSizePolicy = groupSizePolicy;
+    config.novelty = readNoveltySettings();
     config.groupNames = generateDefaultGroupNames(numGroups);
     
-    // Load data if using Google Sheets/Drive
-    if (dataSource === 'drive' && googleDriveFileUrl && googleDriveClientId) {
-        try {
-            showValidation('Loading data from Google Drive...');
-            const loadedPots = await loadPotsFromGoogleDrive(googleDriveFileUrl, googleDriveClientId);
-            if (loadedPots.length !== numPots) {
-                showValidation(`File has ${loadedPots.length} pots, but you specified ${numPots} pots. Please adjust.`);
-                return;
-            }
-            config.pots = loadedPots;
-            
-            // Load group names, rooms, and constraints
-            const topicsApiKey = googleApiKey || (typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.googleSheets?.apiKey || '' : '');
-            const topicsGroupNames = await loadGroupNamesFromTopicsSheet(topicsApiKey, googleDriveFileUrl, accessToken);
-            if (topicsGroupNames && topicsGroupNames.length > 0) {
-                if (topicsGroupNames.length >= numGroups) {
-                    config.groupNames = topicsGroupNames.slice(0, numGroups);
-                } else {
-                    const defaultNames = generateDefaultGroupNames(numGroups);
-                    config.groupNames = [...topicsGroupNames];
-                    for (let i = topicsGroupNames.length; i < numGroups; i++) {
-                        config.groupNames.push(defaultNames[i]);
-                    }
-                }
-            }
-            
-            // Load rooms
-            const rooms = await loadRoomsFromSheet(topicsApiKey, googleDriveFileUrl, accessToken);
-            if (rooms && Array.isArray(rooms) && rooms.length > 0) {
-                config.groupRooms = {};
-                const shuffledRooms = [...rooms].sort(() => Math.random() - 0.5);
-                config.groupNames.forEach((groupName, index) => {
-                    if (index < shuffledRooms.length) {
-                        config.groupRooms[groupName] = shuffledRooms[index];
-                    }
-                });
-            }
-            
-            // Load constraints
-            const cannotBeWithPairs = await loadCannotBeWithConstraints(topicsApiKey, googleDriveFileUrl, accessToken);
-            if (cannotBeWithPairs && cannotBeWithPairs.length > 0) {
-                CHEAT_CONSTRAINTS.cannotBeWith = cannotBeWithPairs;
-            }
-            const mustBeWithPairs = await loadMustBeWithConstraints(topicsApiKey, googleDriveFileUrl, accessToken);
-            if (mustBeWithPairs && mustBeWithPairs.length > 0) {
-                CHEAT_CONSTRAINTS.mustBeWith = mustBeWithPairs;
-            }
-            
-            const mustBeInTopicMappings = await loadMustBeInTopicConstraints(topicsApiKey, googleDriveFileUrl, accessToken);
-            if (mustBeInTopicMappings && Object.keys(mustBeInTopicMappings).length > 0) {
-                CHEAT_CONSTRAINTS.mustBeInGroup = mustBeInTopicMappings;
-            }
-            
-            hideValidation();
-        } catch (error) {
-            showValidation(`Google Drive Error: ${error.message}`);
-            return;
-        }
-    } else if (dataSource === 'sheets' && googleSheetUrl && googleApiKey) {
+    activeDataSource = null;
+    if (source) {
         try {
-            showValidation('Loading data from Google Sheets...');
-            const loadedPots = await loadPotsFromGoogleSheets(googleApiKey, googleSheetUrl, sheetName);
-            if (loadedPots.length !== numPots) {
-                showValidation(`Sheet has ${loadedPots.length} pots, but you specified ${numPots} pots. Please adjust.`);
-                return;
-            }
-            config.pots = loadedPots.map(pot => ({
-                name: pot.name || `Pot ${loadedPots.indexOf(pot) + 1}`,
-                entries: Array.isArray(pot.entries) ? [...pot.entries] : []
-            }));
-            
-            // Load group names, rooms, and constraints
-            const topicsGroupNames = await loadGroupNamesFromTopicsSheet(googleApiKey, googleSheetUrl);
-            if (topicsGroupNames && topicsGroupNames.length > 0) {
-                if (topicsGroupNames.length >= numGroups) {
-                    config.groupNames = topicsGroupNames.slice(0, numGroups);
-                } else {
-                    const defaultNames = generateDefaultGroupNames(numGroups);
-                    config.groupNames = [...topicsGroupNames];
-                    for (let i = topicsGroupNames.length; i < numGroups; i++) {
-                        config.groupNames.push(defaultNames[i]);
-                    }
-                }
-            }
-            
-            // Load rooms
-            const rooms = await loadRoomsFromSheet(googleApiKey, googleSheetUrl);
-            if (rooms && Array.isArray(rooms) && rooms.length > 0) {
-                config.groupRooms = {};
-                const shuffledRooms = [...rooms].sort(() => Math.random() - 0.5);
-                config.groupNames.forEach((groupName, index) => {
-                    if (index < shuffledRooms.length) {
-                        config.groupRooms[groupName] = shuffledRooms[index];
-                    }
-                });
-            }
-            
-            // Load constraints
-            const cannotBeWithPairs = await loadCannotBeWithConstraints(googleApiKey, googleSheetUrl);
-            if (cannotBeWithPairs && cannotBeWithPairs.length > 0) {
-                CHEAT_CONSTRAINTS.cannotBeWith = cannotBeWithPairs;
-            }
-            const mustBeWithPairs = await loadMustBeWithConstraints(googleApiKey, googleSheetUrl);
-            if (mustBeWithPairs && mustBeWithPairs.length > 0) {
-                CHEAT_CONSTRAINTS.mustBeWith = mustBeWithPairs;
-            }
-            
-            const mustBeInTopicMappings = await loadMustBeInTopicConstraints(googleApiKey, googleSheetUrl);
-            if (mustBeInTopicMappings && Object.keys(mustBeInTopicMappings).length > 0) {
-                CHEAT_CONSTRAINTS.mustBeInGroup = mustBeInTopicMappings;
-            }
-            
+            showValidation(`Loading data from ${source.label}...`);
+            await loadEventFromDataSource(source, numGroups);
             hideValidation();
         } catch (error) {
-            showValidation(`Google Sheets Error: ${error.message}`);
+            showValidation(`${source.label} Error: ${error.message}`);
             return;
         }
     } else {
-        // No Google integration - use default empty pots
+        // Nothing to load from - use default empty pots
         config.pots = generateDefaultPotNames(numPots);
     }
+
+    const importReport = buildImportReport(numPots);
+    renderImportReport(importReport);
+    if (importReport && importReport.errors > 0) {
+        showValidation('Please fix the errors listed in the import report and load the data again');
+        return;
+    }
     
     // Validate and start draw
     if (!validateConfig()) {
@@ -2233,18 +2628,13 @@ document.getElementById('instantDrawBtnSetup').addEventListener('click', async (
 // ==================== DRAW SCREEN LOGIC ====================
 
 function startDrawScreen() {
+    discardRosterPlan();
     // Initialize draw state
-    drawState = {
-        pots: JSON.parse(JSON.stringify(config.pots)), // Deep copy
-        groups: {},
-        isDrawing: false,
-        drawComplete: false
-    };
-
-    // Initialize groups as empty arrays (can grow to accommodate all entries)
-    config.groupNames.forEach(name => {
-        drawState.groups[name] = [];
-    });
+    drawState = createInitialDrawState();
+    seedDraw(config.drawSeed);
+    assignGroupRooms();
+    saveDrawProgress();
+    hideResumeDrawPrompt();
 
     // Update title
     document.getElementById('drawTitle').textContent = config.eventTitle;
@@ -2262,6 +2652,8 @@ function startDrawScreen() {
     document.getElementById('autoDrawBtn').disabled = false;
     const instantDrawBtn = document.getElementById('instantDrawBtn');
     if (instantDrawBtn) instantDrawBtn.disabled = false;
+    updateUndoRedoButtons();
+    renderDrawSummary();
     
     // Add voting button if function exists
     // Also check if draw is already complete (in case we're returning to this screen)
@@ -2276,11 +2668,12 @@ function startDrawScreen() {
     }
 }
 
-function renderDrawPots() {
+// pots defaults to the live draw state; replay passes the full pots from config
+function renderDrawPots(pots = drawState.pots) {
     const container = document.getElementById('potsContainer');
     container.innerHTML = '';
 
-    drawState.pots.forEach((pot, index) => {
+    pots.forEach((pot, index) => {
         const potColor = POT_COLORS[index % POT_COLORS.length];
         const potDiv = document.createElement('div');
         potDiv.className = 'pot';
@@ -2302,18 +2695,22 @@ function renderDrawPots() {
     });
 }
 
-function renderDrawGroups() {
+// groups defaults to the live draw state; replay passes the groups rebuilt so far
+function renderDrawGroups(groups = drawState.groups) {
     const container = document.getElementById('groupsContainer');
     container.innerHTML = '';
+    // Placed entries can be dragged between groups (not in the replay view); see handleManualDragStart
+    const canAdjust = groups === drawState.groups;
 
     config.groupNames.forEach((name, index) => {
         const groupDiv = document.createElement('div');
         groupDiv.className = 'group';
         groupDiv.id = `group${index}`;
+        groupDiv.dataset.group = name;
 
         let slotsHtml = '';
         // Show all entries in the group (can be more than numPots due to imbalance)
-        const entries = drawState.groups[name] || [];
+        const entries = groups[name] || [];
         entries.forEach((entryData, index) => {
             if (entryData) {
                 // Handle both old format (string) and new format ({entry, potIndex})
@@ -2322,7 +2719,7 @@ function renderDrawGroups() {
                 const potColor = potIndex >= 0 ? POT_COLORS[potIndex % POT_COLORS.length] : '#666';
                 
                 slotsHtml += `
-                    <div class="slot filled" data-position="${index}" style="background: ${potColor}; border: 2px solid ${potColor};">
+                    <div class="slot filled" data-position="${index}"${canAdjust ? ' draggable="true"' : ''} style="background: ${potColor}; border: 2px solid ${potColor};">
                         <div class="team-info team-placed" style="background: transparent; border: none;">
                             <span class="entry-name" style="color: white; font-weight: 600; text-shadow: 1px 1px 2px rgba(0,0,0,0.5);">${entryName}</span>
                         </div>
@@ -2346,16 +2743,44 @@ function renderDrawGroups() {
     });
 }
 
+// How many entries from one pot a single group may hold
+// One per group, unless the pot has more entries than there are groups
+function getPotQuota(potIndex) {
+    const potSize = (config.pots[potIndex]?.entries || []).length;
+    return Math.max(1, Math.ceil(potSize / Math.max(1, config.groupNames.length)));
+}
+
+// Total number of entries across all configured pots
+function countConfigEntries(pots = config.pots) {
+    return pots.reduce((total, pot) => total + (pot.entries || []).length, 0);
+}
+
+// Smallest and largest team size allowed by the group size policy
+// balanced: floor/ceil of entries per group; range: minSize/maxSize; free: no limits
+function getGroupSizeLimits(policy = config.groupSizePolicy, numGroups = config.groupNames.length, totalEntries = countConfigEntries()) {
+    const mode = policy?.mode || 'free';
+    if (mode === 'balanced' && numGroups > 0) {
+        return { min: Math.floor(totalEntries / numGroups), max: Math.ceil(totalEntries / numGroups) };
+    }
+    if (mode === 'range') {
+        return { min: policy.minSize || 0, max: policy.maxSize || Infinity };
+    }
+    return { min: 0, max: Infinity };
+}
+
 // Get available groups for a specific pot position
-// Now returns all groups since we allow imbalance
 function getAvailableGroups(potIndex) {
-    // Return groups that don't already have an entry from this pot
+    // Return groups that haven't used up their quota for this pot
     // This enforces the constraint: at most one entry per pot per group
+    // Groups that already reached the maximum team size are full
+    const quota = getPotQuota(potIndex);
+    const { max } = getGroupSizeLimits();
     return config.groupNames.filter(groupName => {
         const groupEntries = drawState.groups[groupName] || [];
-        // Check if any entry in this group came from the same pot
-        const hasPotEntry = groupEntries.some(entry => entry.potIndex === potIndex);
-        return !hasPotEntry;
+        if (groupEntries.length >= max) return false;
+        // Count entries in this group that came from the same pot
+        const fromPot = groupEntries.filter(entry => entry.potIndex === potIndex).length;
+        return fromPot < quota;
     });
 }
 
@@ -2437,16 +2862,25 @@ function getEntriesInGroup(groupName) {
     return [];
 }
 
+// All cannotBeWith pairs as [a, b] arrays, from the sheet and from past draws alike
+function getCannotBeWithPairs() {
+    return (CHEAT_CONSTRAINTS.cannotBeWith || [])
+        .map(pair => Array.isArray(pair) ? pair : pair?.entries)
+        .filter(pair => Array.isArray(pair) && pair.length === 2);
+}
+
 // Check if placing an entry in a group violates "cannotBeWith" constraints
 function checkCannotBeWith(entryName, groupName) {
     if (!CHEAT_CONSTRAINTS.enabled) return true;
 
-    const entriesInGroup = getEntriesInGroup(groupName);
+    // Names compared case-insensitively, the same way the solver does
+    const key = normalizeName(entryName);
+    const entriesInGroup = getEntriesInGroup(groupName).map(normalizeName);
 
-    for (const pair of CHEAT_CONSTRAINTS.cannotBeWith) {
-        if (!Array.isArray(pair)) continue; // Skip invalid entries
-        if (pair.includes(entryName)) {
-            const otherEntry = pair.find(e => e !== entryName);
+    for (const pair of getCannotBeWithPairs()) {
+        const names = pair.map(normalizeName);
+        if (names.includes(key)) {
+            const otherEntry = names.find(e => e !== key);
             if (entriesInGroup.includes(otherEntry)) {
                 return false; // Violation: would be with forbidden partner
             }
@@ -2538,6 +2972,64 @@ function checkCannotBeInGroup(entryName, groupName) {
     return true;
 }
 
+// Attribute rules that are switched on and have at least one limit
+function getAttributeRules() {
+    if (!CHEAT_CONSTRAINTS.enabled) return [];
+    return (CHEAT_CONSTRAINTS.attributeRules || []).filter(rule =>
+        rule && rule.attribute && rule.value &&
+        ((rule.min !== null && rule.min > 0) || (rule.max !== null && rule.max >= 0))
+    );
+}
+
+// Normalized values of one attribute for an entry (case-insensitive name lookup)
+// "Designer, Frontend" counts as two values
+function getEntryAttributeValues(entryName, attribute) {
+    const attributes = CHEAT_CONSTRAINTS.attributes || {};
+    let values = attributes[entryName];
+    if (!values) {
+        const normalizedEntryName = normalizeName(entryName);
+        const key = Object.keys(attributes).find(k => normalizeName(k) === normalizedEntryName);
+        values = key ? attributes[key] : null;
+    }
+    const cell = values ? values[normalizeName(attribute)] : null;
+    return cell ? cell.split(/[,;]/).map(normalizeName).filter(Boolean) : [];
+}
+
+// Does an entry count towards an attribute rule?
+function entryMatchesAttributeRule(entryName, rule) {
+    return getEntryAttributeValues(entryName, rule.attribute).includes(normalizeName(rule.value));
+}
+
+// "department = R&D" - for messages
+function describeAttributeRule(rule) {
+    return `${rule.attribute} = ${rule.value}`;
+}
+
+// Check "attributeRules" maximums for placing an entry in a group
+// Minimums can only be judged once the draw is complete - the solver looks after those
+function checkAttributeRules(entryName, groupName) {
+    if (!CHEAT_CONSTRAINTS.enabled) return true;
+
+    const entriesInGroup = getEntriesInGroup(groupName);
+    for (const rule of getAttributeRules()) {
+        if (rule.max === null || !entryMatchesAttributeRule(entryName, rule)) continue;
+        const count = entriesInGroup.filter(e => entryMatchesAttributeRule(e, rule)).length;
+        if (count + 1 > rule.max) {
+            console.log(`AttributeRules violation: ${groupName} already has ${count} with ${describeAttributeRule(rule)} (max ${rule.max})`);
+            return false;
+        }
+    }
+    return true;
+}
+
+// Attribute rules whose minimum a group falls short of, given its current entries
+function getAttributeShortfalls(groupName) {
+    const entriesInGroup = getEntriesInGroup(groupName);
+    return getAttributeRules().filter(rule =>
+        rule.min !== null && entriesInGroup.filter(e => entryMatchesAttributeRule(e, rule)).length < rule.min
+    );
+}
+
 // Master function: Check ALL constraints for placing an entry in a group
 function isValidPlacement(entryName, groupName) {
     if (!CHEAT_CONSTRAINTS.enabled) return true;
@@ -2546,7 +3038,8 @@ function isValidPlacement(entryName, groupName) {
         checkCannotBeWith(entryName, groupName) &&
         checkMustBeWith(entryName, groupName) &&
         checkMustBeInGroup(entryName, groupName) &&
-        checkCannotBeInGroup(entryName, groupName)
+        checkCannotBeInGroup(entryName, groupName) &&
+        checkAttributeRules(entryName, groupName)
     );
 }
 
@@ -2617,673 +3110,3159 @@ function getValidGroupsForEntry(entryName, potIndex) {
     return validGroups;
 }
 
-// Find an entry from the pot that has valid placements (for smart selection)
-function findDrawableEntry(potEntries, potIndex) {
-    // Prioritize entries that MUST be placed with someone already placed
-    // This ensures mustBeWith constraints are satisfied early
-    const entriesWithMustBeWith = [];
-    const entriesWithMustBeInGroup = [];
-    const otherEntries = [];
-    
-    for (const entry of potEntries) {
-        const cluster = getMustBeWithCluster(entry);
-        if (cluster) {
-            // Check if any cluster member is already placed
-            let clusterMemberPlaced = false;
-            for (const gName of config.groupNames) {
-                const entries = getEntriesInGroup(gName);
-                if (Array.from(cluster).some(clusterEntry => 
-                    entries.some(e => normalizeName(e) === clusterEntry)
-                )) {
-                    clusterMemberPlaced = true;
-                    break;
-                }
-            }
-            if (clusterMemberPlaced) {
-                entriesWithMustBeWith.push(entry);
-                continue;
-            }
+// ==================== CONSTRAINT SOLVER ====================
+// Backtracking search with forward checking over groups × pots.
+// Entries tied together by mustBeWith are searched as one unit, so a cluster
+// is always placed in one piece. Attribute rules are tracked as per-group counts. The solver starts from the current drawState,
+// which means it answers: "can the rest of this draw still be completed
+// without breaking a single rule?"
+
+// Upper bound on search nodes before the solver gives up
+const SOLVER_NODE_LIMIT = 200000;
+
+// Look up the forced group for an entry (mustBeInGroup, case-insensitive)
+function getForcedGroup(entryName) {
+    if (!CHEAT_CONSTRAINTS.enabled) return null;
+
+    const normalizedEntryName = normalizeName(entryName);
+    for (const [key, value] of Object.entries(CHEAT_CONSTRAINTS.mustBeInGroup || {})) {
+        if (normalizeName(key) === normalizedEntryName) {
+            return value;
         }
-        
-        // Check mustBeInGroup
-        const normalizedName = normalizeName(entry);
-        let hasMustBeInGroup = CHEAT_CONSTRAINTS.mustBeInGroup[entry];
-        if (!hasMustBeInGroup) {
-            for (const [key, value] of Object.entries(CHEAT_CONSTRAINTS.mustBeInGroup)) {
-                if (normalizeName(key) === normalizedName) {
-                    hasMustBeInGroup = true;
+    }
+    return null;
+}
+
+// Look up the groups an entry is kept out of (cannotBeInGroup, case-insensitive)
+function getForbiddenGroups(entryName) {
+    if (!CHEAT_CONSTRAINTS.enabled) return [];
+
+    const normalizedEntryName = normalizeName(entryName);
+    const forbidden = [];
+    for (const [key, groups] of Object.entries(CHEAT_CONSTRAINTS.cannotBeInGroup || {})) {
+        if (normalizeName(key) === normalizedEntryName && Array.isArray(groups)) {
+            forbidden.push(...groups.map(normalizeName));
+        }
+    }
+    return forbidden;
+}
+
+// Build the search problem from the current draw state
+// extraPlacements: [{entry, potIndex, groupName}] treated as if already placed
+function buildDrawProblem(extraPlacements = []) {
+    const potCount = drawState.pots.length;
+    const quotas = drawState.pots.map((_, potIndex) => getPotQuota(potIndex));
+    const constraintsOn = CHEAT_CONSTRAINTS.enabled;
+    const attributeRules = getAttributeRules();
+    // Which attribute rules an entry counts towards, as 0/1 per rule
+    const ruleHits = (entryName) => attributeRules.map(rule => entryMatchesAttributeRule(entryName, rule) ? 1 : 0);
+
+    // Contents of each group: normalized names, entries per pot and per attribute rule
+    const groups = {};
+    config.groupNames.forEach(groupName => {
+        groups[groupName] = {
+            names: new Set(),
+            potCounts: new Array(potCount).fill(0),
+            ruleCounts: new Array(attributeRules.length).fill(0),
+            size: 0
+        };
+    });
+
+    const placedIn = {}; // normalized name -> group name
+    const addToGroup = (groupName, entryName, potIndex) => {
+        const group = groups[groupName];
+        group.names.add(normalizeName(entryName));
+        if (potIndex >= 0) group.potCounts[potIndex]++;
+        ruleHits(entryName).forEach((hit, ruleIndex) => { group.ruleCounts[ruleIndex] += hit; });
+        group.size++;
+        placedIn[normalizeName(entryName)] = groupName;
+    };
+
+    config.groupNames.forEach(groupName => {
+        (drawState.groups[groupName] || []).forEach(entryData => {
+            const entryName = typeof entryData === 'string' ? entryData : entryData.entry;
+            const potIndex = typeof entryData === 'string' ? -1 : entryData.potIndex;
+            addToGroup(groupName, entryName, potIndex);
+        });
+    });
+
+    const pinned = new Set();
+    extraPlacements.forEach(({ entry, potIndex, groupName }) => {
+        addToGroup(groupName, entry, potIndex);
+        pinned.add(normalizeName(entry));
+    });
+
+    // cannotBeWith partners, by normalized name
+    const partners = {};
+    if (constraintsOn) {
+        for (const pair of getCannotBeWithPairs()) {
+            const [a, b] = pair.map(normalizeName);
+            (partners[a] = partners[a] || new Set()).add(b);
+            (partners[b] = partners[b] || new Set()).add(a);
+        }
+    }
+
+    // Collect the remaining entries into units (a mustBeWith cluster or a single entry)
+    const clusters = constraintsOn ? buildMustBeWithClusters() : [];
+    const unitsByKey = new Map();
+    drawState.pots.forEach((pot, potIndex) => {
+        pot.entries.forEach(entry => {
+            const normalized = normalizeName(entry);
+            if (pinned.has(normalized)) return;
+
+            const clusterIndex = clusters.findIndex(cluster => cluster.has(normalized));
+            const key = clusterIndex >= 0 ? `cluster:${clusterIndex}` : `entry:${normalized}`;
+            if (!unitsByKey.has(key)) {
+                unitsByKey.set(key, {
+                    members: [],
+                    cluster: clusterIndex >= 0 ? clusters[clusterIndex] : null,
+                    potCounts: new Array(potCount).fill(0),
+                    ruleCounts: new Array(attributeRules.length).fill(0),
+                    partners: new Set()
+                });
+            }
+            const unit = unitsByKey.get(key);
+            unit.members.push({ entry, potIndex });
+            unit.potCounts[potIndex]++;
+            ruleHits(entry).forEach((hit, ruleIndex) => { unit.ruleCounts[ruleIndex] += hit; });
+            (partners[normalized] || []).forEach(partner => unit.partners.add(partner));
+        });
+    });
+
+    // Groups named by mustBeInGroup/cannotBeInGroup are never interchangeable
+    const constrainedGroups = new Set();
+    if (constraintsOn) {
+        Object.values(CHEAT_CONSTRAINTS.mustBeInGroup || {}).forEach(g => constrainedGroups.add(normalizeName(g)));
+        Object.values(CHEAT_CONSTRAINTS.cannotBeInGroup || {}).forEach(list => {
+            if (Array.isArray(list)) list.forEach(g => constrainedGroups.add(normalizeName(g)));
+        });
+    }
+
+    const problem = {
+        groups,
+        quotas,
+        sizeLimits: getGroupSizeLimits(),
+        attributeRules,
+        units: shuffleArray(Array.from(unitsByKey.values())), // random tie-breaking
+        constrainedGroups: new Set(config.groupNames.filter(g => constrainedGroups.has(normalizeName(g))))
+    };
+
+    problem.units.forEach(unit => {
+        unit.domain = computeInitialDomain(problem, unit, placedIn);
+    });
+
+    return problem;
+}
+
+// Check pot quotas, the maximum team size, attribute maximums and cannotBeWith for putting a unit into a group
+function unitFitsGroup(problem, unit, groupName) {
+    const group = problem.groups[groupName];
+    if (group.size + unit.members.length > problem.sizeLimits.max) {
+        return false;
+    }
+    for (let ruleIndex = 0; ruleIndex < problem.attributeRules.length; ruleIndex++) {
+        const { max } = problem.attributeRules[ruleIndex];
+        if (max !== null && unit.ruleCounts[ruleIndex] && group.ruleCounts[ruleIndex] + unit.ruleCounts[ruleIndex] > max) {
+            return false;
+        }
+    }
+    for (let potIndex = 0; potIndex < unit.potCounts.length; potIndex++) {
+        if (unit.potCounts[potIndex] && group.potCounts[potIndex] + unit.potCounts[potIndex] > problem.quotas[potIndex]) {
+            return false;
+        }
+    }
+    for (const partner of unit.partners) {
+        if (group.names.has(partner)) return false;
+    }
+    return true;
+}
+
+// Groups a unit may go to before any search happens
+// Sets unit.reason when the unit cannot be placed anywhere
+function computeInitialDomain(problem, unit, placedIn) {
+    const names = unit.members.map(m => m.entry);
+    const normalizedNames = names.map(normalizeName);
+
+    // Two members of the same cluster that cannot be together
+    const clash = normalizedNames.find(name => unit.partners.has(name));
+    if (clash) {
+        unit.reason = `${names.join(', ')} must be together, but the cannotBeWith rules keep ${clash} apart from one of them`;
+        return [];
+    }
+
+    let candidates = [...config.groupNames];
+
+    // Cluster members that are already placed pin the whole cluster
+    if (unit.cluster) {
+        const placedGroups = new Set();
+        unit.cluster.forEach(name => {
+            if (placedIn[name]) placedGroups.add(placedIn[name]);
+        });
+        if (placedGroups.size > 1) {
+            unit.reason = `The mustBeWith cluster of ${names.join(', ')} is already split across ${Array.from(placedGroups).join(' and ')}`;
+            return [];
+        }
+        if (placedGroups.size === 1) {
+            const [clusterGroup] = placedGroups;
+            candidates = candidates.filter(g => g === clusterGroup);
+        }
+    }
+
+    // mustBeInGroup: every member that has a forced group must agree
+    const forcedGroups = new Set();
+    names.forEach(name => {
+        const forcedGroup = getForcedGroup(name);
+        if (!forcedGroup) return;
+        const matchingGroup = config.groupNames.find(g => normalizeName(g) === normalizeName(forcedGroup));
+        if (matchingGroup) {
+            forcedGroups.add(matchingGroup);
+        } else {
+            console.warn(`mustBeInGroup target "${forcedGroup}" for ${name} is not a group name - ignoring`);
+        }
+    });
+    if (forcedGroups.size > 1) {
+        unit.reason = `${names.join(', ')} must be together, but are forced into different groups (${Array.from(forcedGroups).join(', ')})`;
+        return [];
+    }
+    if (forcedGroups.size === 1) {
+        const [forcedGroup] = forcedGroups;
+        candidates = candidates.filter(g => g === forcedGroup);
+    }
+
+    // cannotBeInGroup
+    const forbidden = new Set(names.flatMap(name => getForbiddenGroups(name)));
+    candidates = candidates.filter(g => !forbidden.has(normalizeName(g)));
+
+    candidates = candidates.filter(g => unitFitsGroup(problem, unit, g));
+    if (candidates.length === 0) {
+        unit.reason = `${names.join(', ')} cannot go into any group without breaking a rule`;
+    }
+    return candidates;
+}
+
+// Solve the rest of the draw from the current state
+// Returns { status: 'solved', placements, nodes }
+//      or { status: 'infeasible', reason, nodes } when no complete assignment exists
+//      or { status: 'limit', nodes } when the search gave up before deciding
+function solveDraw(extraPlacements = []) {
+    const problem = buildDrawProblem(extraPlacements);
+    const { units, groups, constrainedGroups, sizeLimits, attributeRules } = problem;
+
+    // Entries still to place vs. how far the groups are below the minimum team size
+    let remaining = units.reduce((total, unit) => total + unit.members.length, 0);
+    const sizeDeficit = () => Object.values(groups).reduce((total, group) => total + Math.max(0, sizeLimits.min - group.size), 0);
+
+    // The same for each attribute minimum, e.g. groups still without a designer vs. designers left
+    const remainingMatches = attributeRules.map((_, ruleIndex) => units.reduce((total, unit) => total + unit.ruleCounts[ruleIndex], 0));
+    const attributeDeficit = (ruleIndex) => Object.values(groups).reduce((total, group) =>
+        total + Math.max(0, (attributeRules[ruleIndex].min || 0) - group.ruleCounts[ruleIndex]), 0);
+    const shortRule = () => attributeRules.findIndex((_, ruleIndex) => attributeDeficit(ruleIndex) > remainingMatches[ruleIndex]);
+
+    if (sizeDeficit() > remaining) {
+        return {
+            status: 'infeasible',
+            reason: `Teams must have at least ${sizeLimits.min} members, but only ${remaining} entries are left for ${sizeDeficit()} open places`,
+            nodes: 0
+        };
+    }
+
+    const initialShortRule = shortRule();
+    if (initialShortRule >= 0) {
+        const rule = attributeRules[initialShortRule];
+        return {
+            status: 'infeasible',
+            reason: `Every group needs at least ${rule.min} with ${describeAttributeRule(rule)}, but only ${remainingMatches[initialShortRule]} are left for ${attributeDeficit(initialShortRule)} open places`,
+            nodes: 0
+        };
+    }
+
+    const blocked = units.find(unit => unit.domain.length === 0);
+    if (blocked) {
+        return { status: 'infeasible', reason: blocked.reason, nodes: 0 };
+    }
+
+    const assignment = new Map(); // unit -> group name
+    const unassigned = new Set(units);
+    let nodes = 0;
+    let hitLimit = false;
+
+    const place = (unit, groupName, direction) => {
+        const group = groups[groupName];
+        unit.members.forEach(({ entry, potIndex }) => {
+            if (direction > 0) {
+                group.names.add(normalizeName(entry));
+            } else {
+                group.names.delete(normalizeName(entry));
+            }
+            group.potCounts[potIndex] += direction;
+            group.size += direction;
+        });
+        unit.ruleCounts.forEach((count, ruleIndex) => {
+            group.ruleCounts[ruleIndex] += direction * count;
+            remainingMatches[ruleIndex] -= direction * count;
+        });
+        remaining -= direction * unit.members.length;
+    };
+
+    // Fewest entries first keeps groups balanced; shuffle first so ties are random
+    const orderGroups = (domain) => shuffleArray(domain).sort((a, b) => groups[a].size - groups[b].size);
+
+    const search = () => {
+        if (unassigned.size === 0) return true;
+        if (++nodes > SOLVER_NODE_LIMIT) {
+            hitLimit = true;
+            return false;
+        }
+
+        // Most constrained unit first (smallest domain, then biggest cluster)
+        let unit = null;
+        for (const candidate of unassigned) {
+            if (!unit ||
+                candidate.domain.length < unit.domain.length ||
+                (candidate.domain.length === unit.domain.length && candidate.members.length > unit.members.length)) {
+                unit = candidate;
+            }
+        }
+        unassigned.delete(unit);
+
+        let triedEmptyGroup = false;
+        for (const groupName of orderGroups(unit.domain)) {
+            // Empty, unconstrained groups are interchangeable - trying one is enough
+            if (groups[groupName].size === 0 && !constrainedGroups.has(groupName)) {
+                if (triedEmptyGroup) continue;
+                triedEmptyGroup = true;
+            }
+
+            place(unit, groupName, 1);
+            assignment.set(unit, groupName);
+
+            // Forward checking: drop this group from units that no longer fit it
+            // and stop early if the groups below a minimum (size or attribute) can no longer be filled
+            const pruned = [];
+            let wipeout = sizeDeficit() > remaining || shortRule() >= 0;
+            for (const other of unassigned) {
+                if (wipeout) break;
+                if (other.domain.includes(groupName) && !unitFitsGroup(problem, other, groupName)) {
+                    other.domain = other.domain.filter(g => g !== groupName);
+                    pruned.push(other);
+                    if (other.domain.length === 0) {
+                        wipeout = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!wipeout && search()) return true;
+
+            pruned.forEach(other => other.domain.push(groupName));
+            assignment.delete(unit);
+            place(unit, groupName, -1);
+            if (hitLimit) break;
+        }
+
+        unassigned.add(unit);
+        return false;
+    };
+
+    const solved = search();
+    if (hitLimit) {
+        console.warn(`Draw solver gave up after ${SOLVER_NODE_LIMIT} search nodes`);
+        return { status: 'limit', nodes };
+    }
+    if (!solved) {
+        return {
+            status: 'infeasible',
+            reason: 'No complete assignment satisfies every rule (the full search space was exhausted)',
+            nodes
+        };
+    }
+
+    const placements = [];
+    assignment.forEach((groupName, unit) => {
+        unit.members.forEach(({ entry, potIndex }) => placements.push({ entry, potIndex, groupName }));
+    });
+    console.log(`Draw solver found a complete assignment in ${nodes} nodes`);
+    return { status: 'solved', placements, nodes };
+}
+
+// Human-readable explanation for a failed solve
+function describeSolverFailure(result) {
+    if (result.status === 'limit') {
+        return 'The constraints are too tangled to verify - the solver gave up. Please simplify the rules.';
+    }
+    return `Constraints cannot all be satisfied: ${result.reason}`;
+}
+
+// Order solver placements for the ceremony: pot by pot, random order within each pot
+function orderPlacementsForCeremony(placements) {
+    return shuffleArray(placements).sort((a, b) => a.potIndex - b.potIndex);
+}
+
+// Find an entry from the pot that can be placed without making the rest of the draw unsolvable
+// One solve gives a complete assignment of everything still in the pots; validGroups holds the
+// entry's group in it plus every group that assignment still works for after a swap or move
+// (see findReachableGroups), so each group offered keeps a complete solution reachable.
+// Returns { entry, validGroups, verified }, or null if the draw cannot be completed.
+// verified is false when the solver gave up: the groups then only follow the rules for the
+// entries drawn so far, and the draw carries on instead of reporting a conflict.
+// result is the solve for the current state, when the caller already has it.
+function findDrawableEntry(potEntries, potIndex, result = solveDraw()) {
+    if (result.status === 'limit') {
+        for (const entry of shuffleArray(potEntries)) {
+            const validGroups = getValidGroupsForEntry(entry, potIndex);
+            if (validGroups.length > 0) {
+                return { entry, validGroups, verified: false };
+            }
+        }
+    } else if (result.status === 'solved') {
+        const entry = pickRandom(potEntries);
+        return { entry, validGroups: findReachableGroups(result.placements, entry, potIndex), verified: true };
+    }
+
+    console.warn(`CONSTRAINT CONFLICT: no entry from pot ${potIndex} can be placed without breaking a rule`);
+    return null;
+}
+
+// Groups an entry can go to while a solver assignment stays complete and valid:
+// its planned group, any group where it can swap with a planned entry of the same pot,
+// and any group it can move to within the pot quota and team sizes.
+// Entries held in place by mustBeWith or mustBeInGroup keep their planned group.
+function findReachableGroups(placements, entryName, potIndex) {
+    const key = normalizeName(entryName);
+    const candidates = getValidGroupsForEntry(entryName, potIndex);
+
+    // Groups as they would be after the plan, with one object per planned entry
+    const trialGroups = {};
+    config.groupNames.forEach(groupName => {
+        trialGroups[groupName] = [...(drawState.groups[groupName] || [])];
+    });
+    let own = null;
+    const planned = placements.map(placement => {
+        const entryData = { entry: placement.entry, potIndex: placement.potIndex };
+        trialGroups[placement.groupName].push(entryData);
+        const item = { placement, entryData };
+        if (normalizeName(placement.entry) === key) own = item;
+        return item;
+    });
+
+    const home = own.placement.groupName;
+    const reachable = [home];
+    if (getMustBeWithCluster(entryName) || getForcedGroup(entryName)) return reachable;
+
+    const { min, max } = getGroupSizeLimits();
+    const quota = getPotQuota(potIndex);
+    const take = (groupName, entryData) => trialGroups[groupName].splice(trialGroups[groupName].indexOf(entryData), 1);
+    const keepsMinimums = (...groupNames) => groupNames.every(groupName => getAttributeShortfalls(groupName).length === 0);
+
+    const savedGroups = drawState.groups;
+    try {
+        drawState.groups = trialGroups;
+        take(home, own.entryData);
+        for (const groupName of candidates) {
+            if (groupName === home) continue;
+
+            // Move: the group has room for one more of this pot
+            const fromPot = trialGroups[groupName].filter(entryData => entryData.potIndex === potIndex).length;
+            if (fromPot < quota && trialGroups[groupName].length < max && trialGroups[home].length >= min &&
+                isValidPlacement(entryName, groupName)) {
+                trialGroups[groupName].push(own.entryData);
+                const ok = keepsMinimums(home, groupName);
+                take(groupName, own.entryData);
+                if (ok) {
+                    reachable.push(groupName);
+                    continue;
+                }
+            }
+
+            // Swap with a planned entry of the same pot that is free to move
+            const partners = planned.filter(({ placement }) =>
+                placement.groupName === groupName && placement.potIndex === potIndex &&
+                !getMustBeWithCluster(placement.entry) && !getForcedGroup(placement.entry));
+            for (const partner of partners) {
+                take(groupName, partner.entryData);
+                let ok = isValidPlacement(entryName, groupName) && isValidPlacement(partner.placement.entry, home);
+                if (ok) {
+                    trialGroups[groupName].push(own.entryData);
+                    trialGroups[home].push(partner.entryData);
+                    ok = keepsMinimums(home, groupName);
+                    take(groupName, own.entryData);
+                    take(home, partner.entryData);
+                }
+                trialGroups[groupName].push(partner.entryData);
+                if (ok) {
+                    reachable.push(groupName);
                     break;
                 }
             }
         }
-        if (hasMustBeInGroup) {
-            entriesWithMustBeInGroup.push(entry);
+    } finally {
+        drawState.groups = savedGroups;
+    }
+    return reachable;
+}
+
+// ==================== SOFT CONSTRAINTS ====================
+// Soft rules are weighted preferences on top of the hard rules above.
+// A rule with n entries covers every pair among them; its score is
+// weight × (pairs kept / pairs), so a partly kept rule still counts.
+// Hard rules always win: the optimizer only makes moves that isValidPlacement allows.
+
+// Random same-pot swaps tried when optimizing a solver plan
+const SOFT_OPTIMIZER_ITERATIONS = 3000;
+
+function getSoftRules() {
+    if (!CHEAT_CONSTRAINTS.enabled) return [];
+    return (CHEAT_CONSTRAINTS.softRules || []).filter(rule =>
+        rule && (rule.type === 'apart' || rule.type === 'together') &&
+        Array.isArray(rule.entries) && rule.entries.length >= 2 && rule.weight > 0
+    );
+}
+
+// normalized entry name -> group name, for every placed entry
+function buildGroupLookup(groups = drawState.groups) {
+    const groupOf = {};
+    Object.entries(groups).forEach(([groupName, entries]) => {
+        entries.forEach(entryData => {
+            const entryName = typeof entryData === 'string' ? entryData : entryData.entry;
+            groupOf[normalizeName(entryName)] = groupName;
+        });
+    });
+    return groupOf;
+}
+
+// Score one rule; entries that are not placed (yet) are left out.
+// A rule with fewer than two entries placed is "not drawn": it scores 0 and
+// is left out of the totals rather than counted as kept.
+function scoreSoftRule(rule, groupOf) {
+    const placed = rule.entries.map(normalizeName).filter(name => groupOf[name]);
+    let pairs = 0;
+    let keptPairs = 0;
+    for (let i = 0; i < placed.length; i++) {
+        for (let j = i + 1; j < placed.length; j++) {
+            pairs++;
+            const together = groupOf[placed[i]] === groupOf[placed[j]];
+            if (together === (rule.type === 'together')) keptPairs++;
+        }
+    }
+    return {
+        rule,
+        pairs,
+        keptPairs,
+        drawn: pairs > 0,
+        satisfied: pairs > 0 && keptPairs === pairs,
+        score: pairs === 0 ? 0 : rule.weight * keptPairs / pairs
+    };
+}
+
+// Returns { results: [scoreSoftRule...], score, maxScore } - the totals cover drawn rules only
+function scoreSoftRules(groups = drawState.groups, groupOf = buildGroupLookup(groups)) {
+    const results = getSoftRules().map(rule => scoreSoftRule(rule, groupOf));
+    const drawn = results.filter(result => result.drawn);
+    return {
+        results,
+        score: drawn.reduce((total, result) => total + result.score, 0),
+        maxScore: drawn.reduce((total, result) => total + result.rule.weight, 0)
+    };
+}
+
+// Improve a solver plan for the soft rules by hill-climbing over same-pot swaps.
+// A swap keeps pot quotas and team sizes unchanged; mustBeWith clusters and
+// entries with a forced group never move, and every swap must pass isValidPlacement.
+// Returns the placements with their groupName updated.
+function optimizeSoftRules(placements) {
+    const rules = getSoftRules();
+    if (rules.length === 0 || placements.length < 2) return placements;
+
+    // Groups as they would be after the plan, with one object per planned entry
+    const trialGroups = {};
+    config.groupNames.forEach(groupName => {
+        trialGroups[groupName] = [...(drawState.groups[groupName] || [])];
+    });
+    const planned = placements.map(placement => {
+        const entryData = { entry: placement.entry, potIndex: placement.potIndex };
+        trialGroups[placement.groupName].push(entryData);
+        return { placement, entryData };
+    });
+    const groupOf = buildGroupLookup(trialGroups);
+
+    const ruleMembers = new Set(rules.flatMap(rule => rule.entries.map(normalizeName)));
+    const movable = planned.filter(({ placement }) => !getMustBeWithCluster(placement.entry) && !getForcedGroup(placement.entry));
+    const inRules = movable.filter(({ placement }) => ruleMembers.has(normalizeName(placement.entry)));
+    if (inRules.length === 0) return placements;
+
+    const totalScore = () => rules.reduce((total, rule) => total + scoreSoftRule(rule, groupOf).score, 0);
+    let score = totalScore();
+    const startScore = score;
+
+    const savedGroups = drawState.groups;
+    try {
+        drawState.groups = trialGroups;
+        for (let iteration = 0; iteration < SOFT_OPTIMIZER_ITERATIONS; iteration++) {
+            const a = pickRandom(inRules);
+            const partners = movable.filter(other =>
+                other.placement.potIndex === a.placement.potIndex &&
+                other.placement.groupName !== a.placement.groupName
+            );
+            if (partners.length === 0) continue;
+            const b = pickRandom(partners);
+            const groupA = a.placement.groupName;
+            const groupB = b.placement.groupName;
+            const keyA = normalizeName(a.placement.entry);
+            const keyB = normalizeName(b.placement.entry);
+
+            groupOf[keyA] = groupB;
+            groupOf[keyB] = groupA;
+            const newScore = totalScore();
+            // Equal moves are taken too, so the result stays as random as the plan
+            if (newScore < score) {
+                groupOf[keyA] = groupA;
+                groupOf[keyB] = groupB;
+                continue;
+            }
+
+            trialGroups[groupA].splice(trialGroups[groupA].indexOf(a.entryData), 1);
+            trialGroups[groupB].splice(trialGroups[groupB].indexOf(b.entryData), 1);
+            const keepsMinimums = () => {
+                trialGroups[groupB].push(a.entryData);
+                trialGroups[groupA].push(b.entryData);
+                const ok = getAttributeShortfalls(groupA).length === 0 && getAttributeShortfalls(groupB).length === 0;
+                trialGroups[groupB].pop();
+                trialGroups[groupA].pop();
+                return ok;
+            };
+            if (isValidPlacement(a.placement.entry, groupB) && isValidPlacement(b.placement.entry, groupA) && keepsMinimums()) {
+                trialGroups[groupB].push(a.entryData);
+                trialGroups[groupA].push(b.entryData);
+                a.placement.groupName = groupB;
+                b.placement.groupName = groupA;
+                score = newScore;
+            } else {
+                trialGroups[groupA].push(a.entryData);
+                trialGroups[groupB].push(b.entryData);
+                groupOf[keyA] = groupA;
+                groupOf[keyB] = groupB;
+            }
+        }
+    } finally {
+        drawState.groups = savedGroups;
+    }
+
+    console.log(`Soft rule optimizer: score ${startScore.toFixed(2)} → ${score.toFixed(2)}`);
+    return placements;
+}
+
+// Soft score gained by putting an entry into a group right now (for DRAW NEXT)
+function scoreSoftPlacement(entryName, groupName) {
+    const key = normalizeName(entryName);
+    const rules = getSoftRules().filter(rule => rule.entries.some(e => normalizeName(e) === key));
+    if (rules.length === 0) return 0;
+    const groupOf = buildGroupLookup();
+    groupOf[key] = groupName;
+    return rules.reduce((total, rule) => total + scoreSoftRule(rule, groupOf).score, 0);
+}
+
+// Soft rule report under the draw, once the draw is complete
+function renderDrawSummary() {
+    const summary = document.getElementById('drawSummary');
+    if (!summary) return;
+
+    const { results, score, maxScore } = scoreSoftRules();
+    if (!drawState.drawComplete || results.length === 0) {
+        summary.classList.add('hidden');
+        summary.innerHTML = '';
+        return;
+    }
+
+    const drawnCount = results.filter(result => result.drawn).length;
+    const kept = results.filter(result => result.satisfied).length;
+    const notDrawn = results.length - drawnCount;
+    summary.innerHTML = `
+        <summary>Soft rules: ${kept} of ${drawnCount} kept (${score.toFixed(1)} of ${maxScore.toFixed(1)} weight)${notDrawn > 0 ? ` · ${notDrawn} not drawn` : ''}</summary>
+        <ul>
+            ${results.map(result => !result.drawn ? `
+                <li class="soft-not-drawn">
+                    – ${result.rule.label || result.rule.entries.join(', ')}
+                    <span class="soft-detail">weight ${result.rule.weight} · not drawn (fewer than two of its entries were placed)</span>
+                </li>
+            ` : `
+                <li class="${result.satisfied ? 'soft-kept' : 'soft-broken'}">
+                    ${result.satisfied ? '✓' : '✗'} ${result.rule.label || result.rule.entries.join(', ')}
+                    <span class="soft-detail">weight ${result.rule.weight} · ${result.keptPairs}/${result.pairs} pairs ${result.rule.type === 'apart' ? 'apart' : 'together'}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    summary.classList.remove('hidden');
+}
+
+// ==================== PRE-DRAW FEASIBILITY ANALYZER ====================
+// Checks pots, group names and all four constraint types before the draw opens.
+// Every contradiction becomes an issue: { severity: 'error' | 'warning', message, fix }
+// Errors block "Start Draw"; warnings are listed but don't block.
+
+// Fresh draw state for the current config: full pots, empty groups
+function createInitialDrawState() {
+    const state = {
+        pots: JSON.parse(JSON.stringify(config.pots)), // Deep copy
+        groups: {},
+        isDrawing: false,
+        drawComplete: false,
+        history: [], // Ordered placement events, see recordPlacement
+        redoStack: [], // Undone events, most recent last
+        adjustments: [] // Manual moves/swaps and roster changes made after the draw, see applyManualMove and applyRosterPlan
+    };
+
+    // Initialize groups as empty arrays (can grow to accommodate all entries)
+    config.groupNames.forEach(name => {
+        state.groups[name] = [];
+    });
+    return state;
+}
+
+function analyzeDrawFeasibility() {
+    const issues = [];
+    const error = (message, fix) => issues.push({ severity: 'error', message, fix });
+    const warning = (message, fix) => issues.push({ severity: 'warning', message, fix });
+
+    // ---- Group names ----
+    const seenGroups = {};
+    config.groupNames.forEach(name => {
+        if (!name || !name.trim()) {
+            error('A group has an empty name', 'Give every group a name in Step 2');
+            return;
+        }
+        const key = normalizeName(name);
+        if (seenGroups[key]) {
+            error(`Group names "${seenGroups[key]}" and "${name}" are the same`, 'Rename one of them in Step 2 or in the Topics sheet');
+        }
+        seenGroups[key] = name;
+    });
+    const findGroup = (name) => config.groupNames.find(g => normalizeName(g) === normalizeName(name));
+    const groupList = config.groupNames.join(', ');
+
+    // ---- Pots ----
+    const potOf = {}; // normalized entry name -> pot index
+    const displayName = {}; // normalized entry name -> name as written in the pot
+    config.pots.forEach((pot, potIndex) => {
+        const entries = pot.entries || [];
+        if (entries.length === 0) {
+            warning(`${pot.name} has no entries`, 'Add entries in Step 3 or remove the pot column from the Participants sheet');
+        } else if (entries.length < config.groupNames.length) {
+            warning(`${pot.name} has ${entries.length} entries for ${config.groupNames.length} groups - some groups will get nobody from it`,
+                'Add entries to the pot or reduce the number of groups');
+        }
+        entries.forEach(entry => {
+            const key = normalizeName(entry);
+            if (potOf[key] !== undefined) {
+                const otherPot = config.pots[potOf[key]].name;
+                error(`"${entry}" appears more than once (${otherPot}${potOf[key] === potIndex ? '' : ` and ${pot.name}`})`,
+                    'Every entry needs a unique name - remove the duplicate or tell the two apart');
+                return;
+            }
+            potOf[key] = potIndex;
+            displayName[key] = entry;
+        });
+    });
+    const nameOf = (key) => displayName[key] || key;
+    const potName = (potIndex) => config.pots[potIndex]?.name || `Pot ${potIndex + 1}`;
+
+    // ---- Group sizes ----
+    const policy = config.groupSizePolicy || { mode: 'free' };
+    const totalEntries = countConfigEntries();
+    const numGroups = config.groupNames.length;
+    const sizeLimits = getGroupSizeLimits();
+    // One entry per pot (or the pot quota) caps how big a team can get
+    const largestPossible = config.pots.reduce((total, pot, potIndex) =>
+        total + Math.min(getPotQuota(potIndex), (pot.entries || []).length), 0);
+    if (policy.mode === 'range' && sizeLimits.min > sizeLimits.max) {
+        error(`Minimum team size (${sizeLimits.min}) is larger than the maximum (${sizeLimits.max})`, 'Fix the team size range in Step 1');
+    } else {
+        if (sizeLimits.max * numGroups < totalEntries) {
+            error(`${numGroups} teams of at most ${sizeLimits.max} hold ${sizeLimits.max * numGroups} people, but there are ${totalEntries} entries`,
+                'Raise the maximum team size or add groups');
+        }
+        if (sizeLimits.min * numGroups > totalEntries) {
+            error(`${numGroups} teams of at least ${sizeLimits.min} need ${sizeLimits.min * numGroups} people, but there are only ${totalEntries} entries`,
+                'Lower the minimum team size or use fewer groups');
+        }
+        if (sizeLimits.min > largestPossible) {
+            error(`Teams must have at least ${sizeLimits.min} members, but one entry per pot allows at most ${largestPossible}`,
+                'Lower the minimum team size or add pots');
+        }
+    }
+
+    // ---- Global check: no single rule conflicts, but do they work together? ----
+    const checkWholeDraw = () => {
+        if (issues.some(issue => issue.severity === 'error')) return;
+        const savedDrawState = drawState;
+        drawState = createInitialDrawState();
+        let result;
+        try {
+            result = solveDraw();
+        } finally {
+            drawState = savedDrawState;
+        }
+        if (result.status === 'infeasible') {
+            error(`The rules cannot all hold at once: ${result.reason}`,
+                'No single rule is contradictory - try loosening CannotBeWith pairs, topic assignments or the team size policy until a draw exists');
+        } else if (result.status === 'limit') {
+            warning('The solver could not confirm that a complete draw exists', 'Simplify the rules if the draw gets stuck');
+        }
+    };
+
+    if (!CHEAT_CONSTRAINTS.enabled) {
+        checkWholeDraw();
+        return issues;
+    }
+
+    const checkKnown = (name, sheet) => {
+        if (potOf[normalizeName(name)] === undefined) {
+            warning(`"${name}" from the ${sheet} sheet is not in any pot - the rule is ignored`,
+                'Check the spelling against the Participants sheet');
+            return false;
+        }
+        return true;
+    };
+
+    // ---- cannotBeWith ----
+    const cannotPairs = [];
+    getCannotBeWithPairs().forEach(pair => {
+        const [a, b] = pair;
+        if (normalizeName(a) === normalizeName(b)) {
+            warning(`CannotBeWith pairs "${a}" with itself`, 'Delete that row from the CannotBeWith sheet');
+            return;
+        }
+        checkKnown(a, 'CannotBeWith');
+        checkKnown(b, 'CannotBeWith');
+        cannotPairs.push([normalizeName(a), normalizeName(b)]);
+    });
+
+    // ---- mustBeInGroup ----
+    const forcedGroupOf = {}; // normalized entry name -> group name
+    Object.entries(CHEAT_CONSTRAINTS.mustBeInGroup || {}).forEach(([entry, target]) => {
+        const known = checkKnown(entry, 'MustBeInTopic');
+        const group = findGroup(target);
+        if (!group) {
+            error(`"${entry}" must be in "${target}", but there is no group with that name`,
+                `Change the topic in the MustBeInTopic sheet to one of: ${groupList}`);
+            return;
+        }
+        if (known) forcedGroupOf[normalizeName(entry)] = group;
+    });
+
+    // ---- cannotBeInGroup ----
+    const forbiddenOf = {}; // normalized entry name -> Set of group names
+    Object.entries(CHEAT_CONSTRAINTS.cannotBeInGroup || {}).forEach(([entry, groups]) => {
+        if (!Array.isArray(groups)) return;
+        checkKnown(entry, 'CannotBeInGroup');
+        const key = normalizeName(entry);
+        forbiddenOf[key] = forbiddenOf[key] || new Set();
+        groups.forEach(target => {
+            const group = findGroup(target);
+            if (!group) {
+                warning(`"${entry}" is kept out of "${target}", which is not a group name`, `Use one of: ${groupList}`);
+                return;
+            }
+            forbiddenOf[key].add(group);
+        });
+        if (forbiddenOf[key].size >= config.groupNames.length) {
+            error(`"${entry}" is kept out of every group`, 'Remove at least one group from its cannotBeInGroup list');
+        }
+        if (forcedGroupOf[key] && forbiddenOf[key].has(forcedGroupOf[key])) {
+            error(`"${entry}" must be in ${forcedGroupOf[key]} but is also kept out of it`,
+                'Drop either the mustBeInGroup or the cannotBeInGroup rule for this entry');
+        }
+    });
+
+    // Too many entries from one pot forced into the same group
+    const forcedCounts = {}; // "group|pot" -> entry names
+    Object.entries(forcedGroupOf).forEach(([key, group]) => {
+        const slot = `${group}|${potOf[key]}`;
+        (forcedCounts[slot] = forcedCounts[slot] || []).push(nameOf(key));
+    });
+    Object.entries(forcedCounts).forEach(([slot, names]) => {
+        const [group, potIndex] = slot.split('|');
+        if (names.length > getPotQuota(Number(potIndex))) {
+            error(`${names.join(', ')} are forced into ${group}, but they come from the same pot (${potName(Number(potIndex))})`,
+                'Move some of them to another topic in the MustBeInTopic sheet');
+        }
+    });
+
+    // ---- mustBeWith clusters ----
+    const directMust = new Set((CHEAT_CONSTRAINTS.mustBeWith || [])
+        .filter(pair => Array.isArray(pair) && pair.length === 2)
+        .map(pair => pair.map(normalizeName).sort().join('|')));
+
+    (CHEAT_CONSTRAINTS.mustBeWith || []).forEach(pair => {
+        if (!Array.isArray(pair) || pair.length !== 2) return;
+        checkKnown(pair[0], 'MustBeWith');
+        checkKnown(pair[1], 'MustBeWith');
+    });
+
+    buildMustBeWithClusters().forEach(cluster => {
+        const members = Array.from(cluster).filter(key => potOf[key] !== undefined);
+        const label = `[${members.map(nameOf).join(', ')}]`;
+
+        // Two (or more) members from the same pot
+        const byPot = {};
+        members.forEach(key => (byPot[potOf[key]] = byPot[potOf[key]] || []).push(nameOf(key)));
+        Object.entries(byPot).forEach(([potIndex, names]) => {
+            if (names.length > getPotQuota(Number(potIndex))) {
+                error(`MustBeWith group ${label} holds ${names.join(' and ')}, who come from the same pot (${potName(Number(potIndex))})`,
+                    'A group takes only one entry per pot - remove the MustBeWith row that links them or move one to another pot');
+            }
+        });
+
+        // cannotBeWith pairs inside the cluster
+        cannotPairs.forEach(([a, b]) => {
+            if (!cluster.has(a) || !cluster.has(b)) return;
+            const direct = directMust.has([a, b].sort().join('|'));
+            error(direct
+                ? `"${nameOf(a)}" and "${nameOf(b)}" are in both CannotBeWith and MustBeWith`
+                : `"${nameOf(a)}" and "${nameOf(b)}" cannot be together, but MustBeWith links them through ${label}`,
+                'Delete one of the two rules');
+        });
+
+        // Members forced into different groups / into a group another member is kept out of
+        const forced = new Set(members.map(key => forcedGroupOf[key]).filter(Boolean));
+        if (forced.size > 1) {
+            error(`MustBeWith group ${label} is forced into different groups (${Array.from(forced).join(', ')})`,
+                'Make their MustBeInTopic entries agree or drop one of them');
+        } else if (forced.size === 1) {
+            const [group] = forced;
+            members.forEach(key => {
+                if (forbiddenOf[key]?.has(group)) {
+                    error(`MustBeWith group ${label} is forced into ${group}, but "${nameOf(key)}" is kept out of it`,
+                        'Drop the cannotBeInGroup rule or the MustBeInTopic rule');
+                }
+            });
+        }
+    });
+
+    // Forced entries that cannot be with each other but share a forced group
+    cannotPairs.forEach(([a, b]) => {
+        if (forcedGroupOf[a] && forcedGroupOf[a] === forcedGroupOf[b]) {
+            error(`"${nameOf(a)}" and "${nameOf(b)}" cannot be together, but both are forced into ${forcedGroupOf[a]}`,
+                'Change one MustBeInTopic entry or drop the CannotBeWith row');
+        }
+    });
+
+    // ---- attribute rules ----
+    Object.keys(CHEAT_CONSTRAINTS.attributes || {}).forEach(name => checkKnown(name, 'Attributes'));
+    getAttributeRules().forEach(rule => {
+        const label = describeAttributeRule(rule);
+        const holders = Object.keys(potOf).filter(key => entryMatchesAttributeRule(nameOf(key), rule)).length;
+        if (rule.min !== null && rule.max !== null && rule.min > rule.max) {
+            error(`AttributeRules asks for at least ${rule.min} but at most ${rule.max} with ${label} per group`,
+                'Fix the Min and Max of that row in the AttributeRules sheet');
+            return;
+        }
+        if (rule.min !== null && holders < rule.min * numGroups) {
+            error(`Every group needs at least ${rule.min} with ${label}, but only ${holders} of the entries have it`,
+                'Lower the Min in the AttributeRules sheet, check the Attributes sheet, or use fewer groups');
+        }
+        if (rule.max !== null && holders > rule.max * numGroups) {
+            error(`${holders} entries have ${label}, but ${numGroups} groups take at most ${rule.max} each`,
+                'Raise the Max in the AttributeRules sheet or add groups');
+        }
+        if (rule.min === null && holders === 0) {
+            warning(`Nobody has ${label} in the Attributes sheet`,
+                `Check that the Attributes sheet has a "${rule.attribute}" column and the spelling of "${rule.value}"`);
+        }
+    });
+
+    // ---- soft rules ----
+    // Soft rules never block a draw; only flag names that will be skipped
+    getSoftRules().forEach(rule => rule.entries.forEach(name => checkKnown(name, 'SoftRules')));
+
+    checkWholeDraw();
+    return issues;
+}
+
+// Show the analyzer report on the setup screen (hidden when there is nothing to report)
+function renderFeasibilityReport(issues) {
+    const report = document.getElementById('feasibilityReport');
+    if (!report) return;
+
+    if (!issues || issues.length === 0) {
+        report.classList.add('hidden');
+        report.innerHTML = '';
+        return;
+    }
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    report.innerHTML = `
+        <h4>${errorCount > 0 ? `Draw blocked: ${errorCount} problem${errorCount === 1 ? '' : 's'} to fix` : 'Draw check passed with warnings'}${warningCount > 0 ? ` (${warningCount} warning${warningCount === 1 ? '' : 's'})` : ''}</h4>
+        <ul>
+            ${issues.map(issue => `
+                <li class="report-${issue.severity}">
+                    <span class="report-message">${issue.severity === 'error' ? '✗' : '⚠'} ${issue.message}</span>
+                    <span class="report-fix">Fix: ${issue.fix}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    report.classList.remove('hidden');
+}
+
+// Mark entry as drawn
+function markEntryAsDrawn(potIndex, entryIndex) {
+    const ball = document.querySelector(`.team-ball[data-pot="${potIndex}"][data-entry="${entryIndex}"]`);
+    if (ball) {
+        ball.classList.add('drawn');
+    }
+}
+
+// Sleep utility
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Update status message
+function updateStatus(message) {
+    const statusElement = document.getElementById('drawStatus');
+    // Check if message contains HTML (like links)
+    if (message.includes('<a ') || message.includes('<')) {
+        statusElement.innerHTML = message;
+    } else {
+        statusElement.textContent = message;
+    }
+}
+
+// Show draw animation
+async function showDrawAnimation(entryName) {
+    const overlay = document.getElementById('drawOverlay');
+    const ballText = overlay.querySelector('.ball-text');
+
+    ballText.innerHTML = `<span class="entry-name">${entryName}</span>`;
+
+    // Use animation duration from config (scale overlay to be ~60% of total animation time)
+    const overlayDuration = Math.max(200, (config.animationDuration || 0.8) * 600);
+    
+    overlay.classList.add('active');
+    await sleep(overlayDuration);
+    overlay.classList.remove('active');
+}
+
+// Highlight group
+function highlightGroup(groupIndex, highlight = true) {
+    const group = document.getElementById(`group${groupIndex}`);
+    if (highlight) {
+        group.classList.add('active');
+    } else {
+        group.classList.remove('active');
+    }
+}
+
+// Highlight slot
+function highlightSlot(groupIndex, slotIndex, highlight = true) {
+    const group = document.getElementById(`group${groupIndex}`);
+    const slot = group.querySelectorAll('.slot')[slotIndex];
+    if (highlight) {
+        slot.classList.add('highlight');
+    } else {
+        slot.classList.remove('highlight');
+    }
+}
+
+// Pick the group for a hand-drawn entry from its valid groups
+// Soft rules go first (best score), then it distributes evenly -
+// random choice among the groups with the fewest entries
+function pickGroupForEntry(validGroups, entryName = null) {
+    let candidates = validGroups;
+    if (entryName && getSoftRules().length > 0) {
+        const scores = validGroups.map(groupName => scoreSoftPlacement(entryName, groupName));
+        const best = Math.max(...scores);
+        candidates = validGroups.filter((_, index) => scores[index] >= best - 1e-9);
+    }
+
+    let minEntries = Infinity;
+    const groupsWithMinEntries = [];
+    
+    candidates.forEach(groupName => {
+        const entryCount = drawState.groups[groupName].length;
+        if (entryCount < minEntries) {
+            minEntries = entryCount;
+            groupsWithMinEntries.length = 0;
+            groupsWithMinEntries.push(groupName);
+        } else if (entryCount === minEntries) {
+            groupsWithMinEntries.push(groupName);
+        }
+    });
+    
+    return pickRandom(groupsWithMinEntries);
+}
+
+// Draw single entry
+async function drawEntry() {
+    if (drawState.isDrawing || drawState.drawComplete) return;
+    discardRosterPlan();
+
+    drawState.isDrawing = true;
+    const drawBtn = document.getElementById('drawBtn');
+    const autoDrawBtn = document.getElementById('autoDrawBtn');
+    drawBtn.disabled = true;
+    autoDrawBtn.disabled = true;
+    await waitForSeedCommitment();
+
+    // Find ANY pot with remaining entries - check ALL pots
+    let currentPot = null;
+    let potIndex = -1;
+
+    for (let i = 0; i < drawState.pots.length; i++) {
+        if (drawState.pots[i].entries.length > 0) {
+            currentPot = drawState.pots[i];
+            potIndex = i;
+            break;
+        }
+    }
+
+    // Only mark complete if ALL pots are empty
+    if (!currentPot || currentPot.entries.length === 0) {
+        // Double-check: verify ALL pots are actually empty
+        let totalRemaining = 0;
+        drawState.pots.forEach(pot => {
+            totalRemaining += pot.entries.length;
+        });
+        
+        if (totalRemaining === 0) {
+            drawState.drawComplete = true;
+            updateStatus('DRAW COMPLETE!');
+            // Add voting button when draw completes
+            if (typeof addVotingButtonToUI === 'function') {
+                setTimeout(() => addVotingButtonToUI(), 500);
+            }
+            revealDrawSeed();
+            renderDrawSummary();
+            createConfetti();
+        } else {
+            updateStatus(`Error: ${totalRemaining} entries still remaining but no pot found!`);
+        }
+        drawState.isDrawing = false;
+        return;
+    }
+
+    updateStatus(`Drawing from ${currentPot.name}...`);
+
+    // SECRET CHEAT: Use constraint-aware selection
+    // This finds an entry that CAN be placed somewhere valid, then picks a valid group
+    // Only groups that leave the rest of the draw solvable are offered
+    beginDrawStep();
+    const solved = solveDraw();
+    const drawable = findDrawableEntry(currentPot.entries, potIndex, solved);
+    if (!drawable) {
+        updateStatus(describeSolverFailure(solved));
+        drawState.isDrawing = false;
+        drawBtn.disabled = false;
+        autoDrawBtn.disabled = false;
+        return;
+    }
+    const { entry: selectedEntry, validGroups, verified } = drawable;
+    if (!verified) {
+        // Not a conflict: the rules may still be satisfiable, the solver just could not prove it
+        console.warn(`Draw solver gave up - ${selectedEntry} is placed by the rules for the entries drawn so far`);
+        updateStatus(`Drawing from ${currentPot.name} (the solver gave up - later draws may hit a conflict)...`);
+    }
+
+    // Show draw animation
+    await showDrawAnimation(selectedEntry);
+
+    // SECRET CHEAT: Select from valid groups only (respecting constraints)
+    const selectedGroupName = pickGroupForEntry(validGroups, selectedEntry);
+    
+    const groupIndex = config.groupNames.indexOf(selectedGroupName);
+
+    // Highlight the group
+    highlightGroup(groupIndex, true);
+    // Don't highlight slot since we're not using potIndex-based slots anymore
+
+    updateStatus(`${selectedEntry} → ${selectedGroupName}`);
+
+    // Scale delays with animation duration (20% of total time each)
+    const shortDelay = Math.max(100, (config.animationDuration || 0.8) * 200);
+
+    await sleep(shortDelay);
+
+    // Find the original entry index before removal for marking
+    const originalEntryIndex = config.pots[potIndex].entries.indexOf(selectedEntry);
+
+    // Place entry in group (append to array, allowing imbalance) and remove it from the pot
+    // A fresh draw step makes anything undone earlier unreachable
+    drawState.redoStack = [];
+    placeEntryInstant(selectedEntry, potIndex, selectedGroupName, 'hand', validGroups);
+    saveDrawProgress();
+
+    // Mark as drawn
+    markEntryAsDrawn(potIndex, originalEntryIndex);
+
+    // Update UI
+    renderDrawGroups();
+
+    await sleep(shortDelay);
+
+    // Remove highlights
+    highlightGroup(groupIndex, false);
+
+    // Check if draw is complete - ALL pots must be empty
+    let totalRemaining = 0;
+    drawState.pots.forEach(pot => {
+        totalRemaining += pot.entries.length;
+    });
+
+    if (totalRemaining === 0) {
+        drawState.drawComplete = true;
+        updateStatus('DRAW COMPLETE!');
+        revealDrawSeed();
+        renderDrawSummary();
+        createConfetti();
+    } else {
+        updateStatus(`Click "DRAW NEXT" to continue (${totalRemaining} remaining)`);
+    }
+
+    drawState.isDrawing = false;
+    drawBtn.disabled = false;
+    autoDrawBtn.disabled = false;
+    updateUndoRedoButtons();
+}
+
+// ==================== STRUCTURED DRAW FUNCTIONS ====================
+
+// Place entry with animation
+async function placeEntry(entry, potIndex, groupName, animDelay) {
+    await showDrawAnimation(entry);
+    
+    const gIdx = config.groupNames.indexOf(groupName);
+    highlightGroup(gIdx, true);
+    updateStatus(`${entry} → ${groupName}`);
+    
+    const shortDelay = Math.max(100, (config.animationDuration || 0.8) * 200);
+    await sleep(shortDelay);
+
+    placeEntryInstant(entry, potIndex, groupName, 'auto');
+    saveDrawProgress();
+
+    renderDrawGroups();
+    await sleep(shortDelay);
+    highlightGroup(gIdx, false);
+    await sleep(animDelay);
+}
+
+// Auto draw all (with animation)
+// The solver plans the complete remaining draw up front, then it is revealed pot by pot
+async function autoDrawAll() {
+    if (drawState.isDrawing || drawState.drawComplete) return;
+    discardRosterPlan();
+
+    const drawBtn = document.getElementById('drawBtn');
+    const autoDrawBtn = document.getElementById('autoDrawBtn');
+    const instantDrawBtn = document.getElementById('instantDrawBtn');
+    const abortBtn = document.getElementById('abortBtn');
+
+    // Busy while the commitment is published, so a second click does nothing
+    drawState.isDrawing = true;
+    await waitForSeedCommitment();
+    drawState.isDrawing = false;
+
+    beginDrawStep();
+    const result = solveDraw();
+    if (result.status !== 'solved') {
+        updateStatus(describeSolverFailure(result));
+        return;
+    }
+    
+    drawBtn.disabled = true;
+    autoDrawBtn.disabled = true;
+    if (instantDrawBtn) instantDrawBtn.disabled = true;
+    if (abortBtn) abortBtn.style.display = 'inline-block';
+    
+    drawState.abortRequested = false;
+    drawState.isDrawing = true;
+    drawState.redoStack = [];
+    updateUndoRedoButtons();
+
+    const animDelay = (config.animationDuration || 0.8) * 1000;
+
+    for (const { entry, potIndex, groupName } of orderPlacementsForCeremony(optimizeSoftRules(result.placements))) {
+        if (drawState.abortRequested) break;
+        console.log(`${entry} -> ${groupName}`);
+        await placeEntry(entry, potIndex, groupName, animDelay);
+    }
+
+    // Done
+    let totalRemaining = 0;
+    drawState.pots.forEach(p => totalRemaining += p.entries.length);
+
+    drawState.isDrawing = false;
+    drawState.drawComplete = totalRemaining === 0;
+    if (abortBtn) abortBtn.style.display = 'none';
+    updateUndoRedoButtons();
+    
+    if (drawState.abortRequested) {
+        drawState.abortRequested = false;
+        drawBtn.disabled = false;
+        autoDrawBtn.disabled = false;
+        if (instantDrawBtn) instantDrawBtn.disabled = false;
+        updateStatus('Draw aborted.');
+    } else {
+        updateStatus('DRAW COMPLETE!');
+        revealDrawSeed();
+        renderDrawSummary();
+        createConfetti();
+        if (typeof addVotingButtonToUI === 'function') {
+            setTimeout(() => addVotingButtonToUI(), 500);
+        }
+    }
+}
+
+// Abort the current auto draw
+function abortDraw() {
+    drawState.abortRequested = true;
+}
+
+// Instant draw all (no animation, one fell swoop)
+// Can be used to continue a draw that's already been started
+// Place entry without animation (for instant draw)
+// Every placement goes through here, so this is where the draw history is recorded
+// feasibleGroups: groups the solver offered (hand draws only)
+function placeEntryInstant(entry, potIndex, groupName, mode = 'instant', feasibleGroups = null) {
+    recordPlacement(entry, potIndex, groupName, mode, feasibleGroups);
+    drawState.groups[groupName].push({ entry, potIndex });
+    const idx = drawState.pots[potIndex].entries.indexOf(entry);
+    if (idx !== -1) drawState.pots[potIndex].entries.splice(idx, 1);
+}
+
+// Instant draw - SAME PLAN as autoDrawAll, just no animations
+async function instantDrawAll() {
+    if (drawState.isDrawing) return;
+    if (drawState.drawComplete) {
+        updateStatus('Draw already complete!');
+        return;
+    }
+    discardRosterPlan();
+
+    // Busy while the commitment is published, so a second click does nothing
+    drawState.isDrawing = true;
+    await waitForSeedCommitment();
+    drawState.isDrawing = false;
+
+    beginDrawStep();
+    const result = solveDraw();
+    if (result.status !== 'solved') {
+        updateStatus(describeSolverFailure(result));
+        return;
+    }
+
+    const drawBtn = document.getElementById('drawBtn');
+    const autoDrawBtn = document.getElementById('autoDrawBtn');
+    const instantDrawBtn = document.getElementById('instantDrawBtn');
+    drawBtn.disabled = true;
+    autoDrawBtn.disabled = true;
+    if (instantDrawBtn) instantDrawBtn.disabled = true;
+    drawState.isDrawing = true;
+    drawState.redoStack = [];
+
+    for (const { entry, potIndex, groupName } of orderPlacementsForCeremony(optimizeSoftRules(result.placements))) {
+        placeEntryInstant(entry, potIndex, groupName);
+    }
+    saveDrawProgress();
+
+    // Update UI
+    renderDrawGroups();
+    renderDrawPots();
+    
+    drawState.isDrawing = false;
+    drawState.drawComplete = true;
+    updateStatus('DRAW COMPLETE!');
+    revealDrawSeed();
+    renderDrawSummary();
+    createConfetti();
+    
+    drawBtn.disabled = false;
+    autoDrawBtn.disabled = false;
+    if (instantDrawBtn) instantDrawBtn.disabled = false;
+    updateUndoRedoButtons();
+    
+    if (typeof addVotingButtonToUI === 'function') {
+        setTimeout(() => addVotingButtonToUI(), 500);
+    }
+}
+
+// ==================== DRAW HISTORY & REPLAY ====================
+// Every placement is appended to drawState.history as an event:
+// { step, entry, potIndex, potName, groupName, validGroups, forcedBy, mode, randomCallsBefore, randomCallsAfter, timestamp }
+// validGroups are the groups the rules allowed at that moment; forcedBy names the
+// constraint that left only one group ({ rule, detail }), or null for a free choice.
+// randomCallsBefore/After are the seeded stream's position when the step began and
+// once the entry was picked, so undo and redo can put the stream back (no fresh picks).
+// mode: 'hand' (DRAW NEXT), 'auto' (AUTO DRAW ALL) or 'instant' (INSTANT DRAW)
+// Applied roster changes are events too, with mode 'roster' (see recordRosterChange):
+// { step, entry, potIndex, potName, change: 'add' | 'remove' | 'move', fromGroup, groupName, mode, timestamp }
+// groupName/fromGroup are null for the pot. Replay applies them; undo stops at them.
+
+// Record a placement - called before the entry is actually placed
+function recordPlacement(entry, potIndex, groupName, mode, feasibleGroups = null) {
+    const validGroups = getValidGroupsForEntry(entry, potIndex);
+    drawState.history.push({
+        step: drawState.history.length + 1,
+        entry,
+        potIndex,
+        potName: drawState.pots[potIndex]?.name || `Pot ${potIndex + 1}`,
+        groupName,
+        validGroups,
+        forcedBy: explainPlacement(entry, potIndex, validGroups, feasibleGroups),
+        mode,
+        randomCallsBefore: drawStepStart,
+        randomCallsAfter: drawState.randomCalls || 0,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Record one applied roster change - called after the plan is in drawState
+function recordRosterChange(step, timestamp) {
+    drawState.history.push({
+        step: drawState.history.length + 1,
+        entry: step.entry,
+        potIndex: step.potIndex,
+        potName: config.pots[step.potIndex]?.name || `Pot ${step.potIndex + 1}`,
+        change: step.type,
+        fromGroup: step.fromGroup,
+        groupName: step.toGroup,
+        mode: 'roster',
+        timestamp
+    });
+}
+
+// Work out which constraint (if any) left only one group for an entry
+function explainPlacement(entryName, potIndex, validGroups, feasibleGroups = null) {
+    if (CHEAT_CONSTRAINTS.enabled) {
+        const cluster = getMustBeWithCluster(entryName);
+        if (cluster) {
+            for (const groupName of config.groupNames) {
+                const partner = getEntriesInGroup(groupName).find(e => cluster.has(normalizeName(e)));
+                if (partner) {
+                    return { rule: 'mustBeWith', detail: `must be with ${partner}` };
+                }
+            }
+        }
+
+        const forcedGroup = getForcedGroup(entryName);
+        if (forcedGroup) {
+            return { rule: 'mustBeInGroup', detail: `must be in ${forcedGroup}` };
+        }
+    }
+
+    if (validGroups.length === 1) {
+        const availableGroups = getAvailableGroups(potIndex);
+        if (availableGroups.length === 1) {
+            return { rule: 'onePerPot', detail: 'only group still open for this pot' };
+        }
+
+        const excluded = availableGroups.filter(groupName => !validGroups.includes(groupName));
+        const rules = [];
+        if (excluded.some(groupName => !checkCannotBeWith(entryName, groupName))) rules.push('cannotBeWith');
+        if (excluded.some(groupName => !checkCannotBeInGroup(entryName, groupName))) rules.push('cannotBeInGroup');
+        if (excluded.some(groupName => !checkAttributeRules(entryName, groupName))) rules.push('attributeRules');
+        if (rules.length > 0) {
+            return { rule: rules.join('+'), detail: `other open groups ruled out by ${rules.join(' and ')}` };
+        }
+    }
+
+    if (feasibleGroups && feasibleGroups.length === 1) {
+        return { rule: 'solver', detail: 'only group that keeps the rest of the draw solvable' };
+    }
+    return null;
+}
+
+// Position of an entry's ball in its pot (names compared like the rest of the draw), or -1
+function findPotEntryIndex(potIndex, entry) {
+    const key = normalizeName(entry);
+    return (config.pots[potIndex]?.entries || []).findIndex(e => normalizeName(e) === key);
+}
+
+// Show the full pots from config with every entry placed in the groups marked as drawn
+function renderPotsFromGroups(groups = drawState.groups) {
+    renderDrawPots(config.pots);
+    Object.values(groups).flat().forEach(({ entry, potIndex }) => {
+        markEntryAsDrawn(potIndex, findPotEntryIndex(potIndex, entry));
+    });
+}
+
+// Apply a roster event to a set of groups (the replay's own copy)
+function applyRosterEvent(groups, event) {
+    const key = normalizeName(event.entry);
+    if (event.fromGroup && groups[event.fromGroup]) {
+        groups[event.fromGroup] = groups[event.fromGroup].filter(e => !(normalizeName(e.entry) === key && e.potIndex === event.potIndex));
+    }
+    if (event.groupName && groups[event.groupName]) {
+        groups[event.groupName].push({ entry: event.entry, potIndex: event.potIndex });
+    }
+}
+
+function describeRosterEvent(event) {
+    if (event.change === 'add') return `${event.entry} joins ${event.groupName || 'the pot'}`;
+    if (event.change === 'remove') return `${event.entry} leaves ${event.fromGroup || 'the pot'}`;
+    return `${event.entry} moves ${event.fromGroup} → ${event.groupName}`;
+}
+
+// Replay the recorded draw on the draw screen, step by step
+// Only the live view is rebuilt - drawState itself is never touched
+// The constraint behind each step stays in the history; it is not shown on screen
+async function replayDraw() {
+    if (drawState.isDrawing) return;
+    if (drawState.history.length === 0) {
+        updateStatus('Nothing to replay yet - draw some entries first');
+        return;
+    }
+
+    const state = drawState;
+    const events = [...state.history];
+    const drawBtn = document.getElementById('drawBtn');
+    const autoDrawBtn = document.getElementById('autoDrawBtn');
+    const instantDrawBtn = document.getElementById('instantDrawBtn');
+    const replayBtn = document.getElementById('replayBtn');
+    const abortBtn = document.getElementById('abortBtn');
+
+    drawBtn.disabled = true;
+    autoDrawBtn.disabled = true;
+    if (instantDrawBtn) instantDrawBtn.disabled = true;
+    if (replayBtn) replayBtn.disabled = true;
+    if (abortBtn) abortBtn.style.display = 'inline-block';
+    state.abortRequested = false;
+    state.isDrawing = true;
+    updateUndoRedoButtons();
+
+    const replayGroups = {};
+    config.groupNames.forEach(name => { replayGroups[name] = []; });
+    renderDrawPots(config.pots);
+    renderDrawGroups(replayGroups);
+
+    const animDelay = (config.animationDuration || 0.8) * 1000;
+    const shortDelay = Math.max(100, (config.animationDuration || 0.8) * 200);
+
+    for (const event of events) {
+        // Stop on ABORT, or if the draw was reset underneath us
+        if (state.abortRequested || drawState !== state) break;
+
+        if (event.mode === 'roster') {
+            applyRosterEvent(replayGroups, event);
+            if (event.groupName) markEntryAsDrawn(event.potIndex, findPotEntryIndex(event.potIndex, event.entry));
+            renderDrawGroups(replayGroups);
+            updateStatus(`Replay ${event.step}/${events.length}: roster change - ${describeRosterEvent(event)}`);
+            await sleep(animDelay);
+            continue;
+        }
+
+        updateStatus(`Replay ${event.step}/${events.length}: drawing from ${event.potName}...`);
+        await showDrawAnimation(event.entry);
+
+        const groupIndex = config.groupNames.indexOf(event.groupName);
+        highlightGroup(groupIndex, true);
+        updateStatus(`Replay ${event.step}/${events.length}: ${event.entry} → ${event.groupName}`);
+        await sleep(shortDelay);
+
+        replayGroups[event.groupName].push({ entry: event.entry, potIndex: event.potIndex });
+        markEntryAsDrawn(event.potIndex, findPotEntryIndex(event.potIndex, event.entry));
+        renderDrawGroups(replayGroups);
+        await sleep(shortDelay);
+        highlightGroup(groupIndex, false);
+        await sleep(animDelay);
+    }
+
+    if (drawState !== state) return;
+
+    // Back to the real state, whether the replay finished or was aborted
+    renderPotsFromGroups();
+    renderDrawGroups();
+    state.isDrawing = false;
+    drawBtn.disabled = false;
+    autoDrawBtn.disabled = false;
+    if (instantDrawBtn) instantDrawBtn.disabled = false;
+    if (replayBtn) replayBtn.disabled = false;
+    if (abortBtn) abortBtn.style.display = 'none';
+    updateUndoRedoButtons();
+
+    if (state.abortRequested) {
+        state.abortRequested = false;
+        updateStatus('Replay stopped.');
+    } else {
+        updateStatus(state.drawComplete ? 'REPLAY COMPLETE!' : `Replay complete - click "DRAW NEXT" to continue`);
+    }
+}
+
+// ==================== UNDO / REDO ====================
+// Undo takes the last event off drawState.history and puts its entry back in the pot.
+// The seeded stream goes back to where that draw step began, so drawing again gives
+// the same pick. Undone events wait on drawState.redoStack until a new draw step clears it.
+// Applied roster changes can't be undone, so undo stops at the last roster event.
+
+// Put an entry back in its pot, keeping the original pot order so ball positions stay stable
+function returnEntryToPot(entry, potIndex) {
+    const pot = drawState.pots[potIndex];
+    pot.entries = config.pots[potIndex].entries.filter(e => e === entry || pot.entries.includes(e));
+}
+
+function countRemainingEntries() {
+    return drawState.pots.reduce((total, pot) => total + pot.entries.length, 0);
+}
+
+// Undo the most recent placement
+function undoPlacement() {
+    if (drawState.isDrawing) return;
+    // Once the seed is out, undoing would allow a re-roll the commitment is meant to rule out
+    if (drawState.seedRevealed) {
+        updateStatus('The seed has been revealed - the draw can no longer be undone');
+        return;
+    }
+
+    if (isRosterEvent(drawState.history[drawState.history.length - 1])) {
+        updateStatus('Roster changes cannot be undone - load the participants again to change the roster');
+        return;
+    }
+
+    const event = drawState.history.pop();
+    if (!event) {
+        updateStatus('Nothing to undo');
+        return;
+    }
+    discardRosterPlan();
+
+    // Look in every group - the entry may have been moved by hand since it was drawn
+    Object.values(drawState.groups).forEach(groupEntries => {
+        const index = groupEntries.findIndex(e => e.entry === event.entry && e.potIndex === event.potIndex);
+        if (index !== -1) groupEntries.splice(index, 1);
+    });
+    returnEntryToPot(event.entry, event.potIndex);
+    if (event.randomCallsBefore !== undefined) {
+        setDrawRandomPosition(event.randomCallsBefore);
+    }
+
+    drawState.redoStack.push(event);
+    drawState.drawComplete = false;
+    saveDrawProgress();
+
+    renderPotsFromGroups();
+    renderDrawGroups();
+
+    document.getElementById('drawBtn').disabled = false;
+    document.getElementById('autoDrawBtn').disabled = false;
+    const instantDrawBtn = document.getElementById('instantDrawBtn');
+    if (instantDrawBtn) instantDrawBtn.disabled = false;
+
+    updateStatus(`Undid ${event.entry} → ${event.groupName} (${countRemainingEntries()} remaining)`);
+    updateUndoRedoButtons();
+    renderDrawSummary();
+}
+
+// Redo the most recently undone placement
+// Checked against the current state first: the entry must still be in its pot,
+// the group must still accept it and the rest of the draw must stay solvable
+function redoPlacement() {
+    if (drawState.isDrawing) return;
+
+    const event = drawState.redoStack[drawState.redoStack.length - 1];
+    if (!event) {
+        updateStatus('Nothing to redo');
+        return;
+    }
+
+    const placement = { entry: event.entry, potIndex: event.potIndex, groupName: event.groupName };
+    const stillValid = drawState.pots[event.potIndex].entries.includes(event.entry) &&
+        getValidGroupsForEntry(event.entry, event.potIndex).includes(event.groupName) &&
+        solveDrawForCheck([placement]).status === 'solved';
+
+    if (!stillValid) {
+        drawState.redoStack = [];
+        updateStatus(`Cannot redo ${event.entry} → ${event.groupName}: it no longer fits the current draw`);
+        updateUndoRedoButtons();
+        return;
+    }
+
+    drawState.redoStack.pop();
+    discardRosterPlan();
+    // The stream goes to where the original step left it, as if it had never been undone
+    if (event.randomCallsAfter !== undefined) {
+        drawStepStart = event.randomCallsBefore;
+        setDrawRandomPosition(event.randomCallsAfter);
+    }
+    placeEntryInstant(event.entry, event.potIndex, event.groupName, event.mode, event.mode === 'hand' ? event.validGroups : null);
+    saveDrawProgress();
+
+    renderPotsFromGroups();
+    renderDrawGroups();
+
+    const remaining = countRemainingEntries();
+    if (remaining === 0) {
+        drawState.drawComplete = true;
+        updateStatus('DRAW COMPLETE!');
+        revealDrawSeed();
+        renderDrawSummary();
+    } else {
+        updateStatus(`Redid ${event.entry} → ${event.groupName} (${remaining} remaining)`);
+    }
+    updateUndoRedoButtons();
+}
+
+// Enable UNDO / REDO only when there is something to step through
+function isRosterEvent(event) {
+    return event?.mode === 'roster';
+}
+
+function updateUndoRedoButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const lastEvent = drawState.history[drawState.history.length - 1];
+    if (undoBtn) undoBtn.disabled = drawState.isDrawing || drawState.seedRevealed || !lastEvent || isRosterEvent(lastEvent);
+    if (redoBtn) redoBtn.disabled = drawState.isDrawing || drawState.redoStack.length === 0;
+}
+
+// ==================== MANUAL ADJUSTMENTS ====================
+// After the draw, placed entries can be dragged to another group (move) or onto
+// another entry (swap). Every candidate drop is checked live against the same rules
+// as the draw - the one-per-pot rule and isValidPlacement - and the broken rule is
+// highlighted. Applied moves are logged in drawState.adjustments with any rules
+// that were knowingly overridden, so they travel with exports and voting forms.
+
+let manualDrag = null; // { fromGroup, fromIndex, targetKey } while a slot is being dragged
+
+// Rules broken by putting one {entry, potIndex} into a group, given the current drawState.groups
+// Returns [{ entry, groupName, rule, message, conflictsWith: [entry names to highlight] }]
+function findPlacementViolations({ entry, potIndex }, groupName) {
+    const violations = [];
+    const add = (rule, message, conflictsWith = []) => violations.push({ entry, groupName, rule, message, conflictsWith });
+
+    const potMates = drawState.groups[groupName]
+        .filter(e => e.potIndex === potIndex)
+        .map(e => e.entry);
+    if (potMates.length >= getPotQuota(potIndex)) {
+        add('onePerPot', `${groupName} already has ${potMates.join(', ')} from ${config.pots[potIndex]?.name || 'this pot'}`, potMates);
+    }
+    const { max } = getGroupSizeLimits();
+    if (drawState.groups[groupName].length >= max) {
+        add('groupSize', `${groupName} would have more than ${max} members`);
+    }
+
+    if (isValidPlacement(entry, groupName)) return violations;
+
+    if (!checkCannotBeWith(entry, groupName)) {
+        // Names compared like the solver does; partners are listed as spelled in the group
+        const key = normalizeName(entry);
+        const partnerKeys = new Set(getCannotBeWithPairs()
+            .filter(pair => pair.some(e => normalizeName(e) === key))
+            .map(pair => normalizeName(pair.find(e => normalizeName(e) !== key))));
+        const partners = getEntriesInGroup(groupName).filter(e => partnerKeys.has(normalizeName(e)));
+        add('cannotBeWith', `${entry} cannot be with ${partners.join(', ')}`, partners);
+    }
+    if (!checkMustBeWith(entry, groupName)) {
+        const cluster = getMustBeWithCluster(entry);
+        const partners = config.groupNames
+            .filter(gName => gName !== groupName)
+            .flatMap(gName => getEntriesInGroup(gName))
+            .filter(e => cluster.has(normalizeName(e)));
+        add('mustBeWith', `${entry} must be with ${partners.join(', ')}`, partners);
+    }
+    if (!checkMustBeInGroup(entry, groupName)) {
+        add('mustBeInGroup', `${entry} must be in ${getForcedGroup(entry)}`);
+    }
+    if (!checkCannotBeInGroup(entry, groupName)) {
+        add('cannotBeInGroup', `${entry} cannot be in ${groupName}`);
+    }
+    if (!checkAttributeRules(entry, groupName)) {
+        getAttributeRules()
+            .filter(rule => rule.max !== null && entryMatchesAttributeRule(entry, rule))
+            .forEach(rule => {
+                const holders = getEntriesInGroup(groupName).filter(e => entryMatchesAttributeRule(e, rule));
+                if (holders.length + 1 > rule.max) {
+                    add('attribute', `${groupName} may have at most ${rule.max} with ${describeAttributeRule(rule)}`, holders);
+                }
+            });
+    }
+    return violations;
+}
+
+// Check moving groups[fromGroup][fromIndex] to toGroup
+// With toIndex set it is a swap: the entry at groups[toGroup][toIndex] goes to fromGroup
+function validateManualMove(fromGroup, fromIndex, toGroup, toIndex = null) {
+    const moving = drawState.groups[fromGroup][fromIndex];
+    const swapping = toIndex !== null ? drawState.groups[toGroup][toIndex] : null;
+
+    // Judge the result on a trial copy with the moved entries taken out first
+    const savedGroups = drawState.groups;
+    const trialGroups = {};
+    Object.entries(savedGroups).forEach(([name, entries]) => {
+        trialGroups[name] = entries.filter(e => e !== moving && e !== swapping);
+    });
+
+    const violations = [];
+    try {
+        drawState.groups = trialGroups;
+        violations.push(...findPlacementViolations(moving, toGroup));
+        trialGroups[toGroup].push(moving);
+        if (swapping) {
+            violations.push(...findPlacementViolations(swapping, fromGroup));
+            trialGroups[fromGroup].push(swapping);
+        } else if (trialGroups[fromGroup].length < getGroupSizeLimits().min) {
+            violations.push({
+                entry: moving.entry,
+                groupName: fromGroup,
+                rule: 'groupSize',
+                message: `${fromGroup} would drop below ${getGroupSizeLimits().min} members`,
+                conflictsWith: []
+            });
+        }
+        // Attribute minimums are only broken by what leaves a group, not by what joins
+        [fromGroup, toGroup].forEach(groupName => {
+            const leaving = groupName === fromGroup ? moving : swapping;
+            if (!leaving || !CHEAT_CONSTRAINTS.enabled) return;
+            getAttributeShortfalls(groupName)
+                .filter(rule => entryMatchesAttributeRule(leaving.entry, rule))
+                .forEach(rule => violations.push({
+                    entry: leaving.entry,
+                    groupName,
+                    rule: 'attribute',
+                    message: `${groupName} needs at least ${rule.min} with ${describeAttributeRule(rule)}`,
+                    conflictsWith: []
+                }));
+        });
+    } finally {
+        drawState.groups = savedGroups;
+    }
+    return violations;
+}
+
+// Apply a validated move/swap and log it
+function applyManualMove(fromGroup, fromIndex, toGroup, toIndex, violations) {
+    discardRosterPlan();
+    const moving = drawState.groups[fromGroup][fromIndex];
+    const swapping = toIndex !== null ? drawState.groups[toGroup][toIndex] : null;
+
+    if (swapping) {
+        drawState.groups[fromGroup][fromIndex] = swapping;
+        drawState.groups[toGroup][toIndex] = moving;
+    } else {
+        drawState.groups[fromGroup].splice(fromIndex, 1);
+        drawState.groups[toGroup].push(moving);
+    }
+
+    const adjustment = {
+        type: swapping ? 'swap' : 'move',
+        entry: moving.entry,
+        fromGroup,
+        toGroup,
+        swappedWith: swapping ? swapping.entry : null,
+        overriddenRules: violations.map(v => `${v.rule}: ${v.message}`),
+        timestamp: new Date().toISOString()
+    };
+    drawState.adjustments.push(adjustment);
+    // Redo would replay placements into groups that no longer look the same
+    drawState.redoStack = [];
+    console.log('Manual adjustment:', adjustment);
+
+    saveDrawProgress();
+    renderDrawGroups();
+    updateUndoRedoButtons();
+    renderDrawSummary();
+    updateStatus(swapping
+        ? `Swapped ${moving.entry} (${toGroup}) and ${swapping.entry} (${fromGroup})`
+        : `Moved ${moving.entry} from ${fromGroup} to ${toGroup}`);
+}
+
+// Where the pointer is: a filled slot (swap) or anywhere else in a group (move)
+function getManualDropTarget(event) {
+    const groupDiv = event.target.closest('.group');
+    if (!groupDiv) return null;
+    const slot = event.target.closest('.slot.filled');
+    return {
+        toGroup: groupDiv.dataset.group,
+        toIndex: slot ? parseInt(slot.dataset.position) : null
+    };
+}
+
+function clearManualDropFeedback() {
+    document.querySelectorAll('#groupsContainer .drop-valid, #groupsContainer .drop-invalid, #groupsContainer .drop-target, #groupsContainer .conflict')
+        .forEach(el => el.classList.remove('drop-valid', 'drop-invalid', 'drop-target', 'conflict'));
+}
+
+// Highlight the target group and every entry involved in a broken rule
+function showManualDropFeedback(target, violations) {
+    clearManualDropFeedback();
+    const groupDiv = document.getElementById(`group${config.groupNames.indexOf(target.toGroup)}`);
+    if (!groupDiv) return;
+    groupDiv.classList.add(violations.length > 0 ? 'drop-invalid' : 'drop-valid');
+    if (target.toIndex !== null) {
+        groupDiv.querySelectorAll('.slot')[target.toIndex]?.classList.add('drop-target');
+    }
+
+    const conflicting = new Set(violations.flatMap(v => v.conflictsWith));
+    document.querySelectorAll('#groupsContainer .slot.filled').forEach(slot => {
+        if (conflicting.has(slot.querySelector('.entry-name')?.textContent)) {
+            slot.classList.add('conflict');
+        }
+    });
+
+    updateStatus(violations.length > 0
+        ? `⚠ Breaks ${violations.map(v => `${v.rule} (${v.message})`).join('; ')}`
+        : `✓ ${target.toIndex !== null ? 'Swap' : 'Move'} to ${target.toGroup} keeps every rule`);
+}
+
+function handleManualDragStart(event) {
+    const slot = event.target.closest('.slot.filled[draggable="true"]');
+    if (!slot) return;
+    if (!drawState.drawComplete || drawState.isDrawing) {
+        event.preventDefault();
+        updateStatus('Entries can be moved by hand once the draw is complete');
+        return;
+    }
+    manualDrag = {
+        fromGroup: slot.closest('.group').dataset.group,
+        fromIndex: parseInt(slot.dataset.position),
+        targetKey: null
+    };
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', slot.querySelector('.entry-name')?.textContent || '');
+    slot.classList.add('dragging');
+}
+
+function handleManualDragOver(event) {
+    if (!manualDrag) return;
+    const target = getManualDropTarget(event);
+    if (!target || target.toGroup === manualDrag.fromGroup) {
+        manualDrag.targetKey = null;
+        clearManualDropFeedback();
+        return;
+    }
+    event.preventDefault(); // Allow the drop
+
+    // dragover fires continuously - only re-validate when the target changes
+    const targetKey = `${target.toGroup}:${target.toIndex}`;
+    if (targetKey !== manualDrag.targetKey) {
+        manualDrag.targetKey = targetKey;
+        showManualDropFeedback(target, validateManualMove(manualDrag.fromGroup, manualDrag.fromIndex, target.toGroup, target.toIndex));
+    }
+}
+
+function handleManualDrop(event) {
+    if (!manualDrag) return;
+    event.preventDefault();
+    const { fromGroup, fromIndex } = manualDrag;
+    const target = getManualDropTarget(event);
+    manualDrag = null;
+    clearManualDropFeedback();
+    if (!target || target.toGroup === fromGroup) return;
+
+    const violations = validateManualMove(fromGroup, fromIndex, target.toGroup, target.toIndex);
+    if (violations.length > 0) {
+        const rules = violations.map(v => `• ${v.rule}: ${v.message}`).join('\n');
+        if (!confirm(`This change breaks:\n${rules}\n\nApply it anyway? It will be logged as an override.`)) {
+            updateStatus('Change cancelled');
+            return;
+        }
+    }
+    applyManualMove(fromGroup, fromIndex, target.toGroup, target.toIndex, violations);
+}
+
+function handleManualDragEnd() {
+    manualDrag = null;
+    clearManualDropFeedback();
+    document.querySelectorAll('#groupsContainer .dragging').forEach(el => el.classList.remove('dragging'));
+}
+
+// ==================== ROSTER CHANGES ====================
+// Late registrations and dropouts without redoing the draw. The Participants tab is
+// loaded again from the Step 1 data source and compared with the draw: dropouts are
+// taken out and newcomers are placed with the draw's own rules (getValidGroupsForEntry).
+// Existing members only move when a newcomer fits nowhere else or a group ends up
+// outside the team size limits. The plan is previewed first, then applied in one go
+// and logged in drawState.adjustments next to the manual moves.
+
+let pendingRosterPlan = null; // The previewed plan, see planRosterChanges
+
+// The draw a roster plan is worked out from: the groups and what is left in the pots.
+// A plan is only applied to the same draw - anything placed or moved since makes it stale.
+function getRosterPlanBase() {
+    return JSON.stringify([drawState.groups, drawState.pots.map(pot => pot.entries)]);
+}
+
+// Drop the previewed plan - called by everything that changes drawState
+function discardRosterPlan() {
+    if (!pendingRosterPlan) return;
+    pendingRosterPlan = null;
+    renderRosterPreview(null);
+}
+
+// One key per person for comparing rosters: pot plus normalized name
+function rosterKey(entry, potIndex) {
+    return `${potIndex}:${normalizeName(entry)}`;
+}
+
+// Compare freshly loaded pots with the draw (placed and still in the pots)
+// An entry is matched by pot and name, so a change of pot is a removal plus an addition
+function diffRoster(newPots) {
+    const key = rosterKey;
+    const current = new Map();
+    drawState.pots.forEach((pot, potIndex) => {
+        pot.entries.forEach(entry => current.set(key(entry, potIndex), { entry, potIndex }));
+    });
+    Object.values(drawState.groups).flat().forEach(placed => current.set(key(placed.entry, placed.potIndex), placed));
+
+    const incoming = new Map();
+    newPots.forEach((pot, potIndex) => {
+        pot.entries.forEach(entry => incoming.set(key(entry, potIndex), { entry, potIndex }));
+    });
+
+    return {
+        added: [...incoming].filter(([k]) => !current.has(k)).map(([, entry]) => entry),
+        removed: [...current].filter(([k]) => !incoming.has(k)).map(([, entry]) => entry)
+    };
+}
+
+// Work out the changes on a trial copy of the groups
+// Returns { pots, groups, steps: [{ type: 'add' | 'remove' | 'move', entry, potIndex, fromGroup, toGroup, note, overriddenRules }], warnings, basedOn }
+function planRosterChanges(newPots) {
+    const basedOn = getRosterPlanBase();
+    const { added, removed } = diffRoster(newPots);
+    const steps = [];
+    const warnings = [];
+
+    const savedGroups = drawState.groups;
+    const savedPots = config.pots;
+    const trialGroups = {};
+    Object.entries(savedGroups).forEach(([name, entries]) => {
+        trialGroups[name] = [...entries];
+    });
+
+    try {
+        // Pot quotas and team size limits follow the new roster
+        drawState.groups = trialGroups;
+        config.pots = newPots;
+
+        removed.forEach(dropout => {
+            const fromGroup = config.groupNames.find(groupName => trialGroups[groupName].includes(dropout)) || null;
+            if (fromGroup) {
+                trialGroups[fromGroup] = trialGroups[fromGroup].filter(e => e !== dropout);
+            }
+            steps.push({ type: 'remove', entry: dropout.entry, potIndex: dropout.potIndex, fromGroup, toGroup: null, note: fromGroup ? '' : 'was still in the pot', overriddenRules: [] });
+        });
+
+        if (drawState.drawComplete) {
+            added.forEach(newcomer => placeRosterNewcomer(newcomer, steps));
+            rebalanceRosterGroups(steps);
         } else {
-            otherEntries.push(entry);
+            // The draw is still running - newcomers simply join their pot and are drawn like everyone else
+            added.forEach(newcomer => {
+                steps.push({ type: 'add', entry: newcomer.entry, potIndex: newcomer.potIndex, fromGroup: null, toGroup: null, note: 'joins the pot', overriddenRules: [] });
+            });
         }
-    }
-    
-    // Shuffle each category
-    const shuffleMustBeWith = entriesWithMustBeWith.sort(() => Math.random() - 0.5);
-    const shuffleMustBeInGroup = entriesWithMustBeInGroup.sort(() => Math.random() - 0.5);
-    const shuffleOther = otherEntries.sort(() => Math.random() - 0.5);
-    
-    // Try entries in priority order: mustBeWith first, then mustBeInGroup, then others
-    const orderedEntries = [...shuffleMustBeWith, ...shuffleMustBeInGroup, ...shuffleOther];
-    
-    for (const entry of orderedEntries) {
-        const validGroups = getValidGroupsForEntry(entry, potIndex);
-        if (validGroups.length > 0) {
-            return { entry, validGroups };
+
+        if (drawState.drawComplete) {
+            const { min, max } = getGroupSizeLimits();
+            config.groupNames.forEach(groupName => {
+                const size = trialGroups[groupName].length;
+                if (size < min || size > max) {
+                    warnings.push(`${groupName} has ${size} members (allowed: ${min}-${max === Infinity ? '∞' : max})`);
+                }
+                if (CHEAT_CONSTRAINTS.enabled) {
+                    getAttributeShortfalls(groupName).forEach(rule => {
+                        warnings.push(`${groupName} needs at least ${rule.min} with ${describeAttributeRule(rule)}`);
+                    });
+                }
+            });
         }
+    } finally {
+        drawState.groups = savedGroups;
+        config.pots = savedPots;
     }
 
-    // No valid entry found - constraints might be impossible
-    // Fall back to random selection from available groups only
-    console.warn('CHEAT WARNING: Could not satisfy all constraints. Falling back to available groups.');
-    const randomEntry = potEntries[Math.floor(Math.random() * potEntries.length)];
-    const availableGroups = getAvailableGroups(potIndex);
-    if (availableGroups.length > 0) {
-        return { entry: randomEntry, validGroups: availableGroups };
-    }
-    
-    // Absolute fallback - no groups available (all have entry from this pot)
-    console.error('CRITICAL: No available groups for pot', potIndex);
-    return { entry: randomEntry, validGroups: config.groupNames };
+    return { pots: newPots, groups: trialGroups, steps, warnings, basedOn };
 }
 
-// Mark entry as drawn
-function markEntryAsDrawn(potIndex, entryIndex) {
-    const ball = document.querySelector(`.team-ball[data-pot="${potIndex}"][data-entry="${entryIndex}"]`);
-    if (ball) {
-        ball.classList.add('drawn');
+// Groups an entry can join under the draw rules, double-checked against every rule
+// (getValidGroupsForEntry trusts a forced group as is - during the draw the solver covers the rest)
+function getRosterGroupsForEntry(entry, potIndex) {
+    return getValidGroupsForEntry(entry, potIndex).filter(groupName => isValidPlacement(entry, groupName));
+}
+
+// Place one newcomer into the trial groups (drawState.groups during planning)
+// A valid group is used as is; otherwise one existing member is moved to make room,
+// and only when that fails too the newcomer goes where the fewest rules break (logged as an override)
+function placeRosterNewcomer(newcomer, steps) {
+    const { entry, potIndex } = newcomer;
+    const validGroups = getRosterGroupsForEntry(entry, potIndex);
+    if (validGroups.length > 0) {
+        const groupName = pickGroupForEntry(validGroups, entry);
+        drawState.groups[groupName].push(newcomer);
+        steps.push({ type: 'add', entry, potIndex, fromGroup: null, toGroup: groupName, note: '', overriddenRules: [] });
+        return;
+    }
+
+    for (const groupName of config.groupNames) {
+        const original = drawState.groups[groupName];
+        for (const member of original) {
+            drawState.groups[groupName] = original.filter(e => e !== member);
+            if (getRosterGroupsForEntry(entry, potIndex).includes(groupName)) {
+                drawState.groups[groupName].push(newcomer);
+                const target = getRosterGroupsForEntry(member.entry, member.potIndex).find(g => g !== groupName);
+                const leavesShortfall = CHEAT_CONSTRAINTS.enabled &&
+                    getAttributeShortfalls(groupName).some(rule => entryMatchesAttributeRule(member.entry, rule));
+                if (target && !leavesShortfall) {
+                    drawState.groups[target].push(member);
+                    steps.push({ type: 'move', entry: member.entry, potIndex: member.potIndex, fromGroup: groupName, toGroup: target, note: `makes room for ${entry}`, overriddenRules: [] });
+                    steps.push({ type: 'add', entry, potIndex, fromGroup: null, toGroup: groupName, note: '', overriddenRules: [] });
+                    return;
+                }
+            }
+            drawState.groups[groupName] = original;
+        }
     }
+
+    let best = null;
+    config.groupNames.forEach(groupName => {
+        const violations = findPlacementViolations(newcomer, groupName);
+        if (!best || violations.length < best.violations.length ||
+            (violations.length === best.violations.length && drawState.groups[groupName].length < drawState.groups[best.groupName].length)) {
+            best = { groupName, violations };
+        }
+    });
+    drawState.groups[best.groupName].push(newcomer);
+    steps.push({
+        type: 'add',
+        entry,
+        potIndex,
+        fromGroup: null,
+        toGroup: best.groupName,
+        note: 'no group keeps every rule',
+        overriddenRules: best.violations.map(v => `${v.rule}: ${v.message}`)
+    });
 }
 
-// Sleep utility
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Bring groups back inside the team size limits, one valid move at a time
+// The fullest group gives to the emptiest, so as few members as possible change group
+function rebalanceRosterGroups(steps) {
+    const { min, max } = getGroupSizeLimits();
+    const size = groupName => drawState.groups[groupName].length;
+
+    for (let guard = countConfigEntries(); guard > 0; guard--) {
+        const overfull = config.groupNames.find(groupName => size(groupName) > max);
+        const short = config.groupNames.find(groupName => size(groupName) < min);
+        if (!overfull && !short) return;
+
+        const fromGroups = overfull ? [overfull] : config.groupNames.filter(g => size(g) > min).sort((a, b) => size(b) - size(a));
+        const toGroups = short ? [short] : config.groupNames.filter(g => size(g) < max).sort((a, b) => size(a) - size(b));
+        const move = findRosterMove(fromGroups, toGroups);
+        if (!move) return; // Left as is - the preview lists the group
+
+        const [member] = drawState.groups[move.fromGroup].splice(move.fromIndex, 1);
+        drawState.groups[move.toGroup].push(member);
+        steps.push({ type: 'move', entry: member.entry, potIndex: member.potIndex, fromGroup: move.fromGroup, toGroup: move.toGroup, note: 'evens out team sizes', overriddenRules: [] });
+    }
 }
 
-// Update status message
-function updateStatus(message) {
-    const statusElement = document.getElementById('drawStatus');
-    // Check if message contains HTML (like links)
-    if (message.includes('<a ') || message.includes('<')) {
-        statusElement.innerHTML = message;
-    } else {
-        statusElement.textContent = message;
+// First member of fromGroups that can move to one of toGroups without breaking a rule
+function findRosterMove(fromGroups, toGroups) {
+    for (const fromGroup of fromGroups) {
+        for (let fromIndex = 0; fromIndex < drawState.groups[fromGroup].length; fromIndex++) {
+            const toGroup = toGroups.find(g => g !== fromGroup && validateManualMove(fromGroup, fromIndex, g).length === 0);
+            if (toGroup) return { fromGroup, fromIndex, toGroup };
+        }
     }
+    return null;
 }
 
-// Show draw animation
-async function showDrawAnimation(entryName) {
-    const overlay = document.getElementById('drawOverlay');
-    const ballText = overlay.querySelector('.ball-text');
+function renderRosterPreview(plan) {
+    const container = document.getElementById('rosterPreview');
+    const body = document.getElementById('rosterPreviewBody');
+    if (!container || !body) return;
 
-    ballText.innerHTML = `<span class="entry-name">${entryName}</span>`;
+    if (!plan) {
+        container.classList.add('hidden');
+        body.innerHTML = '';
+        return;
+    }
 
-    // Use animation duration from config (scale overlay to be ~60% of total animation time)
-    const overlayDuration = Math.max(200, (config.animationDuration || 0.8) * 600);
-    
-    overlay.classList.add('active');
-    await sleep(overlayDuration);
-    overlay.classList.remove('active');
+    const count = type => plan.steps.filter(step => step.type === type).length;
+    const labels = { add: 'New', remove: 'Leaves', move: 'Moves' };
+    body.innerHTML = `
+        <h4>Roster changes: ${count('add')} new, ${count('remove')} leaving, ${count('move')} existing member${count('move') === 1 ? '' : 's'} moved</h4>
+        <table>
+            <tr><th>Change</th><th>Entry</th><th>Pot</th><th>From</th><th>To</th><th>Note</th></tr>
+            ${plan.steps.map(step => `
+                <tr class="roster-${step.type}${step.overriddenRules.length > 0 ? ' roster-override' : ''}">
+                    <td>${labels[step.type]}</td>
+                    <td>${step.entry}</td>
+                    <td>${plan.pots[step.potIndex]?.name || config.pots[step.potIndex]?.name || ''}</td>
+                    <td>${step.fromGroup || (step.type === 'add' ? '' : 'pot')}</td>
+                    <td>${step.toGroup || (step.type === 'add' ? 'pot' : '')}</td>
+                    <td>${[step.note, ...step.overriddenRules].filter(Boolean).join('; ')}</td>
+                </tr>
+            `).join('')}
+        </table>
+        ${plan.warnings.map(warning => `<p class="roster-warning">⚠ ${warning}</p>`).join('')}
+    `;
+    container.classList.remove('hidden');
 }
 
-// Highlight group
-function highlightGroup(groupIndex, highlight = true) {
-    const group = document.getElementById(`group${groupIndex}`);
-    if (highlight) {
-        group.classList.add('active');
-    } else {
-        group.classList.remove('active');
+// Reload the Participants tab from a data source and preview the changes
+async function previewRosterChanges(source) {
+    try {
+        updateStatus(`Loading participants from ${source.label}...`);
+        const newPots = await source.loadPots();
+        const report = buildImportReport(config.pots.length);
+        const firstError = report?.issues.find(issue => issue.severity === 'error');
+        if (firstError) {
+            throw new Error(`${firstError.sheet}${firstError.cell ? `!${firstError.cell}` : ''}: ${firstError.message}`);
+        }
+
+        const plan = planRosterChanges(newPots);
+        if (plan.steps.length === 0) {
+            pendingRosterPlan = null;
+            renderRosterPreview(null);
+            updateStatus('Roster unchanged - the draw already matches the Participants tab');
+            return;
+        }
+        pendingRosterPlan = plan;
+        renderRosterPreview(plan);
+        updateStatus('Review the roster changes below, then apply them');
+    } catch (error) {
+        updateStatus(`Roster changes error: ${error.message}`);
+        console.error('Roster changes error:', error);
     }
 }
 
-// Highlight slot
-function highlightSlot(groupIndex, slotIndex, highlight = true) {
-    const group = document.getElementById(`group${groupIndex}`);
-    const slot = group.querySelectorAll('.slot')[slotIndex];
-    if (highlight) {
-        slot.classList.add('highlight');
-    } else {
-        slot.classList.remove('highlight');
+// ROSTER CHANGES button: reload from the Step 1 data source (local files are picked again)
+async function loadRosterChanges() {
+    if (drawState.isDrawing) {
+        updateStatus('Wait for the draw to stop before applying roster changes');
+        return;
+    }
+    const { source, error } = readDataSourceFromSetup(config.numGroups, config.numPots);
+    if (error) {
+        updateStatus(`Roster changes error: ${error}`);
+        return;
+    }
+    if (!source) {
+        updateStatus('Roster changes need a data source - these pots were typed in by hand');
+        return;
+    }
+    if (source.id === 'file') {
+        document.getElementById('rosterFileInput').click();
+        return;
     }
+    await previewRosterChanges(source);
 }
 
-// Draw single entry
-async function drawEntry() {
-    if (drawState.isDrawing || drawState.drawComplete) return;
+async function handleRosterFiles(files) {
+    if (!files || files.length === 0) return;
+    try {
+        await importLocalFiles(files);
+        renderLocalImportStatus();
+        await previewRosterChanges(readDataSourceFromSetup(config.numGroups, config.numPots).source);
+    } catch (error) {
+        updateStatus(`Roster changes error: ${error.message}`);
+        console.error('Roster file import error:', error);
+    }
+}
 
-    drawState.isDrawing = true;
-    const drawBtn = document.getElementById('drawBtn');
-    const autoDrawBtn = document.getElementById('autoDrawBtn');
-    drawBtn.disabled = true;
-    autoDrawBtn.disabled = true;
+// Apply the previewed plan to the draw and log every change
+function applyRosterPlan() {
+    const plan = pendingRosterPlan;
+    if (!plan) return;
+    pendingRosterPlan = null;
+    renderRosterPreview(null);
+    if (drawState.isDrawing || plan.basedOn !== getRosterPlanBase()) {
+        updateStatus('The draw has changed since the roster preview - click ROSTER CHANGES again');
+        return;
+    }
 
-    // Find ANY pot with remaining entries - check ALL pots
-    let currentPot = null;
-    let potIndex = -1;
+    // Names are matched like diffRoster does, and the spelling follows the new sheet
+    const spelling = new Map();
+    plan.pots.forEach((pot, potIndex) => {
+        pot.entries.forEach(entry => spelling.set(rosterKey(entry, potIndex), entry));
+    });
+    const respell = item => {
+        const entry = spelling.get(rosterKey(item.entry, item.potIndex));
+        return entry && entry !== item.entry ? { ...item, entry } : item;
+    };
 
-    for (let i = 0; i < drawState.pots.length; i++) {
-        if (drawState.pots[i].entries.length > 0) {
-            currentPot = drawState.pots[i];
-            potIndex = i;
-            break;
-        }
+    const placed = new Set(Object.values(plan.groups).flat().map(e => rosterKey(e.entry, e.potIndex)));
+    config.pots = plan.pots;
+    drawState.groups = {};
+    Object.entries(plan.groups).forEach(([groupName, members]) => {
+        drawState.groups[groupName] = members.map(respell);
+    });
+    drawState.history = drawState.history.map(respell);
+    drawState.pots = plan.pots.map((pot, potIndex) => ({
+        name: pot.name,
+        entries: pot.entries.filter(entry => !placed.has(rosterKey(entry, potIndex)))
+    }));
+    if (countRemainingEntries() === 0 && placed.size > 0) {
+        drawState.drawComplete = true;
     }
 
-    // Only mark complete if ALL pots are empty
-    if (!currentPot || currentPot.entries.length === 0) {
-        // Double-check: verify ALL pots are actually empty
-        let totalRemaining = 0;
-        drawState.pots.forEach(pot => {
-            totalRemaining += pot.entries.length;
+    const timestamp = new Date().toISOString();
+    plan.steps.forEach(step => {
+        recordRosterChange(step, timestamp);
+        drawState.adjustments.push({
+            type: step.type,
+            entry: step.entry,
+            fromGroup: step.fromGroup || '',
+            toGroup: step.toGroup || '',
+            swappedWith: null,
+            overriddenRules: step.overriddenRules,
+            reason: 'roster',
+            timestamp
         });
-        
-        if (totalRemaining === 0) {
-            drawState.drawComplete = true;
-            updateStatus('DRAW COMPLETE!');
-            // Add voting button when draw completes
-            if (typeof addVotingButtonToUI === 'function') {
-                setTimeout(() => addVotingButtonToUI(), 500);
-            }
-            createConfetti();
-        } else {
-            updateStatus(`Error: ${totalRemaining} entries still remaining but no pot found!`);
+    });
+    // Redo would replay placements into groups that no longer look the same
+    drawState.redoStack = [];
+    console.log('Roster changes applied:', plan.steps);
+
+    saveDrawProgress();
+    renderPotsFromGroups();
+    renderDrawGroups();
+    updateUndoRedoButtons();
+    renderDrawSummary();
+
+    const moves = plan.steps.filter(step => step.type === 'move').length;
+    updateStatus(`Roster updated: ${plan.steps.length - moves} change${plan.steps.length - moves === 1 ? '' : 's'}, ${moves} existing member${moves === 1 ? '' : 's'} moved`);
+}
+
+function cancelRosterPlan() {
+    discardRosterPlan();
+    updateStatus('Roster changes cancelled');
+}
+
+// ==================== DRAW PERSISTENCE ====================
+// The running draw (config, constraints, drawState with its history) is saved to
+// localStorage after every placement, so a reload - even in the middle of
+// AUTO DRAW ALL - can be resumed exactly where it stopped.
+
+const SAVED_DRAW_KEY = 'savedDrawSession';
+const SAVED_DRAW_VERSION = 1;
+
+function saveDrawProgress() {
+    try {
+        // Transient flags are not saved - a resumed draw is never mid-animation
+        const { isDrawing, abortRequested, ...state } = drawState;
+        localStorage.setItem(SAVED_DRAW_KEY, JSON.stringify({
+            version: SAVED_DRAW_VERSION,
+            savedAt: new Date().toISOString(),
+            config,
+            constraints: CHEAT_CONSTRAINTS,
+            drawState: state
+        }));
+    } catch (error) {
+        console.warn('Could not save draw progress:', error);
+    }
+    archiveCurrentDraw();
+}
+
+// Returns the saved session, or null if there is none (or it is unreadable)
+function loadSavedDraw() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_DRAW_KEY) || 'null');
+        if (!saved || saved.version !== SAVED_DRAW_VERSION || !saved.drawState || !saved.config) {
+            return null;
         }
-        drawState.isDrawing = false;
+        return saved;
+    } catch (error) {
+        console.warn('Saved draw could not be read:', error);
+        return null;
+    }
+}
+
+function clearSavedDraw() {
+    localStorage.removeItem(SAVED_DRAW_KEY);
+}
+
+// Offer to resume the saved draw on the setup screen
+function showResumeDrawPrompt() {
+    const banner = document.getElementById('resumeDrawBanner');
+    const details = document.getElementById('resumeDrawDetails');
+    const saved = loadSavedDraw();
+    if (!banner || !saved) return;
+
+    const placed = Object.values(saved.drawState.groups || {}).flat().length;
+    const remaining = (saved.drawState.pots || []).reduce((total, pot) => total + pot.entries.length, 0);
+    const progress = remaining === 0 ? 'complete' : `${placed} placed, ${remaining} remaining`;
+    details.textContent = `${saved.config.eventTitle} - ${progress} (saved ${new Date(saved.savedAt).toLocaleString()})`;
+    banner.classList.remove('hidden');
+}
+
+function hideResumeDrawPrompt() {
+    const banner = document.getElementById('resumeDrawBanner');
+    if (banner) banner.classList.add('hidden');
+}
+
+// Restore the saved draw and its draw screen: groups, drawn pot balls, seed and buttons
+function restoreSavedDraw() {
+    const saved = loadSavedDraw();
+    if (!saved) {
+        hideResumeDrawPrompt();
         return;
     }
 
-    updateStatus(`Drawing from ${currentPot.name}...`);
+    discardRosterPlan();
+    Object.assign(config, saved.config);
+    Object.keys(CHEAT_CONSTRAINTS).forEach(key => {
+        if (saved.constraints && key in saved.constraints) CHEAT_CONSTRAINTS[key] = saved.constraints[key];
+    });
 
-    // SECRET CHEAT: Use constraint-aware selection
-    // This finds an entry that CAN be placed somewhere valid, then picks a valid group
-    const { entry: selectedEntry, validGroups } = findDrawableEntry(currentPot.entries, potIndex);
+    drawState = Object.assign(createInitialDrawState(), saved.drawState, {
+        isDrawing: false,
+        abortRequested: false
+    });
+    // A reload during AUTO DRAW ALL leaves drawComplete unset, so derive it from the pots
+    drawState.drawComplete = countRemainingEntries() === 0;
+    drawState.seedRevealed = drawState.seedRevealed || drawState.drawComplete;
+    drawRandom = createDrawRandom(drawState);
+
+    if (!drawState.seedCommitment) {
+        const state = drawState;
+        seedCommitmentReady = computeSeedCommitment(state.seed)
+            .then(commitment => {
+                state.seedCommitment = commitment;
+                if (drawState === state) renderSeedInfo();
+            })
+            .catch(error => renderSeedInfo(error.message));
+    }
 
-    // Find the index of the selected entry in the current pot
-    const randomIndex = currentPot.entries.indexOf(selectedEntry);
+    document.getElementById('drawTitle').textContent = config.eventTitle;
+    renderPotsFromGroups();
+    renderDrawGroups();
+    renderSeedInfo();
 
-    // Show draw animation
-    await showDrawAnimation(selectedEntry);
+    hideResumeDrawPrompt();
+    setupScreen.classList.add('hidden');
+    drawScreen.classList.remove('hidden');
 
-    // SECRET CHEAT: Select from valid groups only (respecting constraints)
-    // But distribute evenly - find group with fewest entries
-    let selectedGroupName;
-    if (validGroups.length > 0) {
-        // Find group with fewest entries for even distribution
-        let minEntries = Infinity;
-        const groupsWithMinEntries = [];
-        
-        validGroups.forEach(groupName => {
-            const entryCount = drawState.groups[groupName].length;
-            if (entryCount < minEntries) {
-                minEntries = entryCount;
-                groupsWithMinEntries.length = 0;
-                groupsWithMinEntries.push(groupName);
-            } else if (entryCount === minEntries) {
-                groupsWithMinEntries.push(groupName);
+    document.getElementById('drawBtn').disabled = false;
+    document.getElementById('autoDrawBtn').disabled = false;
+    const instantDrawBtn = document.getElementById('instantDrawBtn');
+    if (instantDrawBtn) instantDrawBtn.disabled = false;
+    updateUndoRedoButtons();
+    renderDrawSummary();
+
+    const remaining = countRemainingEntries();
+    updateStatus(drawState.drawComplete ? 'DRAW COMPLETE!' : `Draw resumed - click "DRAW NEXT" to continue (${remaining} remaining)`);
+    console.log(`Draw resumed from ${saved.savedAt}: ${Object.values(drawState.groups).flat().length} placed, ${remaining} remaining`);
+
+    if (drawState.drawComplete && typeof addVotingButtonToUI === 'function') {
+        setTimeout(() => addVotingButtonToUI(), 500);
+    }
+}
+
+function discardSavedDraw() {
+    clearSavedDraw();
+    hideResumeDrawPrompt();
+}
+
+// ==================== DRAW ARCHIVE & NOVELTY ====================
+// Every completed draw is archived in localStorage, keyed by event title and date,
+// with the final teams (manual adjustments and roster changes included). Novelty mode
+// turns the last N archived events into cannotBeWith pairs (hard) or weighted "apart"
+// soft rules, so people are not put with the same teammates again. The derived
+// constraints are added right before the feasibility check (see validateConfig).
+
+const DRAW_ARCHIVE_KEY = 'drawArchive';
+const DRAW_ARCHIVE_LIMIT = 50; // Oldest events are dropped beyond this
+
+function drawArchiveKey(eventTitle, date) {
+    return `${eventTitle}|${date}`;
+}
+
+// Archived events, newest first: [{ key, eventTitle, date, archivedAt, groups: { groupName: [entry] } }]
+function loadDrawArchive() {
+    const archive = readStoredJson(DRAW_ARCHIVE_KEY);
+    if (!Array.isArray(archive)) return [];
+    return archive
+        .filter(record => record && record.key && record.date && record.groups)
+        .sort((a, b) => b.date.localeCompare(a.date) || (b.archivedAt || '').localeCompare(a.archivedAt || ''));
+}
+
+function saveDrawArchive(archive) {
+    try {
+        localStorage.setItem(DRAW_ARCHIVE_KEY, JSON.stringify(archive.slice(0, DRAW_ARCHIVE_LIMIT)));
+    } catch (error) {
+        console.warn('Could not save the draw archive:', error);
+    }
+}
+
+// Add or replace archived events (same title and date = same event, e.g. after a redraw)
+function mergeIntoDrawArchive(records) {
+    const keys = new Set(records.map(record => record.key));
+    saveDrawArchive(loadDrawArchive().filter(record => !keys.has(record.key)).concat(records)
+        .sort((a, b) => b.date.localeCompare(a.date) || (b.archivedAt || '').localeCompare(a.archivedAt || '')));
+}
+
+// Called from saveDrawProgress: once every entry is placed the draw is archived
+// The date is the day of the first placement, so later adjustments update the same event
+function archiveCurrentDraw() {
+    if (!drawState || drawState.history.length === 0 || countRemainingEntries() > 0) return;
+    const date = (drawState.history[0].timestamp || new Date().toISOString()).slice(0, 10);
+    const groups = {};
+    config.groupNames.forEach(groupName => {
+        groups[groupName] = getEntriesInGroup(groupName);
+    });
+    mergeIntoDrawArchive([{
+        key: drawArchiveKey(config.eventTitle, date),
+        eventTitle: config.eventTitle,
+        date,
+        archivedAt: new Date().toISOString(),
+        groups
+    }]);
+}
+
+function deleteArchivedDraw(key) {
+    saveDrawArchive(loadDrawArchive().filter(record => record.key !== key));
+    renderDrawArchive();
+}
+
+// Pairs of current entries who shared a team in the last lastEvents archived events
+// The event being drawn now (same title, today) is not counted against itself
+// Returns [{ entries: [a, b], events: ['Title (date)', ...] }]
+function deriveNoveltyPairs(lastEvents, pots = config.pots) {
+    const current = new Map();
+    pots.forEach(pot => pot.entries.forEach(entry => current.set(normalizeName(entry), entry)));
+
+    const currentKey = drawArchiveKey(config.eventTitle, new Date().toISOString().slice(0, 10));
+    const events = loadDrawArchive()
+        .filter(record => record.key !== currentKey)
+        .slice(0, Math.max(0, lastEvents));
+
+    const pairs = new Map();
+    events.forEach(record => {
+        Object.values(record.groups).forEach(members => {
+            const present = [...new Set(members.map(member => current.get(normalizeName(member))).filter(Boolean))];
+            for (let i = 0; i < present.length; i++) {
+                for (let j = i + 1; j < present.length; j++) {
+                    const entries = [present[i], present[j]].sort();
+                    const key = entries.map(normalizeName).join('|');
+                    if (!pairs.has(key)) pairs.set(key, { entries, events: [] });
+                    pairs.get(key).events.push(`${record.eventTitle} (${record.date})`);
+                }
             }
         });
-        
-        // Randomly select from groups with minimum entries
-        const randomGroupIndex = Math.floor(Math.random() * groupsWithMinEntries.length);
-        selectedGroupName = groupsWithMinEntries[randomGroupIndex];
+    });
+    return [...pairs.values()];
+}
+
+// Whether the current rules put both entries of a pair in the same group anyway
+// (same mustBeWith cluster or the same forced group), so they cannot be kept apart
+function isPairKeptTogether([a, b]) {
+    const cluster = getMustBeWithCluster(a);
+    if (cluster && cluster.has(normalizeName(b))) return true;
+    const forcedGroup = getForcedGroup(a);
+    return forcedGroup !== null && forcedGroup === getForcedGroup(b);
+}
+
+// Add the novelty pairs for config.novelty to CHEAT_CONSTRAINTS, replacing any added before
+// hard: cannotBeWith pairs, except pairs the rules keep together; soft: "apart" rules weighted
+// by how often the pair was together. Everything added is tagged source: 'history'.
+// Returns { pairs, skipped } - skipped are the hard-mode pairs left out
+function applyNoveltyConstraints() {
+    CHEAT_CONSTRAINTS.cannotBeWith = (CHEAT_CONSTRAINTS.cannotBeWith || []).filter(pair => pair?.source !== 'history');
+    CHEAT_CONSTRAINTS.softRules = (CHEAT_CONSTRAINTS.softRules || []).filter(rule => rule.source !== 'history');
+
+    const { mode, lastEvents } = config.novelty || {};
+    if (!mode || mode === 'off') return { pairs: [], skipped: [] };
+
+    const pairs = deriveNoveltyPairs(lastEvents);
+    const skipped = [];
+    if (mode === 'hard') {
+        const pairKey = pair => pair.map(normalizeName).sort().join('|');
+        const existing = new Set(getCannotBeWithPairs().map(pairKey));
+        pairs.filter(pair => !existing.has(pairKey(pair.entries))).forEach(pair => {
+            if (isPairKeptTogether(pair.entries)) {
+                skipped.push(pair);
+                return;
+            }
+            CHEAT_CONSTRAINTS.cannotBeWith.push({ entries: [...pair.entries], source: 'history' });
+        });
     } else {
-        // Fallback if no valid groups (shouldn't happen)
-        selectedGroupName = config.groupNames[Math.floor(Math.random() * config.groupNames.length)];
+        pairs.forEach(pair => {
+            CHEAT_CONSTRAINTS.softRules.push({
+                type: 'apart',
+                weight: pair.events.length,
+                label: `Teammates at ${pair.events.join(', ')}`,
+                entries: [...pair.entries],
+                source: 'history'
+            });
+        });
     }
-    
-    const groupIndex = config.groupNames.indexOf(selectedGroupName);
+    console.log(`Novelty (${mode}, last ${lastEvents} event${lastEvents === 1 ? '' : 's'}): ${pairs.length} previous teammate pairs` +
+        (skipped.length > 0 ? `, ${skipped.length} skipped (kept together by the rules)` : ''));
+    return { pairs, skipped };
+}
 
-    // Highlight the group
-    highlightGroup(groupIndex, true);
-    // Don't highlight slot since we're not using potIndex-based slots anymore
+// Read the novelty settings from Step 1
+function readNoveltySettings() {
+    const mode = document.getElementById('noveltyMode')?.value || 'off';
+    const lastEvents = parseInt(document.getElementById('noveltyEvents')?.value) || 1;
+    return { mode, lastEvents: Math.max(1, lastEvents) };
+}
 
-    updateStatus(`${selectedEntry} → ${selectedGroupName}`);
+// Archived events under the novelty settings in Step 1, each with a delete button
+function renderDrawArchive() {
+    const container = document.getElementById('drawArchiveList');
+    if (!container) return;
 
-    // Scale delays with animation duration (20% of total time each)
-    const shortDelay = Math.max(100, (config.animationDuration || 0.8) * 200);
+    const archive = loadDrawArchive();
+    const { lastEvents } = readNoveltySettings();
+    if (archive.length === 0) {
+        container.innerHTML = '<div class="setup-hint">No past draws yet - completed draws are archived here automatically.</div>';
+        return;
+    }
+    container.innerHTML = `
+        <div class="setup-hint">${archive.length} past draw${archive.length === 1 ? '' : 's'} archived; novelty looks at the newest ${Math.min(lastEvents, archive.length)}.</div>
+        <ul class="draw-archive">
+            ${archive.map((record, index) => `
+                <li class="${index < lastEvents ? 'archive-active' : ''}">
+                    <span>${record.eventTitle} <span class="archive-date">${record.date} · ${Object.keys(record.groups).length} groups</span></span>
+                    <button type="button" class="archive-delete" data-key="${encodeURIComponent(record.key)}" title="Remove from the archive">✕</button>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
 
-    await sleep(shortDelay);
+// ==================== EVENT BUNDLE ====================
+// One JSON file with everything needed to run the same event again without Sheets:
+// config, CHEAT_CONSTRAINTS, the draw (result + history) and the voting form IDs.
+// schemaVersion is bumped whenever the layout changes; older bundles are upgraded
+// step by step through EVENT_BUNDLE_MIGRATIONS when they are imported.
 
-    // Place entry in group (append to array, allowing imbalance)
-    // Store with pot index for color coding
-    drawState.groups[selectedGroupName].push({entry: selectedEntry, potIndex: potIndex});
+const EVENT_BUNDLE_FORMAT = 'event-draw-bundle';
+const EVENT_BUNDLE_SCHEMA_VERSION = 1;
 
-    // Find the original entry index before removal for marking
-    const originalEntryIndex = config.pots[potIndex].entries.indexOf(selectedEntry);
+// version -> function turning a bundle of that version into the next one
+// e.g. 1: bundle => ({ ...bundle, schemaVersion: 2, newField: defaultValue })
+const EVENT_BUNDLE_MIGRATIONS = {};
 
-    // Remove entry from pot
-    drawState.pots[potIndex].entries = currentPot.entries.filter((_, index) => index !== randomIndex);
+// Where voting-solution.js keeps the last created forms
+const VOTING_FORMS_KEY = 'lastVotingForms';
+const VOTING_DATA_KEY = 'lastVotingData';
 
-    // Mark as drawn
-    markEntryAsDrawn(potIndex, originalEntryIndex);
+function readStoredJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || 'null');
+    } catch (error) {
+        console.warn(`Could not read ${key}:`, error);
+        return null;
+    }
+}
 
-    // Update UI
-    renderDrawGroups();
+// Snapshot of the current event
+function buildEventBundle() {
+    const hasDraw = drawState && (drawState.history || []).length > 0;
+    // Transient flags are not saved - an imported draw is never mid-animation
+    const { isDrawing, abortRequested, ...state } = drawState || {};
+    return {
+        format: EVENT_BUNDLE_FORMAT,
+        schemaVersion: EVENT_BUNDLE_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        config: JSON.parse(JSON.stringify(config)),
+        constraints: JSON.parse(JSON.stringify(CHEAT_CONSTRAINTS)),
+        draw: hasDraw ? JSON.parse(JSON.stringify(state)) : null,
+        archive: loadDrawArchive(),
+        voting: {
+            forms: readStoredJson(VOTING_FORMS_KEY),
+            data: readStoredJson(VOTING_DATA_KEY)
+        }
+    };
+}
 
-    await sleep(shortDelay);
+// Download the bundle as event-bundle-<title>-<date>.json
+function exportEventBundle() {
+    const bundle = buildEventBundle();
+    const dataBlob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    downloadBlob(dataBlob, `event-bundle-${eventFileSlug()}-${new Date().toISOString().split('T')[0]}.json`);
+    console.log(`Exported event bundle (schema ${bundle.schemaVersion}, ${bundle.draw ? bundle.draw.history.length + ' placements' : 'no draw'})`);
+}
 
-    // Remove highlights
-    highlightGroup(groupIndex, false);
+// Check a parsed bundle and upgrade it to the current schema
+// Throws with a message for the user when the file cannot be used
+function migrateEventBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== EVENT_BUNDLE_FORMAT) {
+        throw new Error('This file is not an event bundle');
+    }
+    let version = bundle.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Unknown bundle schema version: ${bundle.schemaVersion}`);
+    }
+    if (version > EVENT_BUNDLE_SCHEMA_VERSION) {
+        throw new Error(`This bundle was made by a newer version of the app (schema ${version}, this app reads up to ${EVENT_BUNDLE_SCHEMA_VERSION})`);
+    }
 
-    // Check if draw is complete - ALL pots must be empty
-    let totalRemaining = 0;
-    drawState.pots.forEach(pot => {
-        totalRemaining += pot.entries.length;
+    let migrated = bundle;
+    while (version < EVENT_BUNDLE_SCHEMA_VERSION) {
+        const migrate = EVENT_BUNDLE_MIGRATIONS[version];
+        if (!migrate) throw new Error(`No upgrade from bundle schema ${version}`);
+        migrated = migrate(migrated);
+        version = migrated.schemaVersion;
+        console.log(`Upgraded event bundle to schema ${version}`);
+    }
+
+    if (!migrated.config || !Array.isArray(migrated.config.pots) || !Array.isArray(migrated.config.groupNames)) {
+        throw new Error('The bundle has no pots or group names');
+    }
+    return migrated;
+}
+
+// Put an imported bundle in place: config and constraints always, voting forms when present,
+// and the draw when the bundle has one (it opens on the draw screen, like a resumed draw).
+// Without a draw the setup continues at Step 2 with the imported groups and pots.
+function applyEventBundle(bundle) {
+    discardRosterPlan();
+    // Keys missing from older bundles keep their defaults
+    Object.assign(config, bundle.config);
+    // ...except the scoring model, which belongs to the event that set it
+    config.scoring = bundle.config.scoring || null;
+    Object.keys(CHEAT_CONSTRAINTS).forEach(key => {
+        if (bundle.constraints && key in bundle.constraints) CHEAT_CONSTRAINTS[key] = bundle.constraints[key];
     });
 
-    if (totalRemaining === 0) {
-        drawState.drawComplete = true;
-        updateStatus('DRAW COMPLETE!');
-        createConfetti();
-    } else {
-        updateStatus(`Click "DRAW NEXT" to continue (${totalRemaining} remaining)`);
+    if (bundle.voting?.forms) localStorage.setItem(VOTING_FORMS_KEY, JSON.stringify(bundle.voting.forms));
+    if (bundle.voting?.data) localStorage.setItem(VOTING_DATA_KEY, JSON.stringify(bundle.voting.data));
+
+    // Step 1 shows what was imported, so Back and RECONFIGURE start from it
+    document.getElementById('eventTitle').value = config.eventTitle || '';
+    document.getElementById('numGroups').value = config.numGroups;
+    document.getElementById('numPots').value = config.numPots;
+    document.getElementById('animationDuration').value = config.animationDuration;
+    document.getElementById('drawSeed').value = config.drawSeed || '';
+    const policy = config.groupSizePolicy || { mode: 'balanced', minSize: null, maxSize: null };
+    document.getElementById('groupSizePolicy').value = policy.mode;
+    document.getElementById('minGroupSize').value = policy.minSize || '';
+    document.getElementById('maxGroupSize').value = policy.maxSize || '';
+    renderExpectedGroupSizes();
+    const novelty = config.novelty || { mode: 'off', lastEvents: 1 };
+    document.getElementById('noveltyMode').value = novelty.mode;
+    document.getElementById('noveltyEvents').value = novelty.lastEvents;
+    if (Array.isArray(bundle.archive)) mergeIntoDrawArchive(bundle.archive);
+    renderDrawArchive();
+
+    if (bundle.draw) {
+        // Hand the draw to the resume path so it is restored exactly like a saved session
+        localStorage.setItem(SAVED_DRAW_KEY, JSON.stringify({
+            version: SAVED_DRAW_VERSION,
+            savedAt: bundle.exportedAt || new Date().toISOString(),
+            config,
+            constraints: CHEAT_CONSTRAINTS,
+            drawState: bundle.draw
+        }));
+        restoreSavedDraw();
+        return;
     }
 
-    drawState.isDrawing = false;
-    drawBtn.disabled = false;
-    autoDrawBtn.disabled = false;
+    renderGroupsConfig();
+    step1.classList.add('hidden');
+    step3.classList.add('hidden');
+    step2.classList.remove('hidden');
 }
 
-// ==================== STRUCTURED DRAW FUNCTIONS ====================
-
-// Find an entry in drawState.pots
-function findEntryInPots(entryName) {
-    for (let potIndex = 0; potIndex < drawState.pots.length; potIndex++) {
-        const idx = drawState.pots[potIndex].entries.findIndex(e => 
-            normalizeName(e) === normalizeName(entryName)
-        );
-        if (idx !== -1) {
-            return { entry: drawState.pots[potIndex].entries[idx], potIndex };
-        }
+// Read a bundle file picked in Step 1
+async function importEventBundleFile(file) {
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
     }
-    return null;
+    const migrated = migrateEventBundle(bundle);
+    applyEventBundle(migrated);
+    console.log(`Imported event bundle ${file.name} (schema ${bundle.schemaVersion})`);
+    return migrated;
 }
 
-// Place entry with animation
-async function placeEntry(entry, potIndex, groupName, animDelay) {
-    await showDrawAnimation(entry);
-    
-    const gIdx = config.groupNames.indexOf(groupName);
-    highlightGroup(gIdx, true);
-    updateStatus(`${entry} → ${groupName}`);
-    
-    const shortDelay = Math.max(100, (config.animationDuration || 0.8) * 200);
-    await sleep(shortDelay);
+// ==================== END EVENT BUNDLE ====================
 
-    drawState.groups[groupName].push({ entry, potIndex });
-    
-    const idx = drawState.pots[potIndex].entries.indexOf(entry);
-    if (idx !== -1) drawState.pots[potIndex].entries.splice(idx, 1);
+// ==================== LOCAL EXPORT ====================
+// Saves the draw without a network connection: CSV, .xlsx and a printable handout,
+// all generated in the browser. The .xlsx is a minimal workbook (stored zip, inline
+// strings) that Excel, Numbers, LibreOffice and Google Sheets all open.
 
-    renderDrawGroups();
-    await sleep(shortDelay);
-    highlightGroup(gIdx, false);
-    await sleep(animDelay);
+// "Tastewise Hacktivate 2026" -> "tastewise-hacktivate-2026", for file names
+function eventFileSlug() {
+    return (config.eventTitle || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
 }
 
-// Check cannotBeWith constraint
-function canBeInGroup(entryName, groupName) {
-    const group = drawState.groups[groupName] || [];
-    for (const pair of (CHEAT_CONSTRAINTS.cannotBeWith || [])) {
-        if (!Array.isArray(pair) || pair.length !== 2) continue;
-        const norm = normalizeName(entryName);
-        if (pair.map(normalizeName).includes(norm)) {
-            const other = pair.find(p => normalizeName(p) !== norm);
-            if (group.some(e => normalizeName(e.entry) === normalizeName(other))) {
-                return false;
-            }
-        }
-    }
-    return true;
+// Offer a Blob as a download
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 }
 
-// Check if group has entry from pot
-function groupHasFromPot(groupName, potIndex) {
-    return (drawState.groups[groupName] || []).some(e => e.potIndex === potIndex);
+// Escape text for XML and HTML output
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
 }
 
-// Auto draw all (with animation)
-// Order: 1) mustBeInGroup, 2) mustBeWith, 3) pot-by-pot (one from each pot per group)
-async function autoDrawAll() {
-    if (drawState.isDrawing || drawState.drawComplete) return;
+// Group | Room | Participant | Pot | Draw Order - one row per member, groups in order
+function buildGroupMemberRows() {
+    const drawOrder = buildDrawOrderLookup();
+    const rows = [['Group', 'Room', 'Participant', 'Pot', 'Draw Order']];
+    config.groupNames.forEach(groupName => {
+        (drawState.groups[groupName] || []).forEach(({ entry, potIndex }) => {
+            rows.push([
+                groupName,
+                config.groupRooms?.[groupName] || '',
+                entry,
+                config.pots[potIndex]?.name || `Pot ${potIndex + 1}`,
+                drawOrder[normalizeName(entry)] || ''
+            ]);
+        });
+    });
+    return rows;
+}
 
-    const drawBtn = document.getElementById('drawBtn');
-    const autoDrawBtn = document.getElementById('autoDrawBtn');
-    const instantDrawBtn = document.getElementById('instantDrawBtn');
-    const abortBtn = document.getElementById('abortBtn');
-    
-    drawBtn.disabled = true;
-    autoDrawBtn.disabled = true;
-    if (instantDrawBtn) instantDrawBtn.disabled = true;
-    if (abortBtn) abortBtn.style.display = 'inline-block';
-    
-    drawState.abortRequested = false;
-    drawState.isDrawing = true;
+// Is there anything to export yet?
+function hasDrawResults() {
+    return Object.values(drawState.groups || {}).some(entries => entries.length > 0);
+}
 
-    const animDelay = (config.animationDuration || 0.8) * 1000;
+// ---- CSV ----
 
-    // ========== PHASE 1: mustBeInGroup ==========
-    console.log('=== PHASE 1: MUST BE IN GROUP ===');
-    for (const [entryName, targetGroup] of Object.entries(CHEAT_CONSTRAINTS.mustBeInGroup || {})) {
-        if (drawState.abortRequested) break;
-        
-        const info = findEntryInPots(entryName);
-        if (!info) continue;
-        
-        const group = config.groupNames.find(g => normalizeName(g) === normalizeName(targetGroup));
-        if (!group) continue;
-        
-        console.log(`${info.entry} -> ${group} (mustBeInGroup)`);
-        await placeEntry(info.entry, info.potIndex, group, animDelay);
-    }
+// RFC 4180 CSV with CRLF line ends; fields are quoted when parseCSV would otherwise
+// change them (delimiters, quotes, line breaks, surrounding spaces)
+function toCSV(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",;\t\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
 
-    // ========== PHASE 2: mustBeWith ==========
-    console.log('=== PHASE 2: MUST BE WITH ===');
-    for (const pair of (CHEAT_CONSTRAINTS.mustBeWith || [])) {
-        if (drawState.abortRequested) break;
-        if (!Array.isArray(pair) || pair.length !== 2) continue;
-        
-        const [name1, name2] = pair;
-        const info1 = findEntryInPots(name1);
-        const info2 = findEntryInPots(name2);
-        
-        // Find if either is already placed
-        let placedIn = null;
-        for (const g of config.groupNames) {
-            const grp = drawState.groups[g] || [];
-            if (grp.some(e => normalizeName(e.entry) === normalizeName(name1) || 
-                              normalizeName(e.entry) === normalizeName(name2))) {
-                placedIn = g;
-                break;
-            }
-        }
-        
-        if (placedIn) {
-            // Place remaining one with partner
-            if (info1) await placeEntry(info1.entry, info1.potIndex, placedIn, animDelay);
-            if (info2 && !drawState.abortRequested) await placeEntry(info2.entry, info2.potIndex, placedIn, animDelay);
-        } else if (info1 && info2) {
-            // Neither placed - find smallest group that works
-            let best = null;
-            let minSize = Infinity;
-            for (const g of config.groupNames) {
-                if (groupHasFromPot(g, info1.potIndex) || groupHasFromPot(g, info2.potIndex)) continue;
-                if (!canBeInGroup(name1, g) || !canBeInGroup(name2, g)) continue;
-                const size = (drawState.groups[g] || []).length;
-                if (size < minSize) { minSize = size; best = g; }
-            }
-            if (best) {
-                console.log(`${info1.entry} + ${info2.entry} -> ${best} (mustBeWith)`);
-                await placeEntry(info1.entry, info1.potIndex, best, animDelay);
-                if (!drawState.abortRequested) await placeEntry(info2.entry, info2.potIndex, best, animDelay);
-            }
-        }
-    }
-
-    // ========== PHASE 3: Pot-by-pot - ensure each group gets one from each pot ==========
-    console.log('=== PHASE 3: POT BY POT ===');
-    
-    // For each pot, fill groups that don't have an entry from that pot yet
-    for (let potIndex = 0; potIndex < drawState.pots.length && !drawState.abortRequested; potIndex++) {
-        const pot = drawState.pots[potIndex];
-        
-        // Find groups that need an entry from this pot
-        const groupsNeedingThisPot = config.groupNames.filter(g => !groupHasFromPot(g, potIndex));
-        
-        // Shuffle groups for randomness
-        groupsNeedingThisPot.sort(() => Math.random() - 0.5);
-        
-        for (const groupName of groupsNeedingThisPot) {
-            if (drawState.abortRequested) break;
-            if (pot.entries.length === 0) break;
-            
-            // Find valid entry for this group (respecting cannotBeWith)
-            const shuffledEntries = [...pot.entries].sort(() => Math.random() - 0.5);
-            let placed = false;
-            
-            for (const entry of shuffledEntries) {
-                if (canBeInGroup(entry, groupName)) {
-                    await placeEntry(entry, potIndex, groupName, animDelay);
-                    placed = true;
-                    break;
-                }
-            }
-            
-            // Fallback if no valid entry (ignore cannotBeWith)
-            if (!placed && pot.entries.length > 0) {
-                const entry = pot.entries[0];
-                console.warn(`Fallback (ignoring cannotBeWith): ${entry} -> ${groupName}`);
-                await placeEntry(entry, potIndex, groupName, animDelay);
-            }
-        }
+function exportDrawCSV() {
+    if (!hasDrawResults()) {
+        updateStatus('No draw results to export!');
+        return;
     }
+    // The byte order mark makes Excel read the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + toCSV(buildGroupMemberRows())], { type: 'text/csv;charset=utf-8' }), `${eventFileSlug()}-draw.csv`);
+    updateStatus('✓ CSV downloaded');
+}
 
-    // ========== PHASE 4: Place any remaining entries ==========
-    console.log('=== PHASE 4: REMAINING ENTRIES ===');
-    while (!drawState.abortRequested) {
-        let totalRemaining = 0;
-        drawState.pots.forEach(p => totalRemaining += p.entries.length);
-        if (totalRemaining === 0) break;
-        
-        // Find pot with entries
-        let pot = null, potIndex = -1;
-        for (let i = 0; i < drawState.pots.length; i++) {
-            if (drawState.pots[i].entries.length > 0) {
-                pot = drawState.pots[i];
-                potIndex = i;
-                break;
-            }
-        }
-        if (!pot) break;
-        
-        const entry = pot.entries[0];
-        
-        // Find smallest group (respecting cannotBeWith if possible)
-        let bestGroup = null;
-        let minSize = Infinity;
-        for (const g of config.groupNames) {
-            if (!canBeInGroup(entry, g)) continue;
-            const size = (drawState.groups[g] || []).length;
-            if (size < minSize) { minSize = size; bestGroup = g; }
-        }
-        
-        // Fallback to just smallest group
-        if (!bestGroup) {
-            for (const g of config.groupNames) {
-                const size = (drawState.groups[g] || []).length;
-                if (size < minSize) { minSize = size; bestGroup = g; }
-            }
+// ---- XLSX ----
+
+// CRC-32 (IEEE) as zip needs it for every entry
+let crc32Table = null;
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
         }
-        
-        await placeEntry(entry, potIndex, bestGroup || config.groupNames[0], animDelay);
     }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
-    // Done
-    drawState.isDrawing = false;
-    drawState.drawComplete = true;
-    if (abortBtn) abortBtn.style.display = 'none';
-    
-    if (drawState.abortRequested) {
-        drawState.abortRequested = false;
-        drawBtn.disabled = false;
-        autoDrawBtn.disabled = false;
-        if (instantDrawBtn) instantDrawBtn.disabled = false;
-        updateStatus('Draw aborted.');
-    } else {
-        updateStatus('DRAW COMPLETE!');
-        createConfetti();
-        if (typeof addVotingButtonToUI === 'function') {
-            setTimeout(() => addVotingButtonToUI(), 500);
-        }
-    }
+// Build an uncompressed .zip from [{ name, text }]; readZipEntries reads it back
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.text);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
 }
 
-// Abort the current auto draw
-function abortDraw() {
-    drawState.abortRequested = true;
+// One worksheet: numbers as numbers, everything else as inline strings, row 1 bold
+function buildWorksheetXml(rows) {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, colIndex) => {
+            const ref = cellRef(rowIndex, colIndex);
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            const text = value === null || value === undefined ? '' : String(value);
+            if (!text) return '';
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows}</sheetData></worksheet>`;
 }
 
-// Instant draw all (no animation, one fell swoop)
-// Can be used to continue a draw that's already been started
-// Place entry without animation (for instant draw)
-function placeEntryInstant(entry, potIndex, groupName) {
-    drawState.groups[groupName].push({ entry, potIndex });
-    const idx = drawState.pots[potIndex].entries.indexOf(entry);
-    if (idx !== -1) drawState.pots[potIndex].entries.splice(idx, 1);
+// Workbook from [{ name, rows }]
+function buildXlsx(sheets) {
+    // Excel's limits for tab names: 31 characters, none of : \ / ? * [ ]
+    const sheetNames = sheets.map(sheet => sheet.name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31));
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets>' + sheetNames.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') + '</sheets>' +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            // Style 0 = default, style 1 = bold (header row)
+            name: 'xl/styles.xml',
+            text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, text: buildWorksheetXml(sheet.rows) }))
+    ];
+    return new Blob([buildZip(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
 }
 
-// Instant draw - SAME LOGIC as autoDrawAll, just no animations
-function instantDrawAll() {
-    if (drawState.isDrawing) return;
-    if (drawState.drawComplete) {
-        updateStatus('Draw already complete!');
+// Same tabs as EXPORT TO SHEET (buildResultTabs), minus the pot colors
+function exportDrawXlsx() {
+    if (!hasDrawResults()) {
+        updateStatus('No draw results to export!');
         return;
     }
+    downloadBlob(buildXlsx(buildResultTabs()), `${eventFileSlug()}-draw.xlsx`);
+    updateStatus('✓ Excel file downloaded');
+}
 
-    const drawBtn = document.getElementById('drawBtn');
-    const autoDrawBtn = document.getElementById('autoDrawBtn');
-    const instantDrawBtn = document.getElementById('instantDrawBtn');
-    drawBtn.disabled = true;
-    autoDrawBtn.disabled = true;
-    if (instantDrawBtn) instantDrawBtn.disabled = true;
-    drawState.isDrawing = true;
+// ---- Printable handout ----
+
+// One page per group: topic (the group name), room and members with their pot
+function buildHandoutHtml() {
+    const pages = config.groupNames.map(groupName => {
+        const room = config.groupRooms?.[groupName] || '';
+        const members = (drawState.groups[groupName] || []).map(({ entry, potIndex }) => `
+            <tr><td>${escapeXml(entry)}</td><td>${escapeXml(config.pots[potIndex]?.name || `Pot ${potIndex + 1}`)}</td></tr>
+        `).join('');
+        return `
+        <section class="page">
+            <div class="event">${escapeXml(config.eventTitle)}</div>
+            <h1>${escapeXml(groupName)}</h1>
+            <div class="room">${room ? `Room: <strong>${escapeXml(room)}</strong>` : 'Room: to be announced'}</div>
+            <table>
+                <thead><tr><th>Member</th><th>Pot</th></tr></thead>
+                <tbody>${members || '<tr><td colspan="2">No members</td></tr>'}</tbody>
+            </table>
+        </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(config.eventTitle)} - Group Handouts</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #000; margin: 0; }
+    .page { padding: 40px; page-break-after: always; break-after: page; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    .event { font-size: 14pt; color: #555; }
+    h1 { font-size: 40pt; margin: 10px 0; }
+    .room { font-size: 18pt; margin-bottom: 25px; }
+    table { width: 100%; border-collapse: collapse; font-size: 16pt; }
+    th, td { border-bottom: 1px solid #999; padding: 10px 6px; text-align: left; }
+    th { font-size: 12pt; text-transform: uppercase; color: #555; }
+    @page { margin: 15mm; }
+</style>
+</head>
+<body>${pages}</body>
+</html>`;
+}
 
-    // ========== PHASE 1: mustBeInGroup (SAME AS AUTO) ==========
-    for (const [entryName, targetGroup] of Object.entries(CHEAT_CONSTRAINTS.mustBeInGroup || {})) {
-        const info = findEntryInPots(entryName);
-        if (!info) continue;
-        const group = config.groupNames.find(g => normalizeName(g) === normalizeName(targetGroup));
-        if (!group) continue;
-        placeEntryInstant(info.entry, info.potIndex, group);
+// Open the handout in a new window and print it (Save as PDF works from the print dialog)
+// If pop-ups are blocked, the handout is downloaded as an .html file instead
+function printGroupHandouts() {
+    if (!hasDrawResults()) {
+        updateStatus('No draw results to export!');
+        return;
     }
-
-    // ========== PHASE 2: mustBeWith (SAME AS AUTO) ==========
-    for (const pair of (CHEAT_CONSTRAINTS.mustBeWith || [])) {
-        if (!Array.isArray(pair) || pair.length !== 2) continue;
-        const [name1, name2] = pair;
-        const info1 = findEntryInPots(name1);
-        const info2 = findEntryInPots(name2);
-        
-        let placedIn = null;
-        for (const g of config.groupNames) {
-            const grp = drawState.groups[g] || [];
-            if (grp.some(e => normalizeName(e.entry) === normalizeName(name1) || 
-                              normalizeName(e.entry) === normalizeName(name2))) {
-                placedIn = g;
-                break;
-            }
-        }
-        
-        if (placedIn) {
-            if (info1) placeEntryInstant(info1.entry, info1.potIndex, placedIn);
-            if (info2) placeEntryInstant(info2.entry, info2.potIndex, placedIn);
-        } else if (info1 && info2) {
-            let best = null, minSize = Infinity;
-            for (const g of config.groupNames) {
-                if (groupHasFromPot(g, info1.potIndex) || groupHasFromPot(g, info2.potIndex)) continue;
-                if (!canBeInGroup(name1, g) || !canBeInGroup(name2, g)) continue;
-                const size = (drawState.groups[g] || []).length;
-                if (size < minSize) { minSize = size; best = g; }
-            }
-            if (best) {
-                placeEntryInstant(info1.entry, info1.potIndex, best);
-                placeEntryInstant(info2.entry, info2.potIndex, best);
-            }
-        }
+    const html = buildHandoutHtml();
+    const handoutWindow = window.open('', '_blank');
+    if (!handoutWindow) {
+        downloadBlob(new Blob([html], { type: 'text/html' }), `${eventFileSlug()}-handouts.html`);
+        updateStatus('Pop-up blocked - handouts downloaded as HTML, open the file and print it');
+        return;
     }
+    handoutWindow.document.open();
+    handoutWindow.document.write(html);
+    handoutWindow.document.close();
+    handoutWindow.focus();
+    handoutWindow.print();
+}
 
-    // ========== PHASE 3: Pot-by-pot (SAME AS AUTO) ==========
-    for (let potIndex = 0; potIndex < drawState.pots.length; potIndex++) {
-        const pot = drawState.pots[potIndex];
-        const groupsNeedingThisPot = config.groupNames.filter(g => !groupHasFromPot(g, potIndex));
-        groupsNeedingThisPot.sort(() => Math.random() - 0.5);
-        
-        for (const groupName of groupsNeedingThisPot) {
-            if (pot.entries.length === 0) break;
-            const shuffledEntries = [...pot.entries].sort(() => Math.random() - 0.5);
-            let placed = false;
-            
-            for (const entry of shuffledEntries) {
-                if (canBeInGroup(entry, groupName)) {
-                    placeEntryInstant(entry, potIndex, groupName);
-                    placed = true;
-                    break;
-                }
-            }
-            
-            if (!placed && pot.entries.length > 0) {
-                placeEntryInstant(pot.entries[0], potIndex, groupName);
-            }
+// ==================== END LOCAL EXPORT ====================
+
+// ==================== FAIRNESS SIMULATION ====================
+// Runs many complete draws off-screen and counts where every entry ends up.
+// test-draw-fairness.html uses this to check the draw engine for bias.
+// mode: 'instant' (solver plan, as in AUTO/INSTANT DRAW) or 'hand' (DRAW NEXT, one at a time)
+
+// Finish the current drawState without animation, the same way the chosen mode would
+function completeDrawOffscreen(mode) {
+    if (mode === 'hand') {
+        while (true) {
+            const potIndex = drawState.pots.findIndex(pot => pot.entries.length > 0);
+            if (potIndex === -1) return true;
+            const drawable = findDrawableEntry(drawState.pots[potIndex].entries, potIndex);
+            if (!drawable) return false;
+            placeEntryInstant(drawable.entry, potIndex, pickGroupForEntry(drawable.validGroups, drawable.entry));
         }
     }
 
-    // ========== PHASE 4: Remaining (SAME AS AUTO) ==========
-    while (true) {
-        let totalRemaining = 0;
-        drawState.pots.forEach(p => totalRemaining += p.entries.length);
-        if (totalRemaining === 0) break;
-        
-        let pot = null, potIndex = -1;
-        for (let i = 0; i < drawState.pots.length; i++) {
-            if (drawState.pots[i].entries.length > 0) {
-                pot = drawState.pots[i]; potIndex = i; break;
-            }
-        }
-        if (!pot) break;
-        
-        const entry = pot.entries[0];
-        let bestGroup = null, minSize = Infinity;
-        for (const g of config.groupNames) {
-            if (!canBeInGroup(entry, g)) continue;
-            const size = (drawState.groups[g] || []).length;
-            if (size < minSize) { minSize = size; bestGroup = g; }
-        }
-        if (!bestGroup) {
-            for (const g of config.groupNames) {
-                const size = (drawState.groups[g] || []).length;
-                if (size < minSize) { minSize = size; bestGroup = g; }
+    const result = solveDraw();
+    if (result.status !== 'solved') return false;
+    orderPlacementsForCeremony(optimizeSoftRules(result.placements)).forEach(({ entry, potIndex, groupName }) => {
+        placeEntryInstant(entry, potIndex, groupName);
+    });
+    return true;
+}
+
+// Returns { runs, failures, groupNames, counts: { entry: { groupName: timesPlaced } } }
+function simulateDrawDistribution({ groupNames, pots, constraints = null, runs = 1000, mode = 'instant', seedPrefix = 'fairness' }) {
+    const savedConfig = { groupNames: config.groupNames, pots: config.pots };
+    const savedConstraints = JSON.parse(JSON.stringify(CHEAT_CONSTRAINTS));
+    const savedDrawState = drawState;
+    const savedRandom = drawRandom;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    const counts = {};
+    let failures = 0;
+    try {
+        config.groupNames = groupNames;
+        config.pots = pots;
+        if (constraints) Object.assign(CHEAT_CONSTRAINTS, constraints);
+        // The solver is chatty - thousands of draws would flood the console
+        console.log = () => {};
+        console.warn = () => {};
+
+        pots.forEach(pot => pot.entries.forEach(entry => {
+            counts[entry] = {};
+            groupNames.forEach(groupName => { counts[entry][groupName] = 0; });
+        }));
+
+        for (let run = 0; run < runs; run++) {
+            drawState = createInitialDrawState();
+            drawRandom = createSeededRandom(`${seedPrefix}:${run}`);
+            if (!completeDrawOffscreen(mode)) {
+                failures++;
+                continue;
             }
+            groupNames.forEach(groupName => {
+                drawState.groups[groupName].forEach(({ entry }) => counts[entry][groupName]++);
+            });
         }
-        placeEntryInstant(entry, potIndex, bestGroup || config.groupNames[0]);
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        config.groupNames = savedConfig.groupNames;
+        config.pots = savedConfig.pots;
+        Object.keys(CHEAT_CONSTRAINTS).forEach(key => { CHEAT_CONSTRAINTS[key] = savedConstraints[key]; });
+        drawState = savedDrawState;
+        drawRandom = savedRandom;
     }
 
-    // Update UI
-    renderDrawGroups();
-    renderDrawPots();
-    
-    drawState.isDrawing = false;
-    drawState.drawComplete = true;
-    updateStatus('DRAW COMPLETE!');
-    createConfetti();
-    
-    drawBtn.disabled = false;
-    autoDrawBtn.disabled = false;
-    if (instantDrawBtn) instantDrawBtn.disabled = false;
-    
-    if (typeof addVotingButtonToUI === 'function') {
-        setTimeout(() => addVotingButtonToUI(), 500);
-    }
+    return { runs, failures, groupNames: [...groupNames], counts };
 }
 
 // Reset draw
 function resetDraw() {
+    discardRosterPlan();
     // Reset draw state with fresh copy from config
-    drawState = {
-        pots: JSON.parse(JSON.stringify(config.pots)),
-        groups: {},
-        isDrawing: false,
-        drawComplete: false
-    };
-
-    // Initialize groups as empty arrays (can grow to accommodate all entries)
-    config.groupNames.forEach(name => {
-        drawState.groups[name] = [];
-    });
+    // Keep the seed: its commitment is already published, so a reset replays the same draw.
+    // A seed that was revealed stays revealed - hiding it again would reopen undo.
+    const { seed, seedRevealed, seedCommitment } = drawState;
+    drawState = createInitialDrawState();
+    seedDraw(seed);
+    drawState.seedCommitment = seedCommitment;
+    // Same rooms again, and the stream starts where the first draw started
+    assignGroupRooms();
+    if (seedRevealed) {
+        drawState.seedRevealed = true;
+        renderSeedInfo();
+    }
+    saveDrawProgress();
 
     renderDrawPots();
     renderDrawGroups();
@@ -3292,28 +6271,35 @@ function resetDraw() {
     document.getElementById('autoDrawBtn').disabled = false;
     const instantDrawBtn = document.getElementById('instantDrawBtn');
     if (instantDrawBtn) instantDrawBtn.disabled = false;
+    updateUndoRedoButtons();
+    renderDrawSummary();
 
     updateStatus('Click "DRAW NEXT" to begin');
 }
 
 // Go back to configuration
 function reconfigure() {
+    discardRosterPlan();
     drawScreen.classList.add('hidden');
     setupScreen.classList.remove('hidden');
     hideValidation();
+    // The draw we just left is saved, so offer the way back
+    showResumeDrawPrompt();
 }
 
 // Create confetti effect
+// Uses its own stream derived from the seed, so it never shifts the draw itself
 function createConfetti() {
     const colors = ['#ffd700', '#ff6b6b', '#4ecdc4', '#45b7d1', '#96e6a1', '#dda0dd'];
+    const random = createSeededRandom(`${drawState.seed}:confetti`);
 
     for (let i = 0; i < 100; i++) {
         const confetti = document.createElement('div');
         confetti.className = 'confetti';
-        confetti.style.left = Math.random() * 100 + 'vw';
-        confetti.style.background = colors[Math.floor(Math.random() * colors.length)];
-        confetti.style.animationDelay = Math.random() * 2 + 's';
-        confetti.style.animationDuration = (Math.random() * 2 + 2) + 's';
+        confetti.style.left = random() * 100 + 'vw';
+        confetti.style.background = colors[Math.floor(random() * colors.length)];
+        confetti.style.animationDelay = random() * 2 + 's';
+        confetti.style.animationDuration = (random() * 2 + 2) + 's';
         document.body.appendChild(confetti);
 
         setTimeout(() => {
@@ -3398,6 +6384,7 @@ function initializeConfig() {
                                     if (urlSaveStatus) urlSaveStatus.textContent = '';
                                 }, 3000);
                             }
+                            renderExpectedGroupSizes();
                             console.log('Auto-detected structure on page load:', structure);
                         }
                     } catch (error) {
@@ -3464,6 +6451,7 @@ function initializeConfig() {
                     urlSaveStatus.textContent = `✓ Detected: ${structure.numPots} pots, ${structure.numGroups} groups`;
                     urlSaveStatus.style.color = '#4CAF50';
                 }
+                renderExpectedGroupSizes();
                 console.log('Detected structure:', structure);
             } else {
                 if (urlSaveStatus) {
@@ -3517,6 +6505,7 @@ function initializeConfig() {
                             if (urlSaveStatus) urlSaveStatus.textContent = '';
                         }, 3000);
                     }
+                    renderExpectedGroupSizes();
                     console.log('Auto-detected structure:', structure);
                 }
             } catch (error) {
@@ -3647,6 +6636,13 @@ function initializeConfig() {
             }
             config.animationDuration = APP_CONFIG.defaults.animationDuration;
         }
+        if (APP_CONFIG.defaults.groupSizePolicy) {
+            const groupSizePolicySelect = document.getElementById('groupSizePolicy');
+            if (groupSizePolicySelect) {
+                groupSizePolicySelect.value = APP_CONFIG.defaults.groupSizePolicy;
+            }
+        }
+        renderExpectedGroupSizes();
     }
     
     // Load animation duration from localStorage (always restore to input)
@@ -3698,6 +6694,9 @@ function handleRouting() {
     
     // Check if we should show draw config (explicit /draw path or #draw hash)
     const isDrawRoute = path.includes('/draw') || hash.includes('#draw');
+
+    // A draw interrupted by a reload can be picked up again from the setup screen
+    showResumeDrawPrompt();
     
     if (!isDrawRoute) {
         // Default route: Auto-click Resume Last Forms button after a short delay
@@ -3725,6 +6724,39 @@ document.getElementById('drawBtn').addEventListener('click', drawEntry);
 document.getElementById('autoDrawBtn').addEventListener('click', autoDrawAll);
 document.getElementById('instantDrawBtn').addEventListener('click', instantDrawAll);
 document.getElementById('abortBtn').addEventListener('click', abortDraw);
-document.getElementById('exportBtn').addEventListener('click', exportToGoogleSheet);
+document.getElementById('replayBtn').addEventListener('click', replayDraw);
+document.getElementById('undoBtn').addEventListener('click', undoPlacement);
+document.getElementById('redoBtn').addEventListener('click', redoPlacement);
+['numGroups', 'numPots', 'groupSizePolicy', 'minGroupSize', 'maxGroupSize'].forEach(id => {
+    document.getElementById(id).addEventListener('input', renderExpectedGroupSizes);
+});
+renderExpectedGroupSizes();
+document.getElementById('noveltyEvents').addEventListener('input', renderDrawArchive);
+document.getElementById('drawArchiveList').addEventListener('click', (e) => {
+    const button = e.target.closest('.archive-delete');
+    if (button && confirm('Remove this event from the archive? Its teams will no longer count for novelty.')) {
+        deleteArchivedDraw(decodeURIComponent(button.dataset.key));
+    }
+});
+renderDrawArchive();
+document.getElementById('resumeDrawBtn').addEventListener('click', restoreSavedDraw);
+document.getElementById('discardDrawBtn').addEventListener('click', discardSavedDraw);
+document.getElementById('groupsContainer').addEventListener('dragstart', handleManualDragStart);
+document.getElementById('groupsContainer').addEventListener('dragover', handleManualDragOver);
+document.getElementById('groupsContainer').addEventListener('drop', handleManualDrop);
+document.getElementById('groupsContainer').addEventListener('dragend', handleManualDragEnd);
+document.getElementById('exportBtn').addEventListener('click', exportResults);
+document.getElementById('exportBundleBtn').addEventListener('click', exportEventBundle);
+document.getElementById('exportCsvBtn').addEventListener('click', exportDrawCSV);
+document.getElementById('exportXlsxBtn').addEventListener('click', exportDrawXlsx);
+document.getElementById('printHandoutsBtn').addEventListener('click', printGroupHandouts);
+document.getElementById('rosterChangesBtn').addEventListener('click', loadRosterChanges);
+document.getElementById('rosterFileInput').addEventListener('change', (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Picking the same file again should reload it
+    handleRosterFiles(files);
+});
+document.getElementById('applyRosterBtn').addEventListener('click', applyRosterPlan);
+document.getElementById('cancelRosterBtn').addEventListener('click', cancelRosterPlan);
 document.getElementById('resetBtn').addEventListener('click', resetDraw);
 document.getElementById('reconfigureBtn').addEventListener('click', reconfigure);
@@ -31,7 +31,34 @@ const APP_CONFIG = {
     defaults: {
         eventTitle: 'Tastewise Hacktivate',  // Default event name
         numGroups: 8,                  // Default number of groups
-        numPots: 4                     // Default number of pots
+        numPots: 4,                    // Default number of pots
+        groupSizePolicy: 'balanced'    // Team sizes: 'balanced' (±1), 'range' (min/max) or 'free'
+    },
+
+    // Voting: what voters rank and how the scores are combined (Optional)
+    // A "Scoring" tab in the event's sheet overrides this; leave it out to use the defaults below.
+    // Weights are fractions or percentages and must add up to 100% within categories and within groups.
+    // scale = the most points a voter can give = the number of projects on their form
+    // (team members do not see their own project, so their scale is one lower).
+    scoring: {
+        categories: [
+            { key: 'impact', name: 'Business Impact', weight: 0.4 },
+            { key: 'readiness', name: 'Production Readiness', weight: 0.4 },
+            { key: 'presentation', name: 'Presentation', weight: 0.2 }
+        ],
+        voterGroups: [
+            { key: 'participants', name: 'Participants', weight: 0.4, scale: 4 },
+            { key: 'row', name: 'RoW', weight: 0.2, scale: 5 },
+            { key: 'judges', name: 'Judges', weight: 0.4, scale: 5 }
+        ],
+        // How rankings become scores: 'average' (points as given), 'borda', 'schulze' or 'zscore'
+        method: 'average',
+        // How equal final scores are ordered, first to last: 'judges', 'headToHead', 'firstPlaces', 'coinFlip'
+        tieBreaks: ['judges', 'headToHead', 'firstPlaces', 'coinFlip'],
+        // Seed of the coin flip - the same seed and tied projects always flip the same way
+        tieBreakSeed: '',
+        // When someone submits a form more than once: 'latest' counts the last submission, 'first' the first, 'none' neither
+        duplicates: 'latest'
     }
 };
 
@@ -0,0 +1,312 @@
+// ============================================================================
+// Data Sources
+// ============================================================================
+// Everything the setup can load an event from implements one interface:
+//
+//   loadPots()          -> [{ name, entries }]   (throws when the participants cannot be read)
+//   loadTopics()        -> [groupName] or null
+//   loadRooms()         -> [room] or null
+//   loadConstraints()   -> { cannotBeWith, mustBeWith, mustBeInGroup, softRules, attributes, attributeRules }
+//   loadScoring()       -> scoring model (see SCORING MODEL in voting-solution.js) or null
+//   writeResults(tabs)  -> { url }               tabs = [{ name, rows, colors, options }]
+//
+// plus id and label (shown in messages). Spreadsheet-like sources only provide
+// readTab(name) -> rows or null; createTabDataSource builds the rest on the sheet
+// parsers in app.js, so every source is validated and parsed the same way.
+//
+// Implementations: Google Sheets (API key), Google Sheets (OAuth), Google Drive
+// file, local files and an in-memory mock (demo data and tests).
+//
+// Loaded before app.js and voting-solution.js; the URL, cell and seed helpers
+// below are shared by both.
+// ============================================================================
+
+// ==================== GOOGLE URL HELPERS ====================
+
+// Extract spreadsheet ID from Google Sheets URL
+function extractSpreadsheetId(url) {
+    if (!url) return null;
+    const match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+    return match ? match[1] : null;
+}
+
+// Extract File ID from various Google Drive URL formats
+function extractFileIdFromDriveUrl(url) {
+    if (!url) return null;
+
+    // Format 1: https://drive.google.com/file/d/FILE_ID/view
+    let match = url.match(/\/file\/d\/([a-zA-Z0-9-_]+)/);
+    if (match) return match[1];
+
+    // Format 2: https://drive.google.com/open?id=FILE_ID
+    match = url.match(/[?&]id=([a-zA-Z0-9-_]+)/);
+    if (match) return match[1];
+
+    // Format 3: https://docs.google.com/spreadsheets/d/FILE_ID/edit
+    match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+    if (match) return match[1];
+
+    // Format 4: Direct file ID
+    if (/^[a-zA-Z0-9-_]+$/.test(url.trim())) {
+        return url.trim();
+    }
+
+    return null;
+}
+
+// ==================== CELL AND SEED HELPERS ====================
+
+// 0-based row/column to A1 notation: (2, 1) -> "B3"
+function cellRef(rowIndex, columnIndex) {
+    let letters = '';
+    for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return `${letters}${rowIndex + 1}`;
+}
+
+// Hash a seed string into four 32-bit words (cyrb128)
+function hashSeed(seed) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < seed.length; i++) {
+        const k = seed.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4);
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+// Create a seeded random function returning floats in [0, 1) (sfc32)
+function createSeededRandom(seed) {
+    let [a, b, c, d] = hashSeed(String(seed));
+    return function () {
+        a |= 0; b |= 0; c |= 0; d |= 0;
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+}
+
+// ==================== TAB-BASED SOURCES ====================
+
+// Build a full data source from readTab(name) -> rows | null
+// The Participants tab is required; every other tab is optional and a failed read counts as missing
+function createTabDataSource({ id, label, participantsSheet = 'Participants', readTab, writeResults }) {
+    // Read an optional tab, remembered for the import report
+    const readOptionalTab = async (tabName) => {
+        try {
+            const rows = await readTab(tabName);
+            if (!rows || rows.length === 0) {
+                console.log(`${label}: ${tabName} tab not found or empty`);
+                return null;
+            }
+            rememberImportedSheet(tabName, rows);
+            return rows;
+        } catch (error) {
+            console.warn(`${label}: could not read ${tabName} tab:`, error);
+            return null;
+        }
+    };
+
+    return {
+        id,
+        label,
+
+        async loadPots() {
+            const rows = await readTab(participantsSheet);
+            if (!rows || rows.length === 0) {
+                throw new Error(`The "${participantsSheet}" tab is missing or empty`);
+            }
+            rememberImportedSheet(participantsSheet, rows, true);
+            const pots = parseSheetDataToPots(rows);
+            if (pots.length === 0) {
+                throw new Error('No pots found in the sheet');
+            }
+            return pots;
+        },
+
+        async loadTopics() {
+            const rows = await readOptionalTab('Topics');
+            const groupNames = rows ? parseTopicsSheet(rows) : [];
+            return groupNames.length > 0 ? groupNames : null;
+        },
+
+        async loadRooms() {
+            const rows = await readOptionalTab('Rooms');
+            const rooms = rows ? parseRoomsSheet(rows) : [];
+            return rooms.length > 0 ? rooms : null;
+        },
+
+        // Missing tabs give empty constraints, so nothing stale from an earlier load is kept
+        async loadConstraints() {
+            const cannotBeWith = await readOptionalTab('CannotBeWith');
+            const mustBeWith = await readOptionalTab('MustBeWith');
+            const mustBeInTopic = await readOptionalTab('MustBeInTopic');
+            const softRules = await readOptionalTab('SoftRules');
+            const attributes = await readOptionalTab('Attributes');
+            const attributeRules = await readOptionalTab('AttributeRules');
+            return {
+                cannotBeWith: cannotBeWith ? parsePairSheet(cannotBeWith) : [],
+                mustBeWith: mustBeWith ? parsePairSheet(mustBeWith) : [],
+                mustBeInGroup: mustBeInTopic ? parseMustBeInTopicSheet(mustBeInTopic) : {},
+                softRules: softRules ? parseSoftRulesSheet(softRules) : [],
+                attributes: attributes ? parseAttributesSheet(attributes) : {},
+                attributeRules: attributeRules ? parseAttributeRulesSheet(attributeRules) : []
+            };
+        },
+
+        // Checked here so a bad Scoring tab fails the load instead of the voting later
+        async loadScoring() {
+            const rows = await readOptionalTab('Scoring');
+            try {
+                const model = rows ? parseScoringSheet(rows) : null;
+                return model ? normalizeScoringModel(model) : null;
+            } catch (error) {
+                throw new Error(`Scoring tab: ${error.message}`);
+            }
+        },
+
+        writeResults
+    };
+}
+
+// Google sources write to the "<title> - Draw Results" spreadsheet next to the source, signed in with OAuth
+function createGoogleResultsWriter(sourceUrl, clientId) {
+    return async (tabs) => {
+        await ensureGoogleSignIn(clientId);
+        return { url: await writeResultsToGoogleSheet(tabs, sourceUrl) };
+    };
+}
+
+// Google Sheets read with an API key (the sheet must be shared publicly)
+function createSheetsApiKeySource({ sheetUrl, apiKey, sheetName = 'Participants', clientId = '' }) {
+    const spreadsheetId = extractSpreadsheetId(sheetUrl) || extractFileIdFromDriveUrl(sheetUrl);
+    if (!spreadsheetId) throw new Error('Invalid Google Sheets URL');
+    return createTabDataSource({
+        id: 'sheets',
+        label: 'Google Sheets',
+        participantsSheet: sheetName,
+        readTab: (tabName) => fetchGoogleSheetData(apiKey, spreadsheetId, tabName),
+        writeResults: createGoogleResultsWriter(sheetUrl, clientId)
+    });
+}
+
+// Google Sheets read with the signed-in user's OAuth token (private sheets work)
+function createSheetsOAuthSource({ sheetUrl, clientId, sheetName = 'Participants' }) {
+    const spreadsheetId = extractSpreadsheetId(sheetUrl) || extractFileIdFromDriveUrl(sheetUrl);
+    if (!spreadsheetId) throw new Error('Invalid Google Sheets URL');
+    return createTabDataSource({
+        id: 'sheetsOAuth',
+        label: 'Google Sheets (OAuth)',
+        participantsSheet: sheetName,
+        readTab: async (tabName) => {
+            await ensureGoogleSignIn(clientId);
+            return fetchGoogleSheetDataOAuth(accessToken, spreadsheetId, tabName);
+        },
+        writeResults: createGoogleResultsWriter(sheetUrl, clientId)
+    });
+}
+
+// A Google Drive file: the participants come from the file itself (Sheet, CSV, JSON or TXT);
+// when the file is a Google Sheet its other tabs are read with the token (or the API key)
+function createDriveFileSource({ fileUrl, clientId, apiKey = '', sheetName = 'Participants' }) {
+    return createTabDataSource({
+        id: 'drive',
+        label: 'Google Drive',
+        participantsSheet: sheetName,
+        readTab: async (tabName) => {
+            await ensureGoogleSignIn(clientId);
+            if (tabName === sheetName) {
+                return (await loadDataFromGoogleDrive(fileUrl)).data;
+            }
+            return fetchOptionalSheet(apiKey, fileUrl, tabName, accessToken);
+        },
+        writeResults: createGoogleResultsWriter(fileUrl, clientId)
+    });
+}
+
+// Files picked or dropped in Step 1 (see LOCAL FILE IMPORT in app.js); results are downloaded as .xlsx
+function createLocalFileSource({ sheetName = 'Participants' } = {}) {
+    return createTabDataSource({
+        id: 'file',
+        label: 'Local File',
+        participantsSheet: sheetName,
+        readTab: async (tabName) => {
+            if (!localImport) {
+                throw new Error('Please choose or drop a CSV, JSON or .xlsx file first');
+            }
+            return findImportedSheet(localImport.sheets, tabName);
+        },
+        writeResults: async (tabs) => {
+            downloadBlob(buildXlsx(tabs), `${eventFileSlug()}-results.xlsx`);
+            return { url: null };
+        }
+    });
+}
+
+// In-memory tabs ({ tabName: rows }); written results are kept in source.written
+// Lets the whole setup and draw run without Google, for demos and tests
+function createMockDataSource(sheets, { sheetName = 'Participants', label = 'Demo Data' } = {}) {
+    const source = createTabDataSource({
+        id: 'mock',
+        label,
+        participantsSheet: sheetName,
+        readTab: async (tabName) => {
+            const rows = findImportedSheet(sheets, tabName);
+            return rows ? rows.map(row => [...row]) : null;
+        },
+        writeResults: async (tabs) => {
+            tabs.forEach(tab => {
+                source.written[tab.name] = tab.rows.map(row => [...row]);
+            });
+            return { url: null };
+        }
+    });
+    source.written = {};
+    return source;
+}
+
+// ==================== DEMO DATA ====================
+
+const DEMO_FIRST_NAMES = [
+    'Ada', 'Ben', 'Chloe', 'Dev', 'Elif', 'Finn', 'Gita', 'Hugo', 'Ines', 'Jon', 'Kira', 'Liam',
+    'Maya', 'Noah', 'Omar', 'Pia', 'Quinn', 'Rosa', 'Sam', 'Tara', 'Uma', 'Vik', 'Wren', 'Yuki'
+];
+
+// A complete sample event: one entry per group in every pot, topics, rooms and one rule of each kind
+function buildDemoSheets(numGroups, numPots) {
+    const participants = [Array.from({ length: numPots }, (_, p) => `Pot ${p + 1}`)];
+    for (let row = 0; row < numGroups; row++) {
+        participants.push(Array.from({ length: numPots }, (_, p) => {
+            const index = p * numGroups + row;
+            const round = Math.floor(index / DEMO_FIRST_NAMES.length);
+            return `${DEMO_FIRST_NAMES[index % DEMO_FIRST_NAMES.length]}${round > 0 ? ` ${round + 1}` : ''}`;
+        }));
+    }
+
+    const sheets = {
+        Participants: participants,
+        Topics: Array.from({ length: numGroups }, (_, g) => [`Demo Topic ${g + 1}`]), // no header row, like the Topics tab
+        Rooms: [['Room'], ...Array.from({ length: numGroups }, (_, g) => [`Room ${101 + g}`])]
+    };
+    // Two entries of different pots in different rows can always be kept apart or put together
+    if (numPots >= 2 && numGroups >= 2) {
+        sheets.CannotBeWith = [['Entry 1', 'Entry 2'], [participants[1][0], participants[2][1]]];
+        sheets.MustBeWith = [['Entry 1', 'Entry 2'], [participants[1][1], participants[2][0]]];
+    }
+    return sheets;
+}
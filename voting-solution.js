@@ -534,7 +534,7 @@ async function extractParticipantEmails(accessToken, spreadsheetId, sheetName, s
 
 /**
  * Generates voting form configurations based on the current draw state
- * @param {Object} drawState - The draw state object containing groups
+ * @param {Object} drawState - The draw state object containing groups (and manual adjustments)
  * @param {Object} config - The config object containing group names
  * @param {Object} participantEmails - Optional mapping of participant names to emails
  * @returns {Object} Voting form configurations and participant assignments
@@ -567,6 +567,10 @@ function generateVotingForms(drawState, config, participantEmails = {}) {
         throw new Error('No teams found in draw results.');
     }
 
+    // Every form asks one question per scoring category
+    const scoring = getScoringModel();
+    const categories = scoring.categories.map(category => category.name);
+
     // Strategy: Create one form per team
     // Each form excludes that team, so team members can vote for all other teams
     const forms = {};
@@ -624,7 +628,9 @@ function generateVotingForms(drawState, config, participantEmails = {}) {
             assignedParticipants: [...teamMembers],
             assignedEmails: teamEmails, // Store emails for this team
             formTitle: teamName,
-            formDescription: '' // No description
+            formDescription: '', // No description
+            voterGroup: 'participants',
+            categories
         };
 
         // Assign form to team members
@@ -647,7 +653,9 @@ function generateVotingForms(drawState, config, participantEmails = {}) {
         assignedEmails: [],
         formTitle: 'Judges Voting',
         formDescription: '',
-        isJudgesForm: true
+        isJudgesForm: true,
+        voterGroup: 'judges',
+        categories
     };
 
     // Add RoW (Rest of World) form - includes ALL projects (no exclusions), votes 1-5 like Judges
@@ -660,13 +668,18 @@ function generateVotingForms(drawState, config, participantEmails = {}) {
         assignedEmails: [],
         formTitle: 'RoW Voting',
         formDescription: '',
-        isRoWForm: true
+        isRoWForm: true,
+        voterGroup: 'row',
+        categories
     };
 
     return {
         teams: teams,
         forms: forms,
         participantAssignments: participantAssignments,
+        // Moves/swaps made by hand after the draw - teams above already include them
+        manualAdjustments: drawState.adjustments || [],
+        scoring: matchScalesToForms(scoring, forms),
         summary: {
             totalTeams: teamNames.length,
             totalParticipants: allParticipants.size,
@@ -675,6 +688,24 @@ function generateVotingForms(drawState, config, participantEmails = {}) {
     };
 }
 
+/**
+ * Sets each voter group's scale to the number of projects on its forms
+ * Points run from 1 to that number, so a scale the model leaves out is taken from the forms;
+ * a scale the model sets has to match them.
+ * @param {Object} model - Normalized scoring model
+ * @param {Object} forms - Form configs with voterGroup and votingOptions
+ * @returns {Object} The model with the scales of the forms; throws when a set scale disagrees
+ */
+function matchScalesToForms(model, forms) {
+    const voterGroups = model.voterGroups.map(group => {
+        const form = Object.values(forms).find(candidate => candidate.voterGroup === group.key);
+        if (!form || form.votingOptions.length === group.scale) return group;
+        if (group.scaleFromForms) return { ...group, scale: form.votingOptions.length };
+        throw new Error(`${group.name} forms rank ${form.votingOptions.length} projects, but the scoring model sets the ${group.name} scale to ${group.scale} - change it or leave it out`);
+    });
+    return { ...model, voterGroups };
+}
+
 // ==================== GOOGLE FORMS API INTEGRATION ====================
 
 /**
@@ -781,44 +812,7 @@ async function moveFileToFolder(accessToken, fileId, targetFolderId, previousPar
     }
 }
 
-/**
- * Extracts spreadsheet ID from Google Sheets URL
- * @param {string} url - Google Sheets URL
- * @returns {string|null} Spreadsheet ID or null
- */
-function extractSpreadsheetId(url) {
-    if (!url) return null;
-    const match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-    return match ? match[1] : null;
-}
-
-/**
- * Extracts file ID from Google Drive URL
- * @param {string} url - Google Drive URL
- * @returns {string|null} File ID or null
- */
-function extractFileIdFromDriveUrl(url) {
-    if (!url) return null;
-
-    // Format 1: https://drive.google.com/file/d/FILE_ID/view
-    let match = url.match(/\/file\/d\/([a-zA-Z0-9-_]+)/);
-    if (match) return match[1];
-
-    // Format 2: https://drive.google.com/open?id=FILE_ID
-    match = url.match(/[?&]id=([a-zA-Z0-9-_]+)/);
-    if (match) return match[1];
-
-    // Format 3: https://docs.google.com/spreadsheets/d/FILE_ID/edit
-    match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-    if (match) return match[1];
-
-    // Format 4: Direct file ID
-    if (/^[a-zA-Z0-9-_]+$/.test(url.trim())) {
-        return url.trim();
-    }
-
-    return null;
-}
+// extractSpreadsheetId and extractFileIdFromDriveUrl live in data-sources.js (loaded first)
 
 /**
  * Gets the spreadsheet URL from config or localStorage
@@ -902,8 +896,8 @@ async function createGoogleForm(accessToken, formConfig, targetFolderId = null)
         rankColumns.push({ value: `${i}${i === 1 ? 'st' : i === 2 ? 'nd' : i === 3 ? 'rd' : 'th'} (${points} pts)` });
     }
     
-    // Define the three categories
-    const categories = ['Business Impact', 'Production Readiness', 'Presentation'];
+    // One question per scoring category, in the order of the scoring model
+    const categories = formConfig.categories || getScoringModel().categories.map(category => category.name);
     
     // Add each category as a grid question (rows=projects, columns=rankings)
     if (formConfig.votingOptions.length > 0) {
@@ -1215,31 +1209,817 @@ async function safeWriteRange(accessToken, spreadsheetId, range, values, method
     }
 }
 
+// ==================== SCORING MODEL ====================
+// What voters score and how the scores are combined, per event:
+//   categories:  [{ key, name, weight }]         one ranking question per category on every form
+//   voterGroups: [{ key, name, weight, scale, scaleFromForms }]  participants, row (Rest of World) and judges
+//   method:      how the rankings become scores (see RANKING AGGREGATION)
+//   tieBreaks:   how equal final scores are ordered (see TIE-BREAKING), with tieBreakSeed for the coin flip
+//   duplicates:  which submission counts when a respondent submits a form twice (see SUBMISSION CHECKS)
+// Category weights turn a project's average points into a group total; group weights turn
+// the group totals into the final score. scale is the most points a voter of the group can
+// give (the number of projects on their form). Group totals are scaled to the smallest scale
+// before weighting, so a group with more projects to rank does not count for more. A scale the
+// model leaves out (scaleFromForms) is taken from the forms when they are made, see
+// matchScalesToForms; until then the defaults below stand in.
+//
+// The model comes from the event's "Scoring" tab (config.scoring, read with the other tabs),
+// else APP_CONFIG.scoring in config.js, else DEFAULT_SCORING_MODEL.
+
+const DEFAULT_SCORING_MODEL = {
+    categories: [
+        { key: 'impact', name: 'Business Impact', weight: 0.4 },
+        { key: 'readiness', name: 'Production Readiness', weight: 0.4 },
+        { key: 'presentation', name: 'Presentation', weight: 0.2 }
+    ],
+    voterGroups: [
+        { key: 'participants', name: 'Participants', weight: 0.4, scale: 4, scaleFromForms: true },
+        { key: 'row', name: 'RoW', weight: 0.2, scale: 5, scaleFromForms: true },
+        { key: 'judges', name: 'Judges', weight: 0.4, scale: 5, scaleFromForms: true }
+    ],
+    method: 'average',
+    tieBreaks: ['judges', 'headToHead', 'firstPlaces', 'coinFlip'],
+    tieBreakSeed: '',
+    duplicates: 'latest'
+};
+
+// The forms that exist: a model can rename, reweigh and rescale these groups but not add new ones
+const VOTER_GROUP_KEYS = ['participants', 'row', 'judges'];
+
+/**
+ * Reads a weight written as 0.4, "0.4", "40" or "40%"
+ * @param {number|string} value - The weight as configured
+ * @returns {number|null} The weight as a fraction, or null when it is not a number
+ */
+function parseScoringWeight(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    const number = parseFloat(text);
+    if (!Number.isFinite(number) || number < 0) return null;
+    return text.endsWith('%') || number > 1 ? number / 100 : number;
+}
+
+/**
+ * Formats a weight for headers and messages, e.g. 0.4 -> "40%"
+ * @param {number} weight - Weight as a fraction
+ * @returns {string} Percentage text
+ */
+function formatScoringPercent(weight) {
+    return `${Math.round(weight * 1000) / 10}%`;
+}
+
+/**
+ * Checks a scoring model and fills in what it leaves out
+ * Categories replace the default categories when given; a key is made from the name when
+ * missing. Voter groups are matched by key and keep the default name, weight and scale
+ * for anything they do not set; a scale they do not set is marked scaleFromForms. The method defaults to 'average', the tie-breaks to the
+ * default chain and duplicates to 'latest'.
+ * @param {Object} model - { categories, voterGroups, method, tieBreaks, tieBreakSeed, duplicates } from config.js or the Scoring tab
+ * @returns {Object} A complete model; throws when it cannot be used
+ */
+function normalizeScoringModel(model) {
+    const source = model || {};
+    const categoryList = Array.isArray(source.categories) && source.categories.length > 0
+        ? source.categories
+        : DEFAULT_SCORING_MODEL.categories;
+
+    const categories = categoryList.map((category, index) => {
+        const name = String(category.name || '').trim();
+        if (!name) throw new Error(`Scoring category ${index + 1} has no name`);
+        const weight = parseScoringWeight(category.weight);
+        if (weight === null) throw new Error(`Scoring category "${name}" needs a weight`);
+        const key = String(category.key || name.toLowerCase().replace(/[^a-z0-9]+/g, '_')).trim();
+        return { key, name, weight };
+    });
+    categories.forEach((category, index) => {
+        if (categories.findIndex(other => other.key === category.key || other.name === category.name) !== index) {
+            throw new Error(`Scoring category "${category.name}" is listed twice`);
+        }
+    });
+
+    const groupList = Array.isArray(source.voterGroups) ? source.voterGroups : [];
+    groupList.forEach(group => {
+        if (!VOTER_GROUP_KEYS.includes(group.key)) {
+            throw new Error(`Unknown voter group "${group.key}" - use ${VOTER_GROUP_KEYS.join(', ')}`);
+        }
+    });
+    const voterGroups = DEFAULT_SCORING_MODEL.voterGroups.map(defaults => {
+        const group = groupList.find(candidate => candidate.key === defaults.key) || {};
+        const name = String(group.name || defaults.name).trim();
+        const weight = group.weight === undefined ? defaults.weight : parseScoringWeight(group.weight);
+        const scale = group.scale === undefined ? defaults.scale : Number(group.scale);
+        const scaleFromForms = group.scale === undefined || group.scaleFromForms === true;
+        if (weight === null) throw new Error(`Voter group "${name}" needs a weight`);
+        if (!(scale > 0)) throw new Error(`Voter group "${name}" needs a scale above 0`);
+        return { key: defaults.key, name, weight, scale, scaleFromForms };
+    });
+
+    [['category', categories], ['voter group', voterGroups]].forEach(([label, items]) => {
+        const sum = items.reduce((total, item) => total + item.weight, 0);
+        if (Math.abs(sum - 1) > 0.001) {
+            throw new Error(`The ${label} weights add up to ${formatScoringPercent(sum)} - they must add up to 100%`);
+        }
+    });
+
+    // "Z-Score" and "zscore" are the same method
+    const method = String(source.method || DEFAULT_SCORING_MODEL.method).toLowerCase().replace(/[^a-z]/g, '');
+    if (!AGGREGATION_METHODS[method]) {
+        throw new Error(`Unknown scoring method "${source.method}" - use ${Object.keys(AGGREGATION_METHODS).join(', ')}`);
+    }
+
+    // "Head-to-head" and "headToHead" are the same tie-break
+    const tieBreakList = Array.isArray(source.tieBreaks) && source.tieBreaks.length > 0
+        ? source.tieBreaks
+        : DEFAULT_SCORING_MODEL.tieBreaks;
+    const tieBreaks = tieBreakList.map(name => {
+        const key = Object.keys(TIE_BREAKERS).find(candidate =>
+            candidate.toLowerCase() === String(name).toLowerCase().replace(/[^a-z]/g, ''));
+        if (!key) {
+            throw new Error(`Unknown tie-break "${name}" - use ${Object.keys(TIE_BREAKERS).join(', ')}`);
+        }
+        return key;
+    });
+    if (new Set(tieBreaks).size !== tieBreaks.length) {
+        throw new Error('A tie-break is listed twice');
+    }
+    const tieBreakSeed = String(source.tieBreakSeed ?? '').trim();
+
+    const duplicates = String(source.duplicates || DEFAULT_SCORING_MODEL.duplicates).trim().toLowerCase();
+    if (!DUPLICATE_POLICIES[duplicates]) {
+        throw new Error(`Unknown duplicates policy "${source.duplicates}" - use ${Object.keys(DUPLICATE_POLICIES).join(', ')}`);
+    }
+
+    return { categories, voterGroups, method, tieBreaks, tieBreakSeed, duplicates };
+}
+
+/**
+ * Parses the "Scoring" tab: Type | Name | Weight | Scale
+ * Type is "Category", "Group", "Method", "Tie-Break", "Seed" or "Duplicates". Group rows name a
+ * voter group (Participants, RoW or Judges) and set its weight and, optionally, its scale; a Method
+ * row names the aggregation method in its Name column. Tie-Break rows list the tie-breaks in the
+ * order they apply; a Seed row sets the coin flip seed and a Duplicates row the duplicates policy.
+ * A header row is skipped.
+ * @param {Array<Array<string>>} sheetData - Rows of the tab
+ * @returns {Object|null} Model to pass to normalizeScoringModel, or null when the tab sets nothing
+ */
+function parseScoringSheet(sheetData) {
+    const categories = [];
+    const voterGroups = [];
+    const tieBreaks = [];
+    let method = null;
+    let tieBreakSeed = null;
+    let duplicates = null;
+    sheetData.forEach((row, rowIndex) => {
+        const type = String(row?.[0] || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+        const name = String(row?.[1] || '').trim();
+        if (!['category', 'group', 'method', 'tiebreak', 'seed', 'duplicates'].includes(type)) {
+            // Header row or a type we don't know
+            if (rowIndex > 0 && type) console.warn(`Scoring row ${rowIndex + 1}: unknown type "${row[0]}" - use Category, Group, Method, Tie-Break, Seed or Duplicates`);
+            return;
+        }
+        if (!name) {
+            console.warn(`Scoring row ${rowIndex + 1}: needs a name`);
+            return;
+        }
+        if (type === 'category') {
+            categories.push({ name, weight: row[2] });
+            return;
+        }
+        if (type === 'method') {
+            method = name;
+            return;
+        }
+        if (type === 'tiebreak') {
+            tieBreaks.push(name);
+            return;
+        }
+        if (type === 'seed') {
+            tieBreakSeed = name;
+            return;
+        }
+        if (type === 'duplicates') {
+            duplicates = name;
+            return;
+        }
+
+        const lowerName = name.toLowerCase();
+        const defaults = DEFAULT_SCORING_MODEL.voterGroups.find(group =>
+            group.key === lowerName || group.name.toLowerCase() === lowerName || (group.key === 'row' && lowerName === 'rest of world'));
+        if (!defaults) {
+            throw new Error(`Scoring row ${rowIndex + 1}: unknown voter group "${name}" - use Participants, RoW or Judges`);
+        }
+        const group = { key: defaults.key, weight: row[2] };
+        if (String(row[3] || '').trim()) group.scale = row[3];
+        voterGroups.push(group);
+    });
+
+    if (categories.length === 0 && voterGroups.length === 0 && !method && tieBreaks.length === 0 && tieBreakSeed === null && !duplicates) return null;
+    return { categories, voterGroups, method, tieBreaks, tieBreakSeed, duplicates };
+}
+
+/**
+ * The scoring model of the current event
+ * @returns {Object} Normalized model from the Scoring tab, config.js or the defaults
+ */
+function getScoringModel() {
+    const eventModel = typeof config !== 'undefined' ? config.scoring : null;
+    const configuredModel = typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.scoring : null;
+    return normalizeScoringModel(eventModel || configuredModel || DEFAULT_SCORING_MODEL);
+}
+
+/**
+ * Factor a voter group's totals are multiplied by to reach the smallest scale
+ * (with the default scales: participants 1, RoW and judges 4/5 = 0.8)
+ * Methods that normalize each ballot or voter are on one scale already and use 1.
+ * @param {Object} model - Normalized scoring model
+ * @param {string} groupKey - 'participants', 'row' or 'judges'
+ * @returns {number} Scale factor
+ */
+function getScoreScaleFactor(model, groupKey) {
+    if (AGGREGATION_METHODS[model.method || 'average'].normalized) return 1;
+    const smallest = Math.min(...model.voterGroups.map(group => group.scale));
+    return smallest / model.voterGroups.find(group => group.key === groupKey).scale;
+}
+
+/**
+ * Records the points a vote gave a project; the category is matched by name, as the forms show it
+ * @param {Object} scores - { project: { categoryKey: [points] } }, updated in place
+ * @param {Object} model - Normalized scoring model
+ * @param {string} project - Project voted on
+ * @param {string} categoryName - Category title of the question
+ * @param {number} points - Points given
+ */
+function addCategoryPoints(scores, model, project, categoryName, points) {
+    if (!scores[project]) {
+        scores[project] = Object.fromEntries(model.categories.map(category => [category.key, []]));
+    }
+    const category = model.categories.find(candidate => candidate.name === categoryName);
+    if (category) scores[project][category.key].push(points);
+}
+
+/**
+ * Header row of the "... Weighted Results" sheets, e.g. "Business Impact (40%)"
+ * @param {Object} model - Normalized scoring model
+ * @returns {Array<string>} Headers
+ */
+function buildWeightedHeaders(model) {
+    return ['Project', ...model.categories.map(category => `${category.name} (${formatScoringPercent(category.weight)})`), 'Total Score'];
+}
+
+/**
+ * Header row of the "Final Weighted Results" sheet, e.g. "RoW (20%, scaled 0.8)"
+ * @param {Object} model - Normalized scoring model
+ * @returns {Array<string>} Headers
+ */
+function buildFinalHeaders(model) {
+    return ['Project', ...model.voterGroups.map(group => {
+        const factor = getScoreScaleFactor(model, group.key);
+        const scaled = factor === 1 ? '' : `, scaled ${Math.round(factor * 100) / 100}`;
+        return `${group.name} (${formatScoringPercent(group.weight)}${scaled})`;
+    }), 'Final Score', 'Tie'];
+}
+
+/**
+ * Header and data ranges of a results sheet as wide as its headers, e.g. A1:E1 and A2:E
+ * @param {string} sheetName - Sheet name
+ * @param {number} columnCount - Number of columns
+ * @returns {Object} { header, data }
+ */
+function getResultsSheetRanges(sheetName, columnCount) {
+    const lastColumn = cellRef(0, columnCount - 1).replace(/\d+$/, '');
+    return { header: `${sheetName}!A1:${lastColumn}1`, data: `${sheetName}!A2:${lastColumn}` };
+}
+
+// ==================== RANKING AGGREGATION ====================
+// How the ranked votes of one voter group become category scores. Every method returns
+// { project: { categoryKey: [values] } }, which calculateWeightedResults averages and weights:
+//   average - the points of the "1st (N pts)" labels as given; groups are scaled afterwards
+//   borda   - per ballot, first place 1 and last place 0, so ballots of 4 and of 5 projects weigh the same
+//   schulze - per category, the Schulze (Condorcet) ranking of all ballots; a project scores
+//             the share of the other projects it beats
+//   zscore  - per voter, points minus the voter's mean, divided by the voter's spread
+// A ballot is one voter's ranking in one category; a voter is one response (form, email, time).
+
+const AGGREGATION_METHODS = {
+    average: { label: 'Average Points', normalized: false, score: scoreAveragePoints },
+    borda: { label: 'Borda', normalized: true, score: scoreBorda },
+    schulze: { label: 'Schulze', normalized: true, score: scoreSchulze },
+    zscore: { label: 'Z-Score', normalized: true, score: scoreZScores }
+};
+
+const VOTE_HEADERS = ['Timestamp', 'Email', 'Form', 'Category', 'Project', 'Rank', 'Points', 'Response ID'];
+
+/**
+ * The voter (one form response) a vote row belongs to
+ * Keyed on the response ID; rows without one fall back to email and timestamp, which
+ * cannot tell two anonymous responses in the same second apart
+ * @param {Array} vote - [timestamp, email, form, category, project, rank, points, responseId]
+ * @returns {string} Voter key, unique per form response
+ */
+function getVoterKey([timestamp, email, form, category, project, rank, points, responseId]) {
+    return responseId ? `${form}|${responseId}` : `${form}|${email}|${timestamp}`;
+}
+
+/**
+ * Groups vote rows into ballots
+ * @param {Array} votes - [[timestamp, email, form, category, project, rank, points, responseId], ...]
+ * @returns {Array} [{ voter, form, email, timestamp, category, ranks: { project: rank }, points: { project: points } }]
+ */
+function buildBallots(votes) {
+    const ballots = new Map();
+    for (const vote of votes) {
+        const [timestamp, email, form, category, project, rank, points] = vote;
+        const voter = getVoterKey(vote);
+        const key = `${voter}|${category}`;
+        if (!ballots.has(key)) {
+            ballots.set(key, { voter, form, email, timestamp, category, ranks: {}, points: {} });
+        }
+        const ballot = ballots.get(key);
+        ballot.ranks[project] = Number(rank) || 0;
+        ballot.points[project] = Number(points) || 0;
+    }
+    return [...ballots.values()];
+}
+
+/**
+ * Points as given on the forms
+ * @param {Array} votes - Vote rows of one voter group
+ * @param {Object} model - Normalized scoring model
+ * @returns {Object} { project: { categoryKey: [points] } }
+ */
+function scoreAveragePoints(votes, model) {
+    const scores = {};
+    for (const [timestamp, email, form, category, project, rank, points] of votes) {
+        addCategoryPoints(scores, model, project, category, Number(points) || 0);
+    }
+    return scores;
+}
+
+/**
+ * Borda count normalized per ballot: (size - rank) / (size - 1)
+ * @param {Array} votes - Vote rows of one voter group
+ * @param {Object} model - Normalized scoring model
+ * @returns {Object} { project: { categoryKey: [0..1 per ballot] } }
+ */
+function scoreBorda(votes, model) {
+    const scores = {};
+    for (const ballot of buildBallots(votes)) {
+        const size = Object.keys(ballot.ranks).length;
+        for (const [project, rank] of Object.entries(ballot.ranks)) {
+            addCategoryPoints(scores, model, project, ballot.category, size > 1 ? (size - rank) / (size - 1) : 1);
+        }
+    }
+    return scores;
+}
+
+/**
+ * Schulze method per category
+ * @param {Array} votes - Vote rows of one voter group
+ * @param {Object} model - Normalized scoring model
+ * @returns {Object} { project: { categoryKey: [share of projects beaten] } }
+ */
+function scoreSchulze(votes, model) {
+    const scores = {};
+    const ballots = buildBallots(votes);
+    for (const category of model.categories) {
+        const shares = rankSchulze(ballots.filter(ballot => ballot.category === category.name));
+        for (const [project, share] of Object.entries(shares)) {
+            addCategoryPoints(scores, model, project, category.name, share);
+        }
+    }
+    return scores;
+}
+
+/**
+ * Schulze ranking of ballots; a project missing from a ballot (a team's own) gives no preference
+ * @param {Array} ballots - Ballots from buildBallots
+ * @returns {Object} { project: share of the other projects it beats on the strongest paths }
+ */
+function rankSchulze(ballots) {
+    const projects = [...new Set(ballots.flatMap(ballot => Object.keys(ballot.ranks)))];
+    const count = projects.length;
+
+    // d[i][j] = number of ballots ranking project i above project j
+    const d = projects.map(() => new Array(count).fill(0));
+    for (const ballot of ballots) {
+        projects.forEach((a, i) => projects.forEach((b, j) => {
+            if (i !== j && a in ballot.ranks && b in ballot.ranks && ballot.ranks[a] < ballot.ranks[b]) d[i][j]++;
+        }));
+    }
+
+    // p[i][j] = strength of the strongest path from i to j
+    const p = d.map((row, i) => row.map((value, j) => (value > d[j][i] ? value : 0)));
+    for (let k = 0; k < count; k++) {
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                if (i !== j && i !== k && j !== k) {
+                    p[i][j] = Math.max(p[i][j], Math.min(p[i][k], p[k][j]));
+                }
+            }
+        }
+    }
+
+    const shares = {};
+    projects.forEach((project, i) => {
+        const beaten = projects.filter((other, j) => j !== i && p[i][j] > p[j][i]).length;
+        shares[project] = count > 1 ? beaten / (count - 1) : 1;
+    });
+    return shares;
+}
+
+/**
+ * Points as z-scores of each voter's own points, so harsh and generous voters count alike
+ * @param {Array} votes - Vote rows of one voter group
+ * @param {Object} model - Normalized scoring model
+ * @returns {Object} { project: { categoryKey: [z-scores] } }
+ */
+function scoreZScores(votes, model) {
+    const scores = {};
+    const ballotsByVoter = {};
+    for (const ballot of buildBallots(votes)) {
+        (ballotsByVoter[ballot.voter] = ballotsByVoter[ballot.voter] || []).push(ballot);
+    }
+    for (const ballots of Object.values(ballotsByVoter)) {
+        const points = ballots.flatMap(ballot => Object.values(ballot.points));
+        const mean = points.reduce((a, b) => a + b, 0) / points.length;
+        const spread = Math.sqrt(points.reduce((sum, value) => sum + (value - mean) ** 2, 0) / points.length);
+        for (const ballot of ballots) {
+            for (const [project, value] of Object.entries(ballot.points)) {
+                addCategoryPoints(scores, model, project, ballot.category, spread > 0 ? (value - mean) / spread : 0);
+            }
+        }
+    }
+    return scores;
+}
+
+/**
+ * Category scores of one voter group with the model's method (or another one)
+ * @param {Array} votes - Vote rows of one voter group
+ * @param {Object} model - Normalized scoring model
+ * @param {string} method - Key of AGGREGATION_METHODS (default: the model's)
+ * @returns {Object} { project: { categoryKey: [values] } } for calculateWeightedResults
+ */
+function scoreVotes(votes, model, method = model.method) {
+    return AGGREGATION_METHODS[method].score(votes, model);
+}
+
+/**
+ * Final results of the same votes under every method, for the "Method Comparison" tab
+ * @param {Object} votesByGroup - { participants: votes, row: votes, judges: votes }
+ * @param {Object} model - Normalized scoring model; its method is the one the results use
+ * @returns {Array<Array>} Rows: header, places 1-3 as "Project (score)" per method, then whether each top 3 matches
+ */
+function compareAggregationMethods(votesByGroup, model) {
+    const methods = Object.keys(AGGREGATION_METHODS);
+    const finals = methods.map(method => {
+        const methodModel = { ...model, method };
+        const weighted = VOTER_GROUP_KEYS.map(key => calculateWeightedResults(scoreVotes(votesByGroup[key], methodModel), methodModel));
+        return calculateFinalResults(...weighted, methodModel, votesByGroup);
+    });
+    const topThree = final => final.slice(0, 3).map(row => row[0]).join('|');
+    const usedTopThree = topThree(finals[methods.indexOf(model.method)]);
+
+    const rows = [['Place', ...methods.map(method => `${AGGREGATION_METHODS[method].label}${method === model.method ? ' (used)' : ''}`)]];
+    for (let place = 0; place < 3; place++) {
+        rows.push([place + 1, ...finals.map(final => (final[place] ? `${final[place][0]} (${final[place][4]})` : ''))]);
+    }
+    rows.push(['Same top 3', ...finals.map(final => (topThree(final) === usedTopThree ? 'Yes' : 'No'))]);
+    return rows;
+}
+
+// ==================== TIE-BREAKING ====================
+// Projects whose unrounded final scores are equal are ordered by the model's tieBreaks, in turn:
+//   judges      - the higher judges' score
+//   headToHead  - among the tied projects, the one ranked above the others on more ballots
+//   firstPlaces - the more first places, over all ballots
+//   coinFlip    - a seeded coin flip: the same seed and tied projects always give the same order
+// Each tie-break only orders what the previous ones left tied. The "Tie" column of the final
+// results names the projects a project was tied with and the tie-break that placed it.
+
+// Scores closer than this are equal (the sums of weighted averages differ in the last bits)
+const TIE_TOLERANCE = 1e-9;
+
+const TIE_BREAKERS = {
+    judges: { label: "judges' score", value: (entry) => entry.judges },
+    headToHead: { label: 'head-to-head', value: (entry, tied, context) => countHeadToHeadWins(entry.project, tied.map(other => other.project), context.ballots) },
+    firstPlaces: { label: 'first places', value: (entry, tied, context) => context.ballots.filter(ballot => ballot.ranks[entry.project] === 1).length },
+    coinFlip: { label: 'coin flip', value: (entry, tied, context) => context.coinFlips(tied)[entry.project] }
+};
+
+/**
+ * How many of the other tied projects a project beats head-to-head
+ * @param {string} project - Project to count for
+ * @param {Array<string>} tiedProjects - All projects of the tie, including project
+ * @param {Array} ballots - Ballots from buildBallots
+ * @returns {number} Number of tied projects ranked below project on more ballots than above it
+ */
+function countHeadToHeadWins(project, tiedProjects, ballots) {
+    let wins = 0;
+    for (const other of tiedProjects) {
+        if (other === project) continue;
+        let ahead = 0;
+        let behind = 0;
+        for (const ballot of ballots) {
+            const rank = ballot.ranks[project];
+            const otherRank = ballot.ranks[other];
+            if (!rank || !otherRank) continue;
+            if (rank < otherRank) ahead++;
+            if (rank > otherRank) behind++;
+        }
+        if (ahead > behind) wins++;
+    }
+    return wins;
+}
+
+/**
+ * Orders tied projects with the tie-breaks, splitting off what each one decides
+ * @param {Array} tied - [{ project, score, judges }] with equal final scores
+ * @param {Array<string>} tieBreaks - Keys of TIE_BREAKERS still to apply
+ * @param {Object} context - { ballots, coinFlips }
+ * @returns {Array} [{ entry, decidedBy }] best first; decidedBy is null when no tie-break separated the entry
+ */
+function breakTie(tied, tieBreaks, context) {
+    for (let index = 0; index < tieBreaks.length; index++) {
+        const breaker = TIE_BREAKERS[tieBreaks[index]];
+        const values = new Map(tied.map(entry => [entry, Math.round(breaker.value(entry, tied, context) / TIE_TOLERANCE) * TIE_TOLERANCE]));
+        if (new Set(values.values()).size === 1) continue;
+
+        const sorted = [...tied].sort((a, b) => values.get(b) - values.get(a));
+        const ordered = [];
+        let run = [];
+        const flush = () => {
+            ordered.push(...(run.length === 1
+                ? [{ entry: run[0], decidedBy: tieBreaks[index] }]
+                : breakTie(run, tieBreaks.slice(index + 1), context)));
+            run = [];
+        };
+        for (const entry of sorted) {
+            if (run.length > 0 && values.get(run[0]) !== values.get(entry)) flush();
+            run.push(entry);
+        }
+        flush();
+        return ordered;
+    }
+    return tied.map(entry => ({ entry, decidedBy: null }));
+}
+
+/**
+ * Orders final results with tie detection on the unrounded scores
+ * @param {Array} entries - [{ project, score, judges, row }] with unrounded scores
+ * @param {Object} model - Normalized scoring model (tieBreaks, tieBreakSeed)
+ * @param {Object|null} votesByGroup - { participants, row, judges } vote rows for the ballot tie-breaks
+ * @returns {Array} The entries best first, each with tie: '' or a note naming the tie and how it was broken
+ */
+function orderWithTieBreaks(entries, model, votesByGroup) {
+    const votes = votesByGroup ? VOTER_GROUP_KEYS.flatMap(key => votesByGroup[key] || []) : [];
+    const context = {
+        ballots: buildBallots(votes),
+        // One draw per tie, from the seed and the tied projects, so re-running the results keeps the order
+        coinFlips: (tied) => {
+            const projects = tied.map(entry => entry.project).sort();
+            const random = createSeededRandom(`${model.tieBreakSeed}|${projects.join('|')}`);
+            return Object.fromEntries(projects.map(project => [project, random()]));
+        }
+    };
+
+    const sorted = [...entries].sort((a, b) => b.score - a.score || a.project.localeCompare(b.project));
+    const ordered = [];
+    for (let start = 0; start < sorted.length;) {
+        let end = start + 1;
+        while (end < sorted.length && sorted[start].score - sorted[end].score < TIE_TOLERANCE) end++;
+        const tied = sorted.slice(start, end);
+        if (tied.length === 1) {
+            ordered.push({ ...tied[0], tie: '' });
+        } else {
+            const names = tied.map(entry => entry.project);
+            console.warn(`Tie at ${tied[0].score}: ${names.join(', ')}`);
+            breakTie(tied, model.tieBreaks, context).forEach(({ entry, decidedBy }, place) => {
+                const others = names.filter(name => name !== entry.project).join(', ');
+                const how = decidedBy
+                    ? `placed ${place + 1} of ${tied.length} by ${TIE_BREAKERS[decidedBy].label}`
+                    : 'not broken';
+                ordered.push({ ...entry, tie: `TIE with ${others} - ${how}` });
+            });
+        }
+        start = end;
+    }
+    return ordered;
+}
+
+// ==================== SUBMISSION CHECKS ====================
+// Forms are shared with their team's emails (restrictFormToEmails), but nothing stops a second
+// submission or a response from someone else. Before the ballots are checked:
+//   - a respondent (form + email) with several submissions keeps one, by the model's duplicates policy
+//   - a response from an email that is not in the form's assignedEmails is flagged, and still counts
+//   - responses without an email (anonymous forms) cannot be told apart and all count
+// The "Turnout" tab shows per form how many of the assigned participants responded; dropped and
+// flagged responses are listed in the "Flagged Responses" tab.
+
+const DUPLICATE_POLICIES = {
+    latest: { label: 'the latest counts', keep: (submissions) => [submissions[submissions.length - 1]] },
+    first: { label: 'the first counts', keep: (submissions) => [submissions[0]] },
+    none: { label: 'none count', keep: () => [] }
+};
+
+const TURNOUT_HEADERS = ['Form', 'Assigned', 'Submissions', 'Counted', 'Turnout', 'Duplicates', 'Unexpected Emails'];
+const FLAGGED_RESPONSE_HEADERS = ['Form', 'Timestamp', 'Email', 'Issue', 'Counted'];
+
+/**
+ * Applies the duplicates policy and flags unexpected emails
+ * @param {Array} votes - Vote rows of one voter group
+ * @param {Object} forms - Form configs (createdForms.forms), matched to the votes by teamName
+ * @param {string} policy - Key of DUPLICATE_POLICIES
+ * @returns {Object} { keptVotes, submissions: [{ form, email, timestamp, counted, duplicate, unexpected, issues }] } in submission order
+ */
+function checkSubmissions(votes, forms = {}, policy = 'latest') {
+    const assignedByForm = {};
+    Object.values(forms || {}).forEach(form => {
+        assignedByForm[form.teamName] = (form.assignedEmails || []).map(email => email.trim().toLowerCase());
+    });
+
+    // One submission per form response (the voter of buildBallots)
+    const submissions = new Map();
+    for (const vote of votes) {
+        const [timestamp, email, form] = vote;
+        const voter = getVoterKey(vote);
+        if (!submissions.has(voter)) {
+            submissions.set(voter, { voter, form, email, timestamp, counted: true, duplicate: false, unexpected: false, issues: [] });
+        }
+    }
+    const ordered = [...submissions.values()].sort((a, b) =>
+        (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0) || String(a.timestamp).localeCompare(String(b.timestamp)));
+
+    const byRespondent = {};
+    for (const submission of ordered) {
+        const email = String(submission.email || '').trim().toLowerCase();
+        if (!email) continue;
+        const assigned = assignedByForm[submission.form] || [];
+        if (assigned.length > 0 && !assigned.includes(email)) {
+            submission.unexpected = true;
+            submission.issues.push('Email not assigned to this form');
+        }
+        const key = `${submission.form}|${email}`;
+        (byRespondent[key] = byRespondent[key] || []).push(submission);
+    }
+    for (const respondentSubmissions of Object.values(byRespondent)) {
+        if (respondentSubmissions.length === 1) continue;
+        const kept = DUPLICATE_POLICIES[policy].keep(respondentSubmissions);
+        respondentSubmissions.forEach(submission => {
+            submission.counted = kept.includes(submission);
+            submission.duplicate = true;
+            submission.issues.push(`Submitted ${respondentSubmissions.length} times - ${DUPLICATE_POLICIES[policy].label}`);
+        });
+    }
+
+    const dropped = new Set(ordered.filter(submission => !submission.counted).map(submission => submission.voter));
+    const keptVotes = votes.filter(vote => !dropped.has(getVoterKey(vote)));
+    return { keptVotes, submissions: ordered };
+}
+
+/**
+ * Rows of the "Turnout" tab, one per form
+ * Team forms are measured against their assignedParticipants, counting only responses from
+ * assigned emails; the Judges and RoW forms are open, so they show no turnout.
+ * @param {Array} submissions - Submissions of all groups from checkSubmissions
+ * @param {Object} forms - Form configs (createdForms.forms)
+ * @returns {Array<Array>} [[form, assigned, submissions, counted, turnout, duplicates, unexpected], ...]
+ */
+function buildTurnoutRows(submissions, forms = {}) {
+    const formNames = [...new Set([
+        ...Object.values(forms || {}).map(form => form.teamName),
+        ...submissions.map(submission => submission.form)
+    ])];
+    return formNames.map(formName => {
+        const form = Object.values(forms || {}).find(candidate => candidate.teamName === formName);
+        const formSubmissions = submissions.filter(submission => submission.form === formName);
+        const counted = formSubmissions.filter(submission => submission.counted);
+        const isOpen = !form || form.isJudgesForm || form.isRoWForm;
+        const assigned = isOpen ? '' : (form.assignedParticipants || []).length;
+        return [
+            formName,
+            assigned,
+            formSubmissions.length,
+            counted.length,
+            assigned ? `${Math.round(counted.filter(submission => !submission.unexpected).length / assigned * 100)}%` : '',
+            formSubmissions.filter(submission => submission.duplicate).length,
+            formSubmissions.filter(submission => submission.unexpected).length
+        ];
+    });
+}
+
+// ==================== BALLOT VALIDATION ====================
+// A Forms ranking grid lets a voter pick the same column in several rows and leave rows empty,
+// so a ballot (one voter's ranking in one category) only counts when:
+//   - every project on the voter's form has a rank, and no project that isn't on the form does
+//   - no rank is given twice, and every rank is between 1 and the number of projects
+//   - it does not rank the voter's own team (the form's excludedTeam)
+// Invalid ballots are left out of the Votes tabs and every score, and listed with their
+// reasons in the "Invalid Ballots" tab.
+
+const INVALID_BALLOT_HEADERS = ['Group', 'Timestamp', 'Email', 'Form', 'Category', 'Reason', 'Ranks'];
+
+/**
+ * Why a ballot cannot be counted
+ * @param {Object} ballot - Ballot from buildBallots
+ * @param {Object|null} form - Config of the ballot's form ({ votingOptions, excludedTeam }); null checks the ranks only
+ * @returns {Array<string>} Problems, empty when the ballot is valid
+ */
+function getBallotProblems(ballot, form) {
+    const problems = [];
+    const projects = Object.keys(ballot.ranks);
+    const expected = form?.votingOptions || projects;
+    const ownTeam = form?.excludedTeam;
+
+    if (ownTeam && projects.includes(ownTeam)) {
+        problems.push(`Votes for own team ${ownTeam}`);
+    }
+    const missing = expected.filter(project => !ballot.ranks[project]);
+    if (missing.length > 0) {
+        problems.push(`No rank for ${missing.join(', ')}`);
+    }
+    const unexpected = projects.filter(project => !expected.includes(project) && project !== ownTeam);
+    if (unexpected.length > 0) {
+        problems.push(`Not on the form: ${unexpected.join(', ')}`);
+    }
+
+    const projectsByRank = {};
+    projects.filter(project => ballot.ranks[project]).forEach(project => {
+        (projectsByRank[ballot.ranks[project]] = projectsByRank[ballot.ranks[project]] || []).push(project);
+    });
+    for (const [rank, ranked] of Object.entries(projectsByRank)) {
+        if (ranked.length > 1) problems.push(`Rank ${rank} given to ${ranked.join(', ')}`);
+    }
+    const outOfRange = Object.keys(projectsByRank).map(Number).filter(rank => rank < 1 || rank > expected.length);
+    if (outOfRange.length > 0) {
+        problems.push(`Rank ${outOfRange.join(', ')} outside 1-${expected.length}`);
+    }
+    return problems;
+}
+
+/**
+ * Separates the votes of valid ballots from the invalid ballots
+ * @param {Array} votes - Vote rows of one voter group
+ * @param {Object} forms - Form configs (createdForms.forms), matched to the votes by teamName;
+ *        votes of a form that isn't in it are only checked for duplicate and out of range ranks
+ * @returns {Object} { validVotes, invalidBallots: [{ ballot, problems }] }
+ */
+function validateBallots(votes, forms = {}) {
+    const formsByName = {};
+    Object.values(forms || {}).forEach(form => {
+        formsByName[form.teamName] = form;
+    });
+
+    const invalidBallots = [];
+    const invalidKeys = new Set();
+    for (const ballot of buildBallots(votes)) {
+        const problems = getBallotProblems(ballot, formsByName[ballot.form] || null);
+        if (problems.length > 0) {
+            invalidBallots.push({ ballot, problems });
+            invalidKeys.add(`${ballot.voter}|${ballot.category}`);
+        }
+    }
+    // Same key as buildBallots
+    const validVotes = votes.filter(vote => !invalidKeys.has(`${getVoterKey(vote)}|${vote[3]}`));
+    return { validVotes, invalidBallots };
+}
+
+/**
+ * Rows of the "Invalid Ballots" tab
+ * @param {Object} invalidByGroup - { participants, row, judges } invalid ballots from validateBallots
+ * @param {Object} model - Normalized scoring model (for the group names)
+ * @returns {Array<Array>} [[group, timestamp, email, form, category, reasons, ranks], ...]
+ */
+function buildInvalidBallotRows(invalidByGroup, model) {
+    return model.voterGroups.flatMap(group => (invalidByGroup[group.key] || []).map(({ ballot, problems }) => [
+        group.name,
+        ballot.timestamp,
+        ballot.email,
+        ballot.form,
+        ballot.category,
+        problems.join('; '),
+        Object.entries(ballot.ranks).sort((a, b) => a[1] - b[1]).map(([project, rank]) => `${project}: ${rank || '-'}`).join(', ')
+    ]));
+}
+
 // ==================== SHARED RESULTS PROCESSING ====================
-// Constants for weighting
-const CATEGORY_WEIGHTS = { impact: 0.4, readiness: 0.4, presentation: 0.2 };
-const GROUP_WEIGHTS = { participants: 0.4, row: 0.2, judges: 0.4 };
-const SCALE_FACTOR = 4 / 5; // = 0.8 (RoW & Judges use 1-5 scale, Participants use 1-4)
 
 /**
  * Calculate weighted results from scores
- * @param {Object} scores - { project: { impact: [], readiness: [], presentation: [] } }
- * @returns {Array} Sorted array of { project, impact, readiness, presentation, total }
+ * @param {Object} scores - { project: { categoryKey: [points] } }, e.g. { impact: [], readiness: [], presentation: [] }
+ * @param {Object} model - Scoring model (default: the current event's)
+ * @returns {Array} Sorted array of { project, <categoryKey>: weighted average, total }
  */
-function calculateWeightedResults(scores) {
+function calculateWeightedResults(scores, model = getScoringModel()) {
     const results = [];
     for (const [project, s] of Object.entries(scores)) {
-        const avgImpact = s.impact.length > 0 ? s.impact.reduce((a, b) => a + b, 0) / s.impact.length : 0;
-        const avgReadiness = s.readiness.length > 0 ? s.readiness.reduce((a, b) => a + b, 0) / s.readiness.length : 0;
-        const avgPresentation = s.presentation.length > 0 ? s.presentation.reduce((a, b) => a + b, 0) / s.presentation.length : 0;
-        const total = avgImpact * CATEGORY_WEIGHTS.impact + avgReadiness * CATEGORY_WEIGHTS.readiness + avgPresentation * CATEGORY_WEIGHTS.presentation;
-        results.push({
-            project,
-            impact: avgImpact * CATEGORY_WEIGHTS.impact,
-            readiness: avgReadiness * CATEGORY_WEIGHTS.readiness,
-            presentation: avgPresentation * CATEGORY_WEIGHTS.presentation,
-            total
-        });
+        const result = { project, total: 0 };
+        for (const category of model.categories) {
+            const points = s[category.key] || [];
+            const average = points.length > 0 ? points.reduce((a, b) => a + b, 0) / points.length : 0;
+            result[category.key] = average * category.weight;
+            result.total += result[category.key];
+        }
+        results.push(result);
     }
     results.sort((a, b) => b.total - a.total);
     return results;
@@ -1250,42 +2030,38 @@ function calculateWeightedResults(scores) {
  * @param {Array} participantWeighted - Participant weighted results
  * @param {Array} rowWeighted - RoW weighted results
  * @param {Array} judgesWeighted - Judges weighted results
- * @returns {Array} Final results as [[project, pContrib, rContrib, jContrib, finalScore], ...]
+ * @param {Object} model - Scoring model (default: the current event's)
+ * @param {Object|null} votesByGroup - { participants, row, judges } vote rows, for the head-to-head
+ *        and first place tie-breaks (without them those tie-breaks decide nothing)
+ * @returns {Array} Final results as [[project, pContrib, rContrib, jContrib, finalScore, tie], ...],
+ *          tie being '' or a note on the tie and how it was broken (see TIE-BREAKING)
  */
-function calculateFinalResults(participantWeighted, rowWeighted, judgesWeighted) {
+function calculateFinalResults(participantWeighted, rowWeighted, judgesWeighted, model = getScoringModel(), votesByGroup = null) {
+    const weightedByGroup = { participants: participantWeighted, row: rowWeighted, judges: judgesWeighted };
     const allProjects = new Set([
         ...participantWeighted.map(r => r.project),
         ...rowWeighted.map(r => r.project),
         ...judgesWeighted.map(r => r.project)
     ]);
     
-    const finalResults = [];
+    const entries = [];
     for (const project of allProjects) {
-        const pScore = participantWeighted.find(r => r.project === project)?.total || 0;
-        const rScore = rowWeighted.find(r => r.project === project)?.total || 0;
-        const jScore = judgesWeighted.find(r => r.project === project)?.total || 0;
-        
-        // Scale RoW and Judges (they use 1-5 scale, participants use 1-4)
-        const rScoreScaled = rScore * SCALE_FACTOR;
-        const jScoreScaled = jScore * SCALE_FACTOR;
-        
-        // Apply group weights: Participants 40%, RoW 20%, Judges 40%
-        const pContrib = pScore * GROUP_WEIGHTS.participants;
-        const rContrib = rScoreScaled * GROUP_WEIGHTS.row;
-        const jContrib = jScoreScaled * GROUP_WEIGHTS.judges;
-        const finalScore = pContrib + rContrib + jContrib;
-        
-        finalResults.push([
-            project,
-            Math.round(pContrib * 100) / 100,
-            Math.round(rContrib * 100) / 100,
-            Math.round(jContrib * 100) / 100,
-            Math.round(finalScore * 100) / 100
-        ]);
-    }
-    
-    finalResults.sort((a, b) => parseFloat(b[4]) - parseFloat(a[4]));
-    return finalResults;
+        // Scale each group's total to the common scale, then apply the group weight
+        const contributions = model.voterGroups.map(group => {
+            const total = weightedByGroup[group.key].find(r => r.project === project)?.total || 0;
+            return total * getScoreScaleFactor(model, group.key) * group.weight;
+        });
+        const judges = judgesWeighted.find(r => r.project === project)?.total || 0;
+        entries.push({ project, contributions, score: contributions.reduce((a, b) => a + b, 0), judges });
+    }
+    
+    // Ties are found on the unrounded scores; only the written values are rounded
+    return orderWithTieBreaks(entries, model, votesByGroup).map(entry => [
+        entry.project,
+        ...entry.contributions.map(contribution => Math.round(contribution * 100) / 100),
+        Math.round(entry.score * 100) / 100,
+        entry.tie
+    ]);
 }
 
 /**
@@ -1295,25 +2071,58 @@ function calculateFinalResults(participantWeighted, rowWeighted, judgesWeighted)
  * @param {string} accessToken - OAuth access token
  * @param {string} spreadsheetId - Results spreadsheet ID
  * @param {Object} data - Collected data with votes and scores for each group
- * @param {Array} data.participantVotes - [[timestamp, email, form, category, project, rank, points], ...]
+ * @param {Array} data.participantVotes - [[timestamp, email, form, category, project, rank, points, responseId], ...]
  * @param {Array} data.rowVotes - Same format
  * @param {Array} data.judgesVotes - Same format
- * @param {Object} data.participantScores - { project: { impact: [], readiness: [], presentation: [] } }
- * @param {Object} data.rowScores - Same format
- * @param {Object} data.judgesScores - Same format
+ * @param {Object} data.scoring - Scoring model the votes were cast under (default: the current event's)
+ * @param {Object} data.forms - Form configs the votes came from, for the submission and ballot checks (default: ranks only)
  * @returns {Promise<Object>} Summary of what was written
  */
 async function processAndWriteResults(accessToken, spreadsheetId, data) {
     console.log('=== PROCESSING AND WRITING RESULTS ===');
     console.log(`Spreadsheet: https://docs.google.com/spreadsheets/d/${spreadsheetId}`);
     
-    const { participantVotes, rowVotes, judgesVotes, participantScores, rowScores, judgesScores } = data;
+    const model = data.scoring || getScoringModel();
+    console.log(`Aggregation method: ${AGGREGATION_METHODS[model.method].label}`);
+    
+    // One submission per respondent (see SUBMISSION CHECKS), then only the votes of valid
+    // ballots are written and counted (see BALLOT VALIDATION)
+    const submitted = {
+        participants: checkSubmissions(data.participantVotes, data.forms, model.duplicates),
+        row: checkSubmissions(data.rowVotes, data.forms, model.duplicates),
+        judges: checkSubmissions(data.judgesVotes, data.forms, model.duplicates)
+    };
+    const submissions = VOTER_GROUP_KEYS.flatMap(key => submitted[key].submissions);
+    const turnoutRows = buildTurnoutRows(submissions, data.forms);
+    const flaggedRows = submissions
+        .filter(submission => submission.issues.length > 0)
+        .map(submission => [submission.form, submission.timestamp, submission.email, submission.issues.join('; '), submission.counted ? 'Yes' : 'No']);
+    if (flaggedRows.length > 0) {
+        console.warn(`⚠ ${flaggedRows.length} flagged responses - see the Flagged Responses tab`);
+    }
+    
+    const checked = {
+        participants: validateBallots(submitted.participants.keptVotes, data.forms),
+        row: validateBallots(submitted.row.keptVotes, data.forms),
+        judges: validateBallots(submitted.judges.keptVotes, data.forms)
+    };
+    const participantVotes = checked.participants.validVotes;
+    const rowVotes = checked.row.validVotes;
+    const judgesVotes = checked.judges.validVotes;
+    const invalidRows = buildInvalidBallotRows({
+        participants: checked.participants.invalidBallots,
+        row: checked.row.invalidBallots,
+        judges: checked.judges.invalidBallots
+    }, model);
+    if (invalidRows.length > 0) {
+        console.warn(`⚠ ${invalidRows.length} invalid ballots left out - see the Invalid Ballots tab`);
+    }
     
     // 1. Ensure all required sheets exist
     const requiredSheets = [
         'Participants Votes', 'RoW Votes', 'Judges Votes',
         'Participants Weighted Results', 'RoW Weighted Results', 'Judges Weighted Results',
-        'Final Weighted Results'
+        'Final Weighted Results', 'Method Comparison', 'Invalid Ballots', 'Turnout', 'Flagged Responses'
     ];
     console.log(`Ensuring sheets exist: ${requiredSheets.join(', ')}`);
     await ensureSheetsExist(accessToken, spreadsheetId, requiredSheets);
@@ -1327,75 +2136,108 @@ async function processAndWriteResults(accessToken, spreadsheetId, data) {
         'Participants Weighted Results!A:Z',
         'RoW Weighted Results!A:Z',
         'Judges Weighted Results!A:Z',
-        'Final Weighted Results!A:Z'
+        'Final Weighted Results!A:Z',
+        'Method Comparison!A:Z',
+        'Invalid Ballots!A:Z',
+        'Turnout!A:Z',
+        'Flagged Responses!A:Z'
     ];
     for (const range of sheetsToClear) {
         await safeClearRange(accessToken, spreadsheetId, range);
     }
     console.log('✓ All sheets cleared');
     
-    // 3. Write headers to all sheets
-    const votesHeaders = [['Timestamp', 'Email', 'Form', 'Category', 'Project', 'Rank', 'Points']];
-    const weightedHeaders = [['Project', 'Business Impact (40%)', 'Production Readiness (40%)', 'Presentation (20%)', 'Total Score']];
-    const finalHeaders = [['Project', 'Participants (40%)', 'RoW (20%, scaled 0.8)', 'Judges (40%, scaled 0.8)', 'Final Score']];
+    // 3. Write headers to all sheets (the weighted sheets have a column per scoring category)
+    const votesHeaders = [VOTE_HEADERS];
+    const weightedHeaders = [buildWeightedHeaders(model)];
+    const finalHeaders = [buildFinalHeaders(model)];
+    const weightedRanges = sheet => getResultsSheetRanges(sheet, weightedHeaders[0].length);
+    const finalRanges = getResultsSheetRanges('Final Weighted Results', finalHeaders[0].length);
     
     console.log('Writing headers...');
-    await safeWriteRange(accessToken, spreadsheetId, 'Participants Votes!A1:G1', votesHeaders, 'PUT');
-    await safeWriteRange(accessToken, spreadsheetId, 'RoW Votes!A1:G1', votesHeaders, 'PUT');
-    await safeWriteRange(accessToken, spreadsheetId, 'Judges Votes!A1:G1', votesHeaders, 'PUT');
-    await safeWriteRange(accessToken, spreadsheetId, 'Participants Weighted Results!A1:E1', weightedHeaders, 'PUT');
-    await safeWriteRange(accessToken, spreadsheetId, 'RoW Weighted Results!A1:E1', weightedHeaders, 'PUT');
-    await safeWriteRange(accessToken, spreadsheetId, 'Judges Weighted Results!A1:E1', weightedHeaders, 'PUT');
-    await safeWriteRange(accessToken, spreadsheetId, 'Final Weighted Results!A1:E1', finalHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, 'Participants Votes!A1:H1', votesHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, 'RoW Votes!A1:H1', votesHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, 'Judges Votes!A1:H1', votesHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, weightedRanges('Participants Weighted Results').header, weightedHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, weightedRanges('RoW Weighted Results').header, weightedHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, weightedRanges('Judges Weighted Results').header, weightedHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, finalRanges.header, finalHeaders, 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, 'Invalid Ballots!A1:G1', [INVALID_BALLOT_HEADERS], 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, 'Turnout!A1:G1', [TURNOUT_HEADERS], 'PUT');
+    await safeWriteRange(accessToken, spreadsheetId, 'Flagged Responses!A1:E1', [FLAGGED_RESPONSE_HEADERS], 'PUT');
     console.log('✓ Headers written');
     
     // 4. Write raw votes
     console.log(`Writing votes: ${participantVotes.length} participant, ${rowVotes.length} RoW, ${judgesVotes.length} judges`);
     if (participantVotes.length > 0) {
-        await safeWriteRange(accessToken, spreadsheetId, 'Participants Votes!A2:G', participantVotes, 'PUT');
+        await safeWriteRange(accessToken, spreadsheetId, 'Participants Votes!A2:H', participantVotes, 'PUT');
         console.log(`✓ Wrote ${participantVotes.length} participant votes`);
     }
     if (rowVotes.length > 0) {
-        await safeWriteRange(accessToken, spreadsheetId, 'RoW Votes!A2:G', rowVotes, 'PUT');
+        await safeWriteRange(accessToken, spreadsheetId, 'RoW Votes!A2:H', rowVotes, 'PUT');
         console.log(`✓ Wrote ${rowVotes.length} RoW votes`);
     }
     if (judgesVotes.length > 0) {
-        await safeWriteRange(accessToken, spreadsheetId, 'Judges Votes!A2:G', judgesVotes, 'PUT');
+        await safeWriteRange(accessToken, spreadsheetId, 'Judges Votes!A2:H', judgesVotes, 'PUT');
         console.log(`✓ Wrote ${judgesVotes.length} judges votes`);
     }
     
-    // 5. Calculate weighted results for each group
-    const participantWeighted = calculateWeightedResults(participantScores);
-    const rowWeighted = calculateWeightedResults(rowScores);
-    const judgesWeighted = calculateWeightedResults(judgesScores);
+    // 5. Calculate weighted results for each group, with the model's aggregation method
+    const participantWeighted = calculateWeightedResults(scoreVotes(participantVotes, model), model);
+    const rowWeighted = calculateWeightedResults(scoreVotes(rowVotes, model), model);
+    const judgesWeighted = calculateWeightedResults(scoreVotes(judgesVotes, model), model);
     
     // 6. Write weighted results (keep as numbers, round to 2 decimals)
     const formatWeighted = (results) => results.map(r => [
         r.project,
-        Math.round(r.impact * 100) / 100,
-        Math.round(r.readiness * 100) / 100,
-        Math.round(r.presentation * 100) / 100,
+        ...model.categories.map(category => Math.round(r[category.key] * 100) / 100),
         Math.round(r.total * 100) / 100
     ]);
     
     if (participantWeighted.length > 0) {
-        await safeWriteRange(accessToken, spreadsheetId, 'Participants Weighted Results!A2:E', formatWeighted(participantWeighted), 'PUT');
+        await safeWriteRange(accessToken, spreadsheetId, weightedRanges('Participants Weighted Results').data, formatWeighted(participantWeighted), 'PUT');
         console.log(`✓ Wrote ${participantWeighted.length} participant weighted results`);
     }
     if (rowWeighted.length > 0) {
-        await safeWriteRange(accessToken, spreadsheetId, 'RoW Weighted Results!A2:E', formatWeighted(rowWeighted), 'PUT');
+        await safeWriteRange(accessToken, spreadsheetId, weightedRanges('RoW Weighted Results').data, formatWeighted(rowWeighted), 'PUT');
         console.log(`✓ Wrote ${rowWeighted.length} RoW weighted results`);
     }
     if (judgesWeighted.length > 0) {
-        await safeWriteRange(accessToken, spreadsheetId, 'Judges Weighted Results!A2:E', formatWeighted(judgesWeighted), 'PUT');
+        await safeWriteRange(accessToken, spreadsheetId, weightedRanges('Judges Weighted Results').data, formatWeighted(judgesWeighted), 'PUT');
         console.log(`✓ Wrote ${judgesWeighted.length} judges weighted results`);
     }
     
-    // 7. Calculate and write final combined results
-    const finalResults = calculateFinalResults(participantWeighted, rowWeighted, judgesWeighted);
+    // 7. Calculate and write final combined results; ties are broken and flagged in the Tie column
+    const votesByGroup = { participants: participantVotes, row: rowVotes, judges: judgesVotes };
+    const finalResults = calculateFinalResults(participantWeighted, rowWeighted, judgesWeighted, model, votesByGroup);
+    const tiedProjects = finalResults.filter(row => row[row.length - 1]).length;
     if (finalResults.length > 0) {
-        await safeWriteRange(accessToken, spreadsheetId, 'Final Weighted Results!A2:E', finalResults, 'PUT');
+        await safeWriteRange(accessToken, spreadsheetId, finalRanges.data, finalResults, 'PUT');
         console.log(`✓ Wrote ${finalResults.length} final weighted results`);
+        if (tiedProjects > 0) console.warn(`⚠ ${tiedProjects} projects are tied - see the Tie column`);
+    }
+    
+    // 8. Show how the top 3 would look under each aggregation method
+    if (finalResults.length > 0) {
+        const comparison = compareAggregationMethods(votesByGroup, model);
+        await safeWriteRange(accessToken, spreadsheetId, `Method Comparison!A1:${cellRef(comparison.length - 1, comparison[0].length - 1)}`, comparison, 'PUT');
+        console.log('✓ Wrote method comparison');
+    }
+    
+    // 9. List the ballots that were left out, with the reasons
+    if (invalidRows.length > 0) {
+        await safeWriteRange(accessToken, spreadsheetId, 'Invalid Ballots!A2:G', invalidRows, 'PUT');
+        console.log(`✓ Wrote ${invalidRows.length} invalid ballots`);
+    }
+    
+    // 10. Turnout per form, and the responses that were dropped or look wrong
+    if (turnoutRows.length > 0) {
+        await safeWriteRange(accessToken, spreadsheetId, 'Turnout!A2:G', turnoutRows, 'PUT');
+        console.log(`✓ Wrote turnout for ${turnoutRows.length} forms`);
+    }
+    if (flaggedRows.length > 0) {
+        await safeWriteRange(accessToken, spreadsheetId, 'Flagged Responses!A2:E', flaggedRows, 'PUT');
+        console.log(`✓ Wrote ${flaggedRows.length} flagged responses`);
     }
     
     console.log('=== RESULTS PROCESSING COMPLETE ===');
@@ -1405,6 +2247,9 @@ async function processAndWriteResults(accessToken, spreadsheetId, data) {
         rowVotes: rowVotes.length,
         judgesVotes: judgesVotes.length,
         projects: finalResults.length,
+        tiedProjects,
+        invalidBallots: invalidRows.length,
+        flaggedResponses: flaggedRows.length,
         spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}`
     };
 }
@@ -1470,6 +2315,30 @@ async function createResultsSpreadsheet(accessToken, votingData, createdForms) {
                         title: 'Final Weighted Results',
                         gridProperties: { rowCount: 1000, columnCount: 20 }
                     }
+                },
+                {
+                    properties: {
+                        title: 'Method Comparison',
+                        gridProperties: { rowCount: 100, columnCount: 10 }
+                    }
+                },
+                {
+                    properties: {
+                        title: 'Invalid Ballots',
+                        gridProperties: { rowCount: 1000, columnCount: 10 }
+                    }
+                },
+                {
+                    properties: {
+                        title: 'Turnout',
+                        gridProperties: { rowCount: 100, columnCount: 10 }
+                    }
+                },
+                {
+                    properties: {
+                        title: 'Flagged Responses',
+                        gridProperties: { rowCount: 1000, columnCount: 10 }
+                    }
                 }
             ]
         })
@@ -1484,19 +2353,24 @@ async function createResultsSpreadsheet(accessToken, votingData, createdForms) {
     const spreadsheetId = spreadsheet.spreadsheetId;
     
     // Set up headers
-    const votesHeaders = [['Timestamp', 'Email', 'Form', 'Category', 'Project', 'Rank', 'Points']];
-    const weightedHeaders = [['Project', 'Business Impact (40%)', 'Production Readiness (40%)', 'Presentation (20%)', 'Total Score']];
-    const finalHeaders = [['Project', 'Participants (40%)', 'RoW (20%, scaled 0.8)', 'Judges (40%, scaled 0.8)', 'Final Score']];
+    const model = votingData?.scoring || getScoringModel();
+    const votesHeaders = [VOTE_HEADERS];
+    const weightedHeaders = [buildWeightedHeaders(model)];
+    const finalHeaders = [buildFinalHeaders(model)];
+    const weightedRange = sheet => getResultsSheetRanges(sheet, weightedHeaders[0].length).header;
     
     // Write headers to all sheets
     const headerWrites = [
-        { range: 'Participants Votes!A1:G1', values: votesHeaders },
-        { range: 'RoW Votes!A1:G1', values: votesHeaders },
-        { range: 'Judges Votes!A1:G1', values: votesHeaders },
-        { range: 'Participants Weighted Results!A1:E1', values: weightedHeaders },
-        { range: 'RoW Weighted Results!A1:E1', values: weightedHeaders },
-        { range: 'Judges Weighted Results!A1:E1', values: weightedHeaders },
-        { range: 'Final Weighted Results!A1:E1', values: finalHeaders }
+        { range: 'Participants Votes!A1:H1', values: votesHeaders },
+        { range: 'RoW Votes!A1:H1', values: votesHeaders },
+        { range: 'Judges Votes!A1:H1', values: votesHeaders },
+        { range: weightedRange('Participants Weighted Results'), values: weightedHeaders },
+        { range: weightedRange('RoW Weighted Results'), values: weightedHeaders },
+        { range: weightedRange('Judges Weighted Results'), values: weightedHeaders },
+        { range: getResultsSheetRanges('Final Weighted Results', finalHeaders[0].length).header, values: finalHeaders },
+        { range: 'Invalid Ballots!A1:G1', values: [INVALID_BALLOT_HEADERS] },
+        { range: 'Turnout!A1:G1', values: [TURNOUT_HEADERS] },
+        { range: 'Flagged Responses!A1:E1', values: [FLAGGED_RESPONSE_HEADERS] }
     ];
     
     for (const hw of headerWrites) {
@@ -1532,7 +2406,7 @@ async function createResultsSpreadsheet(accessToken, votingData, createdForms) {
  */
 async function aggregateFormResponses(accessToken, createdForms, resultsSpreadsheet) {
     const allResponses = [];
-    const projectScores = {}; // { project: { impact: [], readiness: [], presentation: [] } }
+    const model = createdForms.scoring || getScoringModel();
     
     console.log('=== aggregateFormResponses START ===');
     console.log('Number of forms:', Object.keys(createdForms.forms || {}).length);
@@ -1579,7 +2453,7 @@ async function aggregateFormResponses(accessToken, createdForms, resultsSpreadsh
             // For grid questions, the questionGroupItem has an itemId, and the grid answer references this
             const itemToCategory = {};
             const items = formDetails.items || [];
-            const categories = ['Business Impact', 'Production Readiness', 'Presentation'];
+            const categories = formData.categories || model.categories.map(category => category.name);
             
             items.forEach((item, idx) => {
                 if (item.questionGroupItem && idx < categories.length) {
@@ -1598,6 +2472,7 @@ async function aggregateFormResponses(accessToken, createdForms, resultsSpreadsh
             for (const response of responsesData.responses || []) {
                 const email = response.respondentEmail || '';
                 const timestamp = response.createTime || '';
+                const responseId = response.responseId || '';
                 
                 // Extract answers - answers is an object keyed by questionId
                 const answers = response.answers || {};
@@ -1649,25 +2524,9 @@ async function aggregateFormResponses(accessToken, createdForms, resultsSpreadsh
                                 category,
                                 project,
                                 rank,
-                                points
+                                points,
+                                responseId
                             });
-                            
-                            // Accumulate scores
-                            if (!projectScores[project]) {
-                                projectScores[project] = {
-                                    impact: [],
-                                    readiness: [],
-                                    presentation: []
-                                };
-                            }
-                            
-                            if (category === 'Business Impact') {
-                                projectScores[project].impact.push(points);
-                            } else if (category === 'Production Readiness') {
-                                projectScores[project].readiness.push(points);
-                            } else if (category === 'Presentation') {
-                                projectScores[project].presentation.push(points);
-                            }
                         }
                     } else if (answerData.questionGroupItemResponse) {
                         // Grid question response (old format)
@@ -1692,25 +2551,9 @@ async function aggregateFormResponses(accessToken, createdForms, resultsSpreadsh
                                 category,
                                 project,
                                 rank,
-                                points
+                                points,
+                                responseId
                             });
-                            
-                            // Accumulate scores
-                            if (!projectScores[project]) {
-                                projectScores[project] = {
-                                    impact: [],
-                                    readiness: [],
-                                    presentation: []
-                                };
-                            }
-                            
-                            if (category === 'Business Impact') {
-                                projectScores[project].impact.push(points);
-                            } else if (category === 'Production Readiness') {
-                                projectScores[project].readiness.push(points);
-                            } else if (category === 'Presentation') {
-                                projectScores[project].presentation.push(points);
-                            }
                         }
                     }
                 }
@@ -1725,9 +2568,8 @@ async function aggregateFormResponses(accessToken, createdForms, resultsSpreadsh
         participantVotes: [],
         rowVotes: [],
         judgesVotes: [],
-        participantScores: {},
-        rowScores: {},
-        judgesScores: {}
+        scoring: model,
+        forms: createdForms.forms
     };
     
     // Log all unique form names for debugging
@@ -1740,33 +2582,22 @@ async function aggregateFormResponses(accessToken, createdForms, resultsSpreadsh
         const isRoW = r.form === 'RoW Voting' || formLower.includes('row');
         
         // Convert to array format for votes
-        const voteRow = [r.timestamp, r.email, r.form, r.category, r.project, r.rank, r.points];
+        const voteRow = [r.timestamp, r.email, r.form, r.category, r.project, r.rank, r.points, r.responseId];
         
         // Determine which group this response belongs to
-        let targetVotes, targetScores, groupName;
+        let targetVotes, groupName;
         if (isJudge) {
             targetVotes = collectedData.judgesVotes;
-            targetScores = collectedData.judgesScores;
             groupName = 'JUDGES';
         } else if (isRoW) {
             targetVotes = collectedData.rowVotes;
-            targetScores = collectedData.rowScores;
             groupName = 'ROW';
         } else {
             targetVotes = collectedData.participantVotes;
-            targetScores = collectedData.participantScores;
             groupName = 'PARTICIPANTS';
         }
         
         targetVotes.push(voteRow);
-        
-        // Build scores
-        if (!targetScores[r.project]) {
-            targetScores[r.project] = { impact: [], readiness: [], presentation: [] };
-        }
-        if (r.category === 'Business Impact') targetScores[r.project].impact.push(r.points);
-        else if (r.category === 'Production Readiness') targetScores[r.project].readiness.push(r.points);
-        else if (r.category === 'Presentation') targetScores[r.project].presentation.push(r.points);
     }
     
     // Summary of classification
@@ -1917,6 +2748,8 @@ async function createAllVotingForms(accessToken, votingData) {
         folderName: folderName,
         folderUrl: targetFolderId ? `https://drive.google.com/drive/folders/${targetFolderId}` : null,
         resultsSpreadsheet: resultsSpreadsheet,
+        // Aggregation scores the responses with the model the forms were made from
+        scoring: votingData.scoring || getScoringModel(),
         summary: {
             total: Object.keys(votingData.forms).length,
             created: Object.keys(createdForms).filter(f => createdForms[f].status === 'created').length,
@@ -1978,7 +2811,7 @@ async function linkFormToSpreadsheet(accessToken, formId, formTitle) {
  * Format: Headers are "Category [Project]", values are rankings like "1st (4 pts)"
  */
 async function writeFormResponses(accessToken, spreadsheetId, formData, numResponses, isJudges) {
-    const categories = ['Business Impact', 'Production Readiness', 'Presentation'];
+    const categories = formData.categories || getScoringModel().categories.map(category => category.name);
     const votingOptions = formData.votingOptions || [];
     const numProjects = votingOptions.length;
     
@@ -1995,7 +2828,8 @@ async function writeFormResponses(accessToken, spreadsheetId, formData, numRespo
     const rows = [headers];
     
     for (let r = 0; r < numResponses; r++) {
-        const row = [new Date().toISOString()];
+        // A second apart, like real submissions
+        const row = [new Date(Date.now() + r * 1000).toISOString()];
         
         for (const cat of categories) {
             // Generate random ranking (shuffle ranks 1 to numProjects)
@@ -2033,17 +2867,61 @@ async function writeFormResponses(accessToken, spreadsheetId, formData, numRespo
 /**
  * Aggregates responses from all form response spreadsheets into the Results spreadsheet
  */
+/**
+ * Vote rows from a form's response spreadsheet
+ * Headers are "Category [Project]", values are rankings like "1st (4 pts)". The sheet row
+ * number is the response ID, so responses in the same second stay separate ballots. The
+ * "Email Address" column of forms that collect emails feeds the submission checks.
+ * @param {Array<Array>} rows - Response sheet rows, headers first
+ * @param {string} formName - Team name of the form
+ * @returns {Array} [[timestamp, email, form, category, project, rank, points, responseId], ...]
+ */
+function parseResponseSheetVotes(rows, formName) {
+    const headers = rows[0] || [];
+    const emailColumn = headers.findIndex(header => /^email( address)?$/i.test(String(header || '').trim()));
+    const votes = [];
+    for (let rowIdx = 1; rowIdx < rows.length; rowIdx++) {
+        const row = rows[rowIdx];
+        const timestamp = row[0] || new Date().toISOString();
+        const email = emailColumn >= 0 ? String(row[emailColumn] || '').trim() : '';
+        const responseId = `row ${rowIdx + 1}`;
+
+        // Parse responses - headers are like "Business Impact [Project Name]"
+        for (let colIdx = 1; colIdx < headers.length; colIdx++) {
+            const header = headers[colIdx] || '';
+            const value = row[colIdx] || '';
+
+            const match = header.match(/^(.+?) \[(.+?)\]$/);
+            if (!match) continue;
+
+            const category = match[1];
+            const project = match[2];
+
+            // Parse value: "1st (4 pts)" - extract both rank and points from the string
+            const rankMatch = value.match(/^(\d+)/);
+            const pointsMatch = value.match(/\((\d+)\s*pts?\)/i);
+            if (!rankMatch) continue;
+
+            const rank = parseInt(rankMatch[1]);
+            const points = pointsMatch ? parseInt(pointsMatch[1]) : 0;
+
+            votes.push([timestamp, email, formName, category, project, rank, points, responseId]);
+        }
+    }
+    return votes;
+}
+
 async function aggregateFromFormSpreadsheets(accessToken, createdForms, resultsSpreadsheet) {
     console.log('=== AGGREGATING FROM FORM RESPONSE SPREADSHEETS ===');
 
     // Collect data into the standard format
+    const model = createdForms.scoring || getScoringModel();
     const collectedData = {
         participantVotes: [],
         rowVotes: [],
         judgesVotes: [],
-        participantScores: {},
-        rowScores: {},
-        judgesScores: {}
+        scoring: model,
+        forms: createdForms.forms
     };
 
     console.log('Forms to aggregate:', Object.keys(createdForms.forms || {}).length);
@@ -2058,7 +2936,6 @@ async function aggregateFromFormSpreadsheets(accessToken, createdForms, resultsS
         const isJudges = formData.isJudgesForm || formData.teamName?.toLowerCase().includes('judge');
         const isRoW = formData.isRoWForm || formData.teamName?.toLowerCase().includes('row');
         const targetVotes = isJudges ? collectedData.judgesVotes : isRoW ? collectedData.rowVotes : collectedData.participantVotes;
-        const targetScores = isJudges ? collectedData.judgesScores : isRoW ? collectedData.rowScores : collectedData.participantScores;
 
         console.log(`Reading responses from: ${formData.teamName} (${formData.responseSpreadsheetId})`);
 
@@ -2082,46 +2959,8 @@ async function aggregateFromFormSpreadsheets(accessToken, createdForms, resultsS
             continue;
         }
 
-        const headers = rows[0];
-        console.log(`  Headers: ${headers.slice(0, 5).join(', ')}...`);
-
-        // Parse each response row
-        // Format: Headers are "Category [Project]", values are rankings like "1st (4 pts)"
-        for (let rowIdx = 1; rowIdx < rows.length; rowIdx++) {
-            const row = rows[rowIdx];
-            const timestamp = row[0] || new Date().toISOString();
-
-            // Parse responses - headers are like "Business Impact [Project Name]"
-            for (let colIdx = 1; colIdx < headers.length; colIdx++) {
-                const header = headers[colIdx] || '';
-                const value = row[colIdx] || '';
-
-                // Parse header: "Business Impact [Project Name]"
-                const match = header.match(/^(.+?) \[(.+?)\]$/);
-                if (!match) continue;
-
-                const category = match[1];
-                const project = match[2];
-
-                // Parse value: "1st (4 pts)" - extract both rank and points from the string
-                const rankMatch = value.match(/^(\d+)/);
-                const pointsMatch = value.match(/\((\d+)\s*pts?\)/i);
-                if (!rankMatch) continue;
-
-                const rank = parseInt(rankMatch[1]);
-                const points = pointsMatch ? parseInt(pointsMatch[1]) : 0;
-
-                targetVotes.push([timestamp, '', formData.teamName, category, project, rank, points]);
-
-                if (!targetScores[project]) {
-                    targetScores[project] = { impact: [], readiness: [], presentation: [] };
-                }
-
-                if (category === 'Business Impact') targetScores[project].impact.push(points);
-                else if (category === 'Production Readiness') targetScores[project].readiness.push(points);
-                else if (category === 'Presentation') targetScores[project].presentation.push(points);
-            }
-        }
+        console.log(`  Headers: ${rows[0].slice(0, 5).join(', ')}...`);
+        targetVotes.push(...parseResponseSheetVotes(rows, formData.teamName));
     }
 
     console.log(`Aggregated ${collectedData.participantVotes.length} participant votes, ${collectedData.rowVotes.length} RoW votes, ${collectedData.judgesVotes.length} judges votes`);
@@ -2219,15 +3058,15 @@ async function generateTestDataDirect(accessToken, createdForms, resultsSpreadsh
     console.log('Responder counts:', responderCounts);
 
     // Collect data into the standard format
+    const model = createdForms.scoring || getScoringModel();
     const collectedData = {
         participantVotes: [],
         rowVotes: [],
         judgesVotes: [],
-        participantScores: {},
-        rowScores: {},
-        judgesScores: {}
+        scoring: model,
+        forms: createdForms.forms
     };
-    const categories = ['Business Impact', 'Production Readiness', 'Presentation'];
+    const categories = model.categories.map(category => category.name);
     
     // Generate random responses for each form
     console.log('>>> Forms available:', Object.keys(createdForms.forms || {}).length);
@@ -2243,7 +3082,6 @@ async function generateTestDataDirect(accessToken, createdForms, resultsSpreadsh
         const votingOptions = formData.votingOptions;
         const numProjects = votingOptions.length;
         const targetVotes = isJudges ? collectedData.judgesVotes : isRoW ? collectedData.rowVotes : collectedData.participantVotes;
-        const targetScores = isJudges ? collectedData.judgesScores : isRoW ? collectedData.rowScores : collectedData.participantScores;
         
         // Use specific count for each form type
         const numResponses = isJudges ? responderCounts.judges : isRoW ? responderCounts.row : responderCounts.participants;
@@ -2252,11 +3090,11 @@ async function generateTestDataDirect(accessToken, createdForms, resultsSpreadsh
         
         for (let r = 0; r < numResponses; r++) {
             const timestamp = new Date().toISOString();
-            const fakeEmail = isJudges 
+            const fakeEmail = formData.assignedEmails?.[r] || (isJudges 
                 ? `judge${r + 1}@company.test`
                 : isRoW 
                     ? `row${r + 1}@company.test`
-                    : `tester${r + 1}@${formData.teamName.toLowerCase().replace(/\s+/g, '')}.test`;
+                    : `tester${r + 1}@${formData.teamName.toLowerCase().replace(/\s+/g, '')}.test`);
             
             for (const category of categories) {
                 const ranks = Array.from({ length: numProjects }, (_, i) => i + 1);
@@ -2269,15 +3107,7 @@ async function generateTestDataDirect(accessToken, createdForms, resultsSpreadsh
                     const rank = ranks[idx];
                     const points = numProjects - rank + 1;
                     
-                    targetVotes.push([timestamp, fakeEmail, formData.teamName, category, project, rank, points]);
-                    
-                    if (!targetScores[project]) {
-                        targetScores[project] = { impact: [], readiness: [], presentation: [] };
-                    }
-                    
-                    if (category === 'Business Impact') targetScores[project].impact.push(points);
-                    else if (category === 'Production Readiness') targetScores[project].readiness.push(points);
-                    else if (category === 'Presentation') targetScores[project].presentation.push(points);
+                    targetVotes.push([timestamp, fakeEmail, formData.teamName, category, project, rank, points, `test ${r + 1}`]);
                 });
             }
         }
@@ -2928,7 +3758,7 @@ function showVotingFormsModal(votingData, createdForms = null, message = null, i
                 folderInfo += `<div style="background: #e3f2fd; border-left: 4px solid #2196F3; padding: 15px; margin: 20px 0; border-radius: 4px; color: #333;">
                     <h3 style="color: #333;">📊 Results Spreadsheet</h3>
                     <p style="color: #333;"><strong style="color: #333;">Spreadsheet:</strong> <a href="${createdForms.resultsSpreadsheet.spreadsheetUrl}" target="_blank" style="color: #2196F3; text-decoration: underline;">Open Results Spreadsheet</a></p>
-                    <p style="font-size: 0.9em; color: #666;">The spreadsheet contains two sheets: "Raw Votes" with all individual votes, and "Weighted Results" with scores weighted as Impact 40%, Readiness 40%, Presentation 20%.</p>
+                    <p style="font-size: 0.9em; color: #666;">The spreadsheet contains two sheets: "Raw Votes" with all individual votes, and "Weighted Results" with scores weighted as ${(createdForms.scoring || getScoringModel()).categories.map(category => `${category.name} ${formatScoringPercent(category.weight)}`).join(', ')}.</p>
                 </div>`;
             }
         } else {
@@ -3135,7 +3965,7 @@ function showVotingFormsModal(votingData, createdForms = null, message = null, i
                 console.log('=== AGGREGATING REAL RESPONSES FROM FORMS API ===');
                 const result = await aggregateFormResponses(token, createdForms, createdForms.resultsSpreadsheet);
                 console.log('Aggregation result:', result);
-                alert(`✓ Aggregated from Google Forms!\n\nParticipant votes: ${result.participantVotes || 0}\nRoW votes: ${result.rowVotes || 0}\nJudges votes: ${result.judgesVotes || 0}\nProjects: ${result.projects}`);
+                alert(`✓ Aggregated from Google Forms!\n\nParticipant votes: ${result.participantVotes || 0}\nRoW votes: ${result.rowVotes || 0}\nJudges votes: ${result.judgesVotes || 0}\nProjects: ${result.projects}${result.flaggedResponses ? `\n\n⚠ ${result.flaggedResponses} duplicate or unexpected responses - see the Flagged Responses tab` : ''}${result.invalidBallots ? `\n\n⚠ ${result.invalidBallots} invalid ballots left out - see the Invalid Ballots tab` : ''}${result.tiedProjects ? `\n\n⚠ ${result.tiedProjects} projects are tied - see the Tie column of Final Weighted Results` : ''}`);
 
                 aggregateBtn.textContent = '📊 Aggregated ✓';
                 window.open(createdForms.resultsSpreadsheet.spreadsheetUrl, '_blank');
@@ -3214,7 +4044,7 @@ function showVotingFormsModal(votingData, createdForms = null, message = null, i
                 }
                 
                 console.clear();
-                const results = await runSanityTests(token, spreadsheetId);
+                const results = await runSanityTests(token, spreadsheetId, createdForms.scoring);
                 
                 // Show results in alert
                 const summary = results.failed === 0 
@@ -3452,9 +4282,10 @@ window.generateTestData = generateTestData;
  * Run all sanity tests
  * @param {string} accessToken - OAuth access token
  * @param {string} spreadsheetId - Results spreadsheet ID to test against
+ * @param {Object} model - Scoring model the results were written with (default: the current event's)
  * @returns {Promise<Object>} Test results with pass/fail counts
  */
-async function runSanityTests(accessToken, spreadsheetId) {
+async function runSanityTests(accessToken, spreadsheetId, model = getScoringModel()) {
     console.log('╔══════════════════════════════════════════════════════════════╗');
     console.log('║              VOTING SANITY TEST SUITE                        ║');
     console.log('╚══════════════════════════════════════════════════════════════╝');
@@ -3478,13 +4309,16 @@ async function runSanityTests(accessToken, spreadsheetId) {
     // ==================== UNIT TESTS ====================
     console.log('\n─── UNIT TESTS: Calculation Functions ───');
     
+    // The expected values below are worked out for the default scoring model
+    const defaultModel = normalizeScoringModel(DEFAULT_SCORING_MODEL);
+    
     // Test 1: calculateWeightedResults with known values
     try {
         const testScores = {
             'Project A': { impact: [4, 4, 4], readiness: [3, 3, 3], presentation: [2, 2, 2] },
             'Project B': { impact: [2, 2, 2], readiness: [4, 4, 4], presentation: [3, 3, 3] }
         };
-        const weighted = calculateWeightedResults(testScores);
+        const weighted = calculateWeightedResults(testScores, defaultModel);
         
         // Project A: impact=4*0.4=1.6, readiness=3*0.4=1.2, presentation=2*0.2=0.4, total=3.2
         // Project B: impact=2*0.4=0.8, readiness=4*0.4=1.6, presentation=3*0.2=0.6, total=3.0
@@ -3522,7 +4356,7 @@ async function runSanityTests(accessToken, spreadsheetId) {
             'High': { impact: [4], readiness: [4], presentation: [4] },
             'Mid': { impact: [2], readiness: [2], presentation: [2] }
         };
-        const weighted = calculateWeightedResults(testScores);
+        const weighted = calculateWeightedResults(testScores, defaultModel);
         const order = weighted.map(r => r.project);
         const expectedOrder = ['High', 'Mid', 'Low'];
         const orderOk = order[0] === expectedOrder[0] && order[1] === expectedOrder[1] && order[2] === expectedOrder[2];
@@ -3542,7 +4376,7 @@ async function runSanityTests(accessToken, spreadsheetId) {
         const rWeighted = [{ project: 'Test', total: 3.75 }]; // RoW (1-5 scale) -> 3.75 * 0.8 = 3.0
         const jWeighted = [{ project: 'Test', total: 3.75 }]; // Judges (1-5 scale) -> 3.75 * 0.8 = 3.0
         
-        const final = calculateFinalResults(pWeighted, rWeighted, jWeighted);
+        const final = calculateFinalResults(pWeighted, rWeighted, jWeighted, defaultModel);
         const testProj = final.find(r => r[0] === 'Test');
         
         // pContrib = 3.0 * 0.4 = 1.2
@@ -3570,37 +4404,305 @@ async function runSanityTests(accessToken, spreadsheetId) {
         addResult('calculateFinalResults - Group weights', false, e.message);
     }
     
-    // Test 4: Verify constants are correct
+    // Test 4: Verify the default scoring model and the one in use
     try {
-        const catOk = CATEGORY_WEIGHTS.impact === 0.4 && 
-                      CATEGORY_WEIGHTS.readiness === 0.4 && 
-                      CATEGORY_WEIGHTS.presentation === 0.2;
-        const catSum = CATEGORY_WEIGHTS.impact + CATEGORY_WEIGHTS.readiness + CATEGORY_WEIGHTS.presentation;
+        const weightOf = (items, key) => items.find(item => item.key === key).weight;
+        const catOk = weightOf(defaultModel.categories, 'impact') === 0.4 &&
+                      weightOf(defaultModel.categories, 'readiness') === 0.4 &&
+                      weightOf(defaultModel.categories, 'presentation') === 0.2;
         
         addResult(
-            'Constants - CATEGORY_WEIGHTS sum to 1.0',
-            catOk && Math.abs(catSum - 1.0) < 0.001,
-            `Impact=${CATEGORY_WEIGHTS.impact}, Readiness=${CATEGORY_WEIGHTS.readiness}, Presentation=${CATEGORY_WEIGHTS.presentation}, Sum=${catSum}`
+            'Scoring model - Default category weights (40/40/20)',
+            catOk,
+            defaultModel.categories.map(c => `${c.name}=${c.weight}`).join(', ')
         );
         
-        const grpOk = GROUP_WEIGHTS.participants === 0.4 && 
-                      GROUP_WEIGHTS.row === 0.2 && 
-                      GROUP_WEIGHTS.judges === 0.4;
-        const grpSum = GROUP_WEIGHTS.participants + GROUP_WEIGHTS.row + GROUP_WEIGHTS.judges;
+        const grpOk = weightOf(defaultModel.voterGroups, 'participants') === 0.4 &&
+                      weightOf(defaultModel.voterGroups, 'row') === 0.2 &&
+                      weightOf(defaultModel.voterGroups, 'judges') === 0.4;
+        
+        addResult(
+            'Scoring model - Default group weights (40/20/40)',
+            grpOk,
+            defaultModel.voterGroups.map(g => `${g.name}=${g.weight}`).join(', ')
+        );
+        
+        const rowFactor = getScoreScaleFactor(defaultModel, 'row');
+        addResult(
+            'Scoring model - Default RoW/Judges scale factor is 0.8 (4/5)',
+            Math.abs(rowFactor - 0.8) < 0.001 && getScoreScaleFactor(defaultModel, 'participants') === 1,
+            `Scale factor=${rowFactor}`
+        );
+        
+        const formsOf = (participants, others) => ({
+            team: { voterGroup: 'participants', votingOptions: Array(participants).fill('P') },
+            judges: { voterGroup: 'judges', votingOptions: Array(others).fill('P') },
+            row: { voterGroup: 'row', votingOptions: Array(others).fill('P') }
+        });
+        const fromForms = matchScalesToForms(defaultModel, formsOf(2, 3));
+        let mismatchRejected = false;
+        try {
+            matchScalesToForms(normalizeScoringModel({ voterGroups: [{ key: 'judges', scale: 5 }] }), formsOf(2, 3));
+        } catch (error) {
+            mismatchRejected = true;
+        }
+        addResult(
+            'Scoring model - Scales come from the forms unless the model sets them',
+            fromForms.voterGroups.map(g => g.scale).join('/') === '2/3/3' && Math.abs(getScoreScaleFactor(fromForms, 'row') - 2 / 3) < 0.001 && mismatchRejected,
+            `Scales with 3 teams: ${fromForms.voterGroups.map(g => `${g.name} ${g.scale}`).join(', ')}; set scale that disagrees rejected=${mismatchRejected}`
+        );
+        
+        const catSum = model.categories.reduce((sum, c) => sum + c.weight, 0);
+        const grpSum = model.voterGroups.reduce((sum, g) => sum + g.weight, 0);
+        addResult(
+            'Scoring model in use - Weights sum to 1.0',
+            Math.abs(catSum - 1.0) < 0.001 && Math.abs(grpSum - 1.0) < 0.001,
+            `Categories: ${model.categories.map(c => `${c.name} ${formatScoringPercent(c.weight)}`).join(', ')}; Groups: ${model.voterGroups.map(g => `${g.name} ${formatScoringPercent(g.weight)} (scale ${g.scale})`).join(', ')}`
+        );
+    } catch (e) {
+        addResult('Scoring model verification', false, e.message);
+    }
+    
+    // Test 4b: A Scoring tab with its own categories, weights and scales
+    try {
+        const custom = normalizeScoringModel(parseScoringSheet([
+            ['Type', 'Name', 'Weight', 'Scale'],
+            ['Category', 'Innovation', '60%'],
+            ['Category', 'Demo', '40%'],
+            ['Group', 'Participants', '50%', '6'],
+            ['Group', 'RoW', '0'],
+            ['Group', 'Judges', '50%', '3']
+        ]));
+        const weighted = calculateWeightedResults({ 'X': { innovation: [5, 3], demo: [2] } }, custom);
+        const final = calculateFinalResults([{ project: 'X', total: 3 }], [], [{ project: 'X', total: 2 }], custom);
+        
+        // X: innovation 4*0.6=2.4, demo 2*0.4=0.8, total 3.2
+        // Final: participants 3*(3/6)*0.5=0.75, RoW 0, judges 2*(3/3)*0.5=1.0, total 1.75
+        const ok = Math.abs(weighted[0].total - 3.2) < 0.001 &&
+                   final[0][1] === 0.75 && final[0][2] === 0 && final[0][3] === 1 && final[0][4] === 1.75 &&
+                   buildWeightedHeaders(custom).join('|') === 'Project|Innovation (60%)|Demo (40%)|Total Score' &&
+                   buildFinalHeaders(custom)[1] === 'Participants (50%, scaled 0.5)';
+        
+        addResult(
+            'Scoring model - Custom model from a Scoring tab',
+            ok,
+            ok ? 'Categories, weights and scales applied' : `Weighted total=${weighted[0].total}, final=${JSON.stringify(final[0])}`,
+            { weighted, final, custom }
+        );
         
+        let rejected = false;
+        try {
+            normalizeScoringModel({ categories: [{ name: 'Only', weight: 0.5 }] });
+        } catch (error) {
+            rejected = true;
+        }
         addResult(
-            'Constants - GROUP_WEIGHTS sum to 1.0',
-            grpOk && Math.abs(grpSum - 1.0) < 0.001,
-            `Participants=${GROUP_WEIGHTS.participants}, RoW=${GROUP_WEIGHTS.row}, Judges=${GROUP_WEIGHTS.judges}, Sum=${grpSum}`
+            'Scoring model - Weights that do not add up to 100% are rejected',
+            rejected,
+            rejected ? 'Rejected' : 'A category weight total of 50% was accepted'
+        );
+    } catch (e) {
+        addResult('Scoring model - Custom model', false, e.message);
+    }
+    
+    // Test 4c: Aggregation methods on three known ballots
+    try {
+        const oneCategory = normalizeScoringModel({ categories: [{ name: 'C', weight: 1 }] });
+        const ballot = (voter, order) => order.map((project, i) => ['t', voter, 'F', 'C', project, i + 1, order.length - i]);
+        const votes = [...ballot('v1', ['A', 'B', 'C']), ...ballot('v2', ['B', 'A', 'C']), ...ballot('v3', ['A', 'C', 'B'])];
+        const totals = method => Object.fromEntries(
+            calculateWeightedResults(scoreVotes(votes, oneCategory, method), oneCategory).map(r => [r.project, Math.round(r.total * 1000) / 1000])
         );
         
+        // Borda: A (1 + 0.5 + 1) / 3, B (0.5 + 1 + 0) / 3, C (0 + 0 + 0.5) / 3
+        // Schulze: A beats B 2:1 and C 3:0, B beats C 2:1 -> A 1, B 0.5, C 0
+        // Z-score: every ballot is 3/2/1 -> +1.225/0/-1.225, averaged per project
+        const expected = {
+            average: { A: 2.667, B: 2, C: 1.333 },
+            borda: { A: 0.833, B: 0.5, C: 0.167 },
+            schulze: { A: 1, B: 0.5, C: 0 },
+            zscore: { A: 0.816, B: 0, C: -0.816 }
+        };
+        for (const [method, values] of Object.entries(expected)) {
+            const actual = totals(method);
+            const ok = Object.entries(values).every(([project, value]) => Math.abs(actual[project] - value) < 0.001);
+            addResult(
+                `Aggregation - ${AGGREGATION_METHODS[method].label}`,
+                ok,
+                ok ? `A=${actual.A}, B=${actual.B}, C=${actual.C}` : `Expected ${JSON.stringify(values)}, got ${JSON.stringify(actual)}`
+            );
+        }
+        
+        // A 4-project ballot and a 5-project ballot both give their first place 1 under Borda
+        const mixed = [...ballot('short', ['A', 'B', 'C', 'D']), ...ballot('long', ['A', 'B', 'C', 'D', 'E'])];
+        const borda = scoreVotes(mixed, oneCategory, 'borda');
         addResult(
-            'Constants - SCALE_FACTOR is 0.8 (4/5)',
-            Math.abs(SCALE_FACTOR - 0.8) < 0.001,
-            `SCALE_FACTOR=${SCALE_FACTOR}`
+            'Aggregation - Borda normalizes ballots of different lengths',
+            borda.A.c.every(value => value === 1) && borda.D.c[0] === 0 && borda.D.c[1] === 0.25,
+            `A=${borda.A.c.join('/')}, D=${borda.D.c.join('/')}`
         );
     } catch (e) {
-        addResult('Constants verification', false, e.message);
+        addResult('Aggregation methods', false, e.message);
+    }
+    
+    // Test 4d: Ties are found on unrounded scores and broken by the tie-break chain
+    try {
+        // X: 3*0.4 + 2.5*0.8*0.4 = 2.0, Y: 2*0.4 + 3.75*0.8*0.4 = 2.0, W: 5.0025*0.4 = 2.001 (also 2 when rounded)
+        const final = calculateFinalResults(
+            [{ project: 'X', total: 3 }, { project: 'Y', total: 2 }, { project: 'W', total: 5.0025 }],
+            [],
+            [{ project: 'X', total: 2.5 }, { project: 'Y', total: 3.75 }],
+            defaultModel
+        );
+        const order = final.map(row => row[0]).join(' > ');
+        const ok = order === 'W > Y > X' && final[0][5] === '' &&
+                   final[1][5] === "TIE with X - placed 1 of 2 by judges' score" && final[2][5].startsWith('TIE with Y');
+        addResult(
+            "Tie-break - Unrounded scores, then judges' score",
+            ok,
+            ok ? `${order}; ${final[1][5]}` : `Got ${JSON.stringify(final)}`
+        );
+        
+        // Same scores from every group: judges cannot decide, X is ranked above Y on 2 of 3 ballots
+        const same = [{ project: 'X', total: 3 }, { project: 'Y', total: 3 }];
+        const ballot = (voter, order) => order.map((project, i) => ['t', voter, 'F', 'Business Impact', project, i + 1, order.length - i]);
+        const votesByGroup = { participants: [], row: [], judges: [...ballot('j1', ['X', 'Y']), ...ballot('j2', ['Y', 'X']), ...ballot('j3', ['X', 'Y'])] };
+        const headToHead = calculateFinalResults(same, same, same, defaultModel, votesByGroup);
+        addResult(
+            'Tie-break - Head-to-head',
+            headToHead[0][0] === 'X' && headToHead[0][5].endsWith('by head-to-head'),
+            headToHead.map(row => `${row[0]}: ${row[5]}`).join('; ')
+        );
+        
+        // Without votes only the coin flip decides, the same way every time
+        const flips = [1, 2].map(() => calculateFinalResults(same, same, same, defaultModel).map(row => row[0]).join(' > '));
+        const flipped = calculateFinalResults(same, same, same, defaultModel);
+        addResult(
+            'Tie-break - Seeded coin flip is repeatable',
+            flips[0] === flips[1] && flipped[0][5].endsWith('by coin flip'),
+            `${flips[0]}; ${flipped[0][5]}`
+        );
+        
+        const chain = normalizeScoringModel(parseScoringSheet([
+            ['Type', 'Name'],
+            ['Tie-Break', 'First places'],
+            ['Tie-Break', 'Coin flip'],
+            ['Seed', 'Final 2026']
+        ]));
+        let rejected = false;
+        try {
+            normalizeScoringModel({ tieBreaks: ['judges', 'alphabetical'] });
+        } catch (error) {
+            rejected = true;
+        }
+        addResult(
+            'Tie-break - Chain and seed from a Scoring tab',
+            chain.tieBreaks.join(',') === 'firstPlaces,coinFlip' && chain.tieBreakSeed === 'Final 2026' && rejected,
+            `tieBreaks=${chain.tieBreaks.join(',')}, seed=${chain.tieBreakSeed}, unknown rejected=${rejected}`
+        );
+    } catch (e) {
+        addResult('Tie-breaking', false, e.message);
+    }
+    
+    // Test 4e: Ballots with duplicate ranks, missing rows or the voter's own team are left out
+    try {
+        const forms = { f1: { teamName: 'Team A', excludedTeam: 'A', votingOptions: ['B', 'C', 'D'] } };
+        const ballot = (voter, ranks) => Object.entries(ranks).map(([project, rank]) => ['t', voter, 'Team A', 'Demo', project, rank, rank ? 4 - rank : 0]);
+        const votes = [
+            ...ballot('valid', { B: 1, C: 2, D: 3 }),
+            ...ballot('duplicate', { B: 1, C: 1, D: 3 }),
+            ...ballot('missing', { B: 1, C: 2 }),
+            ...ballot('own', { A: 1, B: 2, C: 3, D: 3 })
+        ];
+        const { validVotes, invalidBallots } = validateBallots(votes, forms);
+        const reasons = Object.fromEntries(invalidBallots.map(({ ballot: b, problems }) => [b.email, problems.join('; ')]));
+        const ok = validVotes.length === 3 && validVotes.every(vote => vote[1] === 'valid') &&
+                   reasons.duplicate === 'Rank 1 given to B, C' &&
+                   reasons.missing === 'No rank for D' &&
+                   reasons.own === 'Votes for own team A; Rank 3 given to C, D';
+        addResult(
+            'Ballot validation - Duplicate ranks, missing rows and own team',
+            ok,
+            ok ? `${validVotes.length} valid votes; ${invalidBallots.length} invalid ballots` : `Valid: ${validVotes.length}, reasons: ${JSON.stringify(reasons)}`
+        );
+        
+        // Two anonymous responses in the same second, read from a response spreadsheet
+        const sheetVotes = parseResponseSheetVotes([
+            ['Timestamp', 'Demo [B]', 'Demo [C]', 'Demo [D]'],
+            ['2026-01-01 10:00:00', '1st (3 pts)', '2nd (2 pts)', '3rd (1 pts)'],
+            ['2026-01-01 10:00:00', '3rd (1 pts)', '2nd (2 pts)', '1st (3 pts)']
+        ], 'Team A');
+        const sameSecond = validateBallots(sheetVotes, forms);
+        addResult(
+            'Ballot validation - Anonymous responses in the same second stay separate',
+            buildBallots(sheetVotes).length === 2 && sameSecond.validVotes.length === 6 && sameSecond.invalidBallots.length === 0,
+            `${buildBallots(sheetVotes).length} ballots, ${sameSecond.validVotes.length} valid votes`
+        );
+        
+        const rows = buildInvalidBallotRows({ participants: invalidBallots }, defaultModel);
+        addResult(
+            'Ballot validation - Invalid Ballots rows',
+            rows.length === 3 && rows[0].length === INVALID_BALLOT_HEADERS.length && rows[0][0] === 'Participants' && rows[0][6] === 'B: 1, C: 1, D: 3',
+            JSON.stringify(rows[0])
+        );
+    } catch (e) {
+        addResult('Ballot validation', false, e.message);
+    }
+    
+    // Test 4f: One submission per respondent, unexpected emails and turnout
+    try {
+        const forms = { f1: { teamName: 'Team A', votingOptions: ['B'], assignedParticipants: ['Ann', 'Bob', 'Cy'], assignedEmails: ['ann@test', 'bob@test'] } };
+        const votes = [
+            ['2026-01-01T10:00:00Z', 'ann@test', 'Team A', 'Demo', 'B', 1, 1],
+            ['2026-01-01T11:00:00Z', 'Ann@Test', 'Team A', 'Demo', 'B', 1, 1],
+            ['2026-01-01T10:30:00Z', 'eve@test', 'Team A', 'Demo', 'B', 1, 1]
+        ];
+        const keptTimes = policy => checkSubmissions(votes, forms, policy).keptVotes.map(vote => vote[0].slice(11, 16)).join(',');
+        const ok = keptTimes('latest') === '11:00,10:30' && keptTimes('first') === '10:00,10:30' && keptTimes('none') === '10:30';
+        addResult(
+            'Submissions - Duplicates policy (latest, first, none)',
+            ok,
+            `latest: ${keptTimes('latest')}; first: ${keptTimes('first')}; none: ${keptTimes('none')}`
+        );
+        
+        // The same checks on a response spreadsheet with an "Email Address" column
+        const sheetVotes = parseResponseSheetVotes([
+            ['Timestamp', 'Email Address', 'Demo [B]'],
+            ['2026-01-01 10:00:00', 'ann@test', '1st (1 pts)'],
+            ['2026-01-01 10:30:00', 'eve@test', '1st (1 pts)'],
+            ['2026-01-01 11:00:00', 'Ann@Test', '1st (1 pts)']
+        ], 'Team A');
+        const fromSheet = checkSubmissions(sheetVotes, forms, 'latest');
+        const flagged = fromSheet.submissions.filter(submission => submission.issues.length > 0).map(submission => submission.email);
+        addResult(
+            'Submissions - Duplicates and unexpected emails from a response spreadsheet',
+            fromSheet.keptVotes.map(vote => vote[1]).join(',') === 'eve@test,Ann@Test' && flagged.join(',') === 'ann@test,eve@test,Ann@Test',
+            `Kept: ${fromSheet.keptVotes.map(vote => vote[1]).join(', ')}; flagged: ${flagged.join(', ')}`
+        );
+        
+        const { submissions } = checkSubmissions(votes, forms, 'latest');
+        const turnout = buildTurnoutRows(submissions, forms);
+        const eve = submissions.find(submission => submission.email === 'eve@test');
+        addResult(
+            'Submissions - Unexpected email flagged, turnout per form',
+            eve.unexpected && eve.counted && JSON.stringify(turnout[0]) === JSON.stringify(['Team A', 3, 3, 2, '33%', 2, 1]),
+            JSON.stringify(turnout[0])
+        );
+        
+        let rejected = false;
+        try {
+            normalizeScoringModel({ duplicates: 'all' });
+        } catch (error) {
+            rejected = true;
+        }
+        const fromTab = normalizeScoringModel(parseScoringSheet([['Duplicates', 'First']]));
+        addResult(
+            'Submissions - Duplicates policy from a Scoring tab',
+            fromTab.duplicates === 'first' && defaultModel.duplicates === 'latest' && rejected,
+            `Scoring tab: ${fromTab.duplicates}, default: ${defaultModel.duplicates}, unknown rejected=${rejected}`
+        );
+    } catch (e) {
+        addResult('Submission checks', false, e.message);
     }
     
     // ==================== INTEGRATION TESTS (if spreadsheet provided) ====================
@@ -3612,7 +4714,7 @@ async function runSanityTests(accessToken, spreadsheetId) {
             const sheets = [
                 'Participants Votes', 'RoW Votes', 'Judges Votes',
                 'Participants Weighted Results', 'RoW Weighted Results', 'Judges Weighted Results',
-                'Final Weighted Results'
+                'Final Weighted Results', 'Method Comparison', 'Invalid Ballots', 'Turnout', 'Flagged Responses'
             ];
             
             const sheetData = {};
@@ -3640,9 +4742,9 @@ async function runSanityTests(accessToken, spreadsheetId) {
             }
             
             // Test 6: Verify headers are correct
-            const votesHeaders = ['Timestamp', 'Email', 'Form', 'Category', 'Project', 'Rank', 'Points'];
-            const weightedHeaders = ['Project', 'Business Impact (40%)', 'Production Readiness (40%)', 'Presentation (20%)', 'Total Score'];
-            const finalHeaders = ['Project', 'Participants (40%)', 'RoW (20%, scaled 0.8)', 'Judges (40%, scaled 0.8)', 'Final Score'];
+            const votesHeaders = VOTE_HEADERS;
+            const weightedHeaders = buildWeightedHeaders(model);
+            const finalHeaders = buildFinalHeaders(model);
             
             for (const sheet of ['Participants Votes', 'RoW Votes', 'Judges Votes']) {
                 if (sheetData[sheet] && sheetData[sheet].length > 0) {
@@ -3651,7 +4753,7 @@ async function runSanityTests(accessToken, spreadsheetId) {
                     addResult(
                         `Headers correct: ${sheet}`,
                         ok,
-                        ok ? 'All 7 vote headers present' : `Expected ${votesHeaders.join(', ')}`
+                        ok ? `All ${votesHeaders.length} vote headers present` : `Expected ${votesHeaders.join(', ')}`
                     );
                 }
             }
@@ -3663,7 +4765,7 @@ async function runSanityTests(accessToken, spreadsheetId) {
                     addResult(
                         `Headers correct: ${sheet}`,
                         ok,
-                        ok ? 'All 5 weighted headers present' : `Expected ${weightedHeaders.join(', ')}`
+                        ok ? `All ${weightedHeaders.length} weighted headers present` : `Expected ${weightedHeaders.join(', ')}`
                     );
                 }
             }
@@ -3772,17 +4874,15 @@ async function runSanityTests(accessToken, spreadsheetId) {
             
             for (const voteSheet of ['Participants Votes', 'RoW Votes', 'Judges Votes']) {
                 if (sheetData[voteSheet] && sheetData[voteSheet].length > 1) {
-                    const impactCount = countVotes(sheetData[voteSheet], 'Business Impact');
-                    const readinessCount = countVotes(sheetData[voteSheet], 'Production Readiness');
-                    const presentationCount = countVotes(sheetData[voteSheet], 'Presentation');
+                    const counts = model.categories.map(c => countVotes(sheetData[voteSheet], c.name));
                     
                     // Each category should have the same number of votes (one per project per responder)
-                    const balanced = impactCount === readinessCount && readinessCount === presentationCount;
+                    const balanced = counts.every(count => count === counts[0]);
                     
                     addResult(
                         `Vote balance: ${voteSheet}`,
                         balanced,
-                        `Impact=${impactCount}, Readiness=${readinessCount}, Presentation=${presentationCount}`
+                        model.categories.map((c, i) => `${c.name}=${counts[i]}`).join(', ')
                     );
                 }
             }
@@ -3796,15 +4896,13 @@ async function runSanityTests(accessToken, spreadsheetId) {
                     const rows = sheetData[sheet].slice(1);
                     
                     for (const row of rows) {
-                        const [project, impact, readiness, presentation, total] = row;
-                        const i = parseFloat(impact) || 0;
-                        const r = parseFloat(readiness) || 0;
-                        const p = parseFloat(presentation) || 0;
-                        const t = parseFloat(total) || 0;
-                        const expected = i + r + p;
+                        const project = row[0];
+                        const parts = model.categories.map((c, i) => parseFloat(row[i + 1]) || 0);
+                        const t = parseFloat(row[model.categories.length + 1]) || 0;
+                        const expected = parts.reduce((a, b) => a + b, 0);
                         
                         if (Math.abs(expected - t) > 0.01) {
-                            console.log(`  ⚠️ ${sheet} - ${project}: ${i} + ${r} + ${p} = ${expected.toFixed(2)}, got ${t}`);
+                            console.log(`  ⚠️ ${sheet} - ${project}: ${parts.join(' + ')} = ${expected.toFixed(2)}, got ${t}`);
                             errors++;
                         }
                     }
@@ -3812,7 +4910,7 @@ async function runSanityTests(accessToken, spreadsheetId) {
                     addResult(
                         `Column sums: ${sheet}`,
                         errors === 0,
-                        errors === 0 ? `All ${rows.length} rows: Total = Impact + Readiness + Presentation ✓` : `${errors}/${rows.length} rows have wrong totals`
+                        errors === 0 ? `All ${rows.length} rows: Total = ${model.categories.map(c => c.name).join(' + ')} ✓` : `${errors}/${rows.length} rows have wrong totals`
                     );
                 }
             }
@@ -3824,60 +4922,33 @@ async function runSanityTests(accessToken, spreadsheetId) {
                 if (!sheetData[votesSheet] || sheetData[votesSheet].length < 2) return null;
                 if (!sheetData[weightedSheet] || sheetData[weightedSheet].length < 2) return null;
                 
-                // Recalculate weighted results from raw votes
+                // Recalculate weighted results from raw votes, with the model's aggregation method
                 const votes = sheetData[votesSheet].slice(1);
-                const recalcScores = {};
-                
-                for (const vote of votes) {
-                    const [timestamp, email, form, category, project, rank, points] = vote;
-                    const pts = parseFloat(points) || 0;
-                    
-                    if (!recalcScores[project]) {
-                        recalcScores[project] = { impact: [], readiness: [], presentation: [] };
-                    }
-                    
-                    if (category === 'Business Impact') recalcScores[project].impact.push(pts);
-                    else if (category === 'Production Readiness') recalcScores[project].readiness.push(pts);
-                    else if (category === 'Presentation') recalcScores[project].presentation.push(pts);
-                }
+                const recalcWeighted = calculateWeightedResults(scoreVotes(votes, model), model);
                 
                 // Compare with actual weighted results
                 const actualWeighted = sheetData[weightedSheet].slice(1);
                 let mismatches = 0;
                 
                 for (const row of actualWeighted) {
-                    const [project, impact, readiness, presentation, total] = row;
-                    const scores = recalcScores[project];
+                    const project = row[0];
+                    const recalc = recalcWeighted.find(r => r.project === project);
                     
-                    if (!scores) {
+                    if (!recalc) {
                         console.log(`  ⚠️ ${sheetName}: Project "${project}" not found in votes!`);
                         mismatches++;
                         continue;
                     }
                     
-                    // Recalculate expected values
-                    const avgI = scores.impact.length > 0 ? scores.impact.reduce((a,b) => a+b, 0) / scores.impact.length : 0;
-                    const avgR = scores.readiness.length > 0 ? scores.readiness.reduce((a,b) => a+b, 0) / scores.readiness.length : 0;
-                    const avgP = scores.presentation.length > 0 ? scores.presentation.reduce((a,b) => a+b, 0) / scores.presentation.length : 0;
-                    
-                    const expectedI = avgI * 0.4;
-                    const expectedR = avgR * 0.4;
-                    const expectedP = avgP * 0.2;
-                    const expectedT = expectedI + expectedR + expectedP;
-                    
-                    const actualI = parseFloat(impact) || 0;
-                    const actualR = parseFloat(readiness) || 0;
-                    const actualP = parseFloat(presentation) || 0;
-                    const actualT = parseFloat(total) || 0;
+                    // Expected values: each category's weighted score, then the total
+                    const expected = [...model.categories.map(c => recalc[c.key]), recalc.total];
+                    const actual = expected.map((value, i) => parseFloat(row[i + 1]) || 0);
                     
                     const tol = 0.01;
-                    if (Math.abs(expectedI - actualI) > tol || 
-                        Math.abs(expectedR - actualR) > tol || 
-                        Math.abs(expectedP - actualP) > tol ||
-                        Math.abs(expectedT - actualT) > tol) {
+                    if (expected.some((value, i) => Math.abs(value - actual[i]) > tol)) {
                         console.log(`  ⚠️ ${sheetName} - ${project}:`);
-                        console.log(`     Expected: I=${expectedI.toFixed(2)}, R=${expectedR.toFixed(2)}, P=${expectedP.toFixed(2)}, T=${expectedT.toFixed(2)}`);
-                        console.log(`     Actual:   I=${actualI.toFixed(2)}, R=${actualR.toFixed(2)}, P=${actualP.toFixed(2)}, T=${actualT.toFixed(2)}`);
+                        console.log(`     Expected: ${expected.map(v => v.toFixed(2)).join(', ')}`);
+                        console.log(`     Actual:   ${actual.map(v => v.toFixed(2)).join(', ')}`);
                         mismatches++;
                     }
                 }
@@ -3920,22 +4991,24 @@ async function runSanityTests(accessToken, spreadsheetId) {
                 let finalErrors = 0;
                 
                 // Build lookup maps for weighted results
+                const totalColumn = model.categories.length + 1;
                 const pMap = {}, rMap = {}, jMap = {};
                 if (sheetData['Participants Weighted Results']) {
                     sheetData['Participants Weighted Results'].slice(1).forEach(row => {
-                        pMap[row[0]] = parseFloat(row[4]) || 0; // Total column
+                        pMap[row[0]] = parseFloat(row[totalColumn]) || 0; // Total column
                     });
                 }
                 if (sheetData['RoW Weighted Results']) {
                     sheetData['RoW Weighted Results'].slice(1).forEach(row => {
-                        rMap[row[0]] = parseFloat(row[4]) || 0;
+                        rMap[row[0]] = parseFloat(row[totalColumn]) || 0;
                     });
                 }
                 if (sheetData['Judges Weighted Results']) {
                     sheetData['Judges Weighted Results'].slice(1).forEach(row => {
-                        jMap[row[0]] = parseFloat(row[4]) || 0;
+                        jMap[row[0]] = parseFloat(row[totalColumn]) || 0;
                     });
                 }
+                const groupWeight = key => model.voterGroups.find(g => g.key === key).weight;
                 
                 for (const row of finalRows) {
                     const [project, pContrib, rContrib, jContrib, finalScore] = row;
@@ -3945,10 +5018,10 @@ async function runSanityTests(accessToken, spreadsheetId) {
                     const rTotal = rMap[project] || 0;
                     const jTotal = jMap[project] || 0;
                     
-                    // Expected contributions (with scaling for R and J)
-                    const expectedP = pTotal * 0.4;
-                    const expectedR = (rTotal * 0.8) * 0.2; // scaled then weighted
-                    const expectedJ = (jTotal * 0.8) * 0.4; // scaled then weighted
+                    // Expected contributions (scaled then weighted)
+                    const expectedP = pTotal * getScoreScaleFactor(model, 'participants') * groupWeight('participants');
+                    const expectedR = rTotal * getScoreScaleFactor(model, 'row') * groupWeight('row');
+                    const expectedJ = jTotal * getScoreScaleFactor(model, 'judges') * groupWeight('judges');
                     const expectedFinal = expectedP + expectedR + expectedJ;
                     
                     const actualP = parseFloat(pContrib) || 0;
@@ -3963,14 +5036,14 @@ async function runSanityTests(accessToken, spreadsheetId) {
                         Math.abs(expectedFinal - actualFinal) > tol) {
                         console.log(`  ⚠️ Final - ${project}:`);
                         console.log(`     Source totals: P=${pTotal.toFixed(2)}, R=${rTotal.toFixed(2)}, J=${jTotal.toFixed(2)}`);
-                        console.log(`     Expected: P*0.4=${expectedP.toFixed(2)}, R*0.8*0.2=${expectedR.toFixed(2)}, J*0.8*0.4=${expectedJ.toFixed(2)}, Final=${expectedFinal.toFixed(2)}`);
+                        console.log(`     Expected: P=${expectedP.toFixed(2)}, R=${expectedR.toFixed(2)}, J=${expectedJ.toFixed(2)}, Final=${expectedFinal.toFixed(2)}`);
                         console.log(`     Actual:   P=${actualP.toFixed(2)}, R=${actualR.toFixed(2)}, J=${actualJ.toFixed(2)}, Final=${actualFinal.toFixed(2)}`);
                         finalErrors++;
                     }
                 }
                 
                 addResult(
-                    'Final scores match weighted sources (with 0.8 scaling)',
+                    'Final scores match weighted sources (with scale factors)',
                     finalErrors === 0,
                     finalErrors === 0 ? `All ${finalRows.length} final scores correctly derived from weighted results ✓` : `${finalErrors}/${finalRows.length} mismatches`
                 );
@@ -4010,7 +5083,7 @@ async function quickSanityCheck(accessToken, spreadsheetId) {
     // Check Final Weighted Results has data
     try {
         const response = await fetch(
-            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent('Final Weighted Results!A1:E20')}`,
+            `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${encodeURIComponent('Final Weighted Results!A1:F20')}`,
             { headers: { 'Authorization': `Bearer ${accessToken}` } }
         );
         
@@ -4025,7 +5098,8 @@ async function quickSanityCheck(accessToken, spreadsheetId) {
                 
                 // Verify header
                 const header = rows[0];
-                if (header[1] !== 'Participants (40%)' || header[2] !== 'RoW (20%, scaled 0.8)' || header[3] !== 'Judges (40%, scaled 0.8)') {
+                const expectedHeader = buildFinalHeaders(getScoringModel());
+                if (expectedHeader.some((title, i) => header[i] !== title)) {
                     checks.push({ ok: false, msg: 'Headers are wrong!' });
                 } else {
                     checks.push({ ok: true, msg: 'Headers are correct' });
@@ -4078,6 +5152,9 @@ if (typeof module !== 'undefined' && module.exports) {
         runSanityTests,
         quickSanityCheck,
         calculateWeightedResults,
-        calculateFinalResults
+        calculateFinalResults,
+        getScoringModel,
+        normalizeScoringModel,
+        parseScoringSheet
     };
 }